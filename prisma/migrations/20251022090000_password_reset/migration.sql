@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "passwordChangedAt" TIMESTAMP(3),
+ADD COLUMN     "passwordResetExpires" TIMESTAMP(3),
+ADD COLUMN     "passwordResetToken" TEXT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "User_passwordResetToken_key" ON "User"("passwordResetToken");
@@ -0,0 +1,324 @@
+-- Introduces the project/application domain used by the controllers and
+-- migrates existing NGO and VolunteerParticipation rows into it.
+
+-- CreateEnum
+CREATE TYPE "ProjectStatus" AS ENUM ('DRAFT', 'ACTIVE', 'COMPLETED', 'CANCELLED');
+
+-- CreateEnum
+CREATE TYPE "Priority" AS ENUM ('LOW', 'MEDIUM', 'HIGH', 'URGENT');
+
+-- CreateEnum
+CREATE TYPE "ApplicationStatus" AS ENUM ('PENDING', 'ACCEPTED', 'REJECTED', 'WITHDRAWN');
+
+-- CreateEnum
+CREATE TYPE "EventStatus" AS ENUM ('UPCOMING', 'ONGOING', 'COMPLETED', 'CANCELLED');
+
+-- CreateEnum
+CREATE TYPE "SkillLevel" AS ENUM ('BEGINNER', 'INTERMEDIATE', 'ADVANCED', 'EXPERT');
+
+-- CreateEnum
+CREATE TYPE "VolunteerStatus" AS ENUM ('AVAILABLE', 'BUSY', 'INACTIVE');
+
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "avatar" TEXT;
+
+-- DropForeignKey
+ALTER TABLE "Project" DROP CONSTRAINT "Project_ngoId_fkey";
+
+-- DropForeignKey
+ALTER TABLE "VolunteerParticipation" DROP CONSTRAINT "VolunteerParticipation_projectId_fkey";
+
+-- AlterTable
+ALTER TABLE "Project" ALTER COLUMN "endDate" DROP NOT NULL,
+ALTER COLUMN "ngoId" DROP NOT NULL,
+ADD COLUMN     "shortDescription" TEXT,
+ADD COLUMN     "category" TEXT,
+ADD COLUMN     "latitude" DOUBLE PRECISION,
+ADD COLUMN     "longitude" DOUBLE PRECISION,
+ADD COLUMN     "volunteersNeeded" INTEGER NOT NULL DEFAULT 1,
+ADD COLUMN     "volunteersApplied" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "estimatedHours" INTEGER,
+ADD COLUMN     "priority" "Priority" NOT NULL DEFAULT 'MEDIUM',
+ADD COLUMN     "status" "ProjectStatus" NOT NULL DEFAULT 'ACTIVE',
+ADD COLUMN     "tags" TEXT[] DEFAULT ARRAY[]::TEXT[],
+ADD COLUMN     "images" TEXT[] DEFAULT ARRAY[]::TEXT[],
+ADD COLUMN     "creatorId" INTEGER,
+ADD COLUMN     "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+ADD COLUMN     "updatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP;
+
+-- Existing projects take their category from their NGO
+UPDATE "Project" AS p SET "category" = n."category" FROM "NGO" AS n WHERE p."ngoId" = n."id";
+UPDATE "Project" SET "category" = 'General' WHERE "category" IS NULL;
+UPDATE "Project" SET "status" = 'COMPLETED' WHERE "endDate" < CURRENT_TIMESTAMP;
+
+ALTER TABLE "Project" ALTER COLUMN "category" SET NOT NULL,
+ALTER COLUMN "updatedAt" DROP DEFAULT;
+
+-- CreateTable
+CREATE TABLE "Application" (
+    "id" SERIAL NOT NULL,
+    "volunteerId" INTEGER NOT NULL,
+    "projectId" INTEGER NOT NULL,
+    "status" "ApplicationStatus" NOT NULL DEFAULT 'PENDING',
+    "message" TEXT,
+    "estimatedHours" INTEGER,
+    "appliedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "reviewedAt" TIMESTAMP(3),
+
+    CONSTRAINT "Application_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "Event" (
+    "id" SERIAL NOT NULL,
+    "projectId" INTEGER NOT NULL,
+    "title" TEXT NOT NULL,
+    "description" TEXT,
+    "location" TEXT,
+    "startTime" TIMESTAMP(3) NOT NULL,
+    "endTime" TIMESTAMP(3) NOT NULL,
+    "capacity" INTEGER,
+    "status" "EventStatus" NOT NULL DEFAULT 'UPCOMING',
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Event_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "ImpactMetric" (
+    "id" SERIAL NOT NULL,
+    "projectId" INTEGER NOT NULL,
+    "name" TEXT NOT NULL,
+    "value" DOUBLE PRECISION NOT NULL,
+    "unit" TEXT,
+    "description" TEXT,
+    "recordedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ImpactMetric_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "Skill" (
+    "id" SERIAL NOT NULL,
+    "name" TEXT NOT NULL,
+    "category" TEXT,
+    "description" TEXT,
+
+    CONSTRAINT "Skill_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "ProjectSkill" (
+    "id" SERIAL NOT NULL,
+    "projectId" INTEGER NOT NULL,
+    "skillId" INTEGER NOT NULL,
+    "requiredLevel" "SkillLevel" NOT NULL DEFAULT 'BEGINNER',
+    "isRequired" BOOLEAN NOT NULL DEFAULT true,
+
+    CONSTRAINT "ProjectSkill_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "VolunteerProfile" (
+    "id" SERIAL NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "bio" TEXT,
+    "location" TEXT,
+    "phone" TEXT,
+    "interests" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "totalHours" INTEGER NOT NULL DEFAULT 0,
+    "impactScore" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "level" INTEGER NOT NULL DEFAULT 1,
+    "status" "VolunteerStatus" NOT NULL DEFAULT 'AVAILABLE',
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "VolunteerProfile_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "VolunteerSkill" (
+    "id" SERIAL NOT NULL,
+    "volunteerId" INTEGER NOT NULL,
+    "skillId" INTEGER NOT NULL,
+    "level" "SkillLevel" NOT NULL DEFAULT 'BEGINNER',
+    "yearsOfExperience" INTEGER,
+
+    CONSTRAINT "VolunteerSkill_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "VolunteerPreference" (
+    "id" SERIAL NOT NULL,
+    "volunteerId" INTEGER NOT NULL,
+    "category" TEXT NOT NULL,
+    "value" TEXT NOT NULL,
+    "weight" DOUBLE PRECISION NOT NULL DEFAULT 1.0,
+
+    CONSTRAINT "VolunteerPreference_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "OrganizationProfile" (
+    "id" SERIAL NOT NULL,
+    "userId" INTEGER,
+    "ngoId" INTEGER,
+    "organizationName" TEXT NOT NULL,
+    "organizationType" TEXT NOT NULL,
+    "description" TEXT,
+    "location" TEXT,
+    "website" TEXT,
+    "phone" TEXT,
+    "isVerified" BOOLEAN NOT NULL DEFAULT false,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "OrganizationProfile_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "ActivityLog" (
+    "id" SERIAL NOT NULL,
+    "userId" INTEGER,
+    "action" TEXT NOT NULL,
+    "entityType" TEXT NOT NULL,
+    "entityId" TEXT,
+    "details" JSONB,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ActivityLog_pkey" PRIMARY KEY ("id")
+);
+
+-- Every NGO becomes an organization profile (linked to its owning user later)
+INSERT INTO "OrganizationProfile" ("ngoId", "organizationName", "organizationType", "description", "location", "updatedAt")
+SELECT "id", "name", "category", "description", "location", CURRENT_TIMESTAMP FROM "NGO";
+
+-- Every participation becomes an application (latest row wins for duplicates)
+INSERT INTO "Application" ("volunteerId", "projectId", "status", "appliedAt", "reviewedAt")
+SELECT DISTINCT ON ("userId", "projectId")
+    "userId",
+    "projectId",
+    (CASE lower("status")
+        WHEN 'rejected' THEN 'REJECTED'
+        WHEN 'cancelled' THEN 'WITHDRAWN'
+        WHEN 'withdrawn' THEN 'WITHDRAWN'
+        ELSE 'ACCEPTED'
+    END)::"ApplicationStatus",
+    CURRENT_TIMESTAMP,
+    CURRENT_TIMESTAMP
+FROM "VolunteerParticipation"
+ORDER BY "userId", "projectId", "id" DESC;
+
+UPDATE "Project" AS p SET "volunteersApplied" = a."count"
+FROM (SELECT "projectId", COUNT(*)::INTEGER AS "count" FROM "Application" GROUP BY "projectId") AS a
+WHERE p."id" = a."projectId";
+
+-- Every volunteer gets a profile carrying their location, interests and logged hours
+INSERT INTO "VolunteerProfile" ("userId", "location", "interests", "totalHours", "updatedAt")
+SELECT u."id", u."location", u."interests", COALESCE(SUM(vp."hours"), 0)::INTEGER, CURRENT_TIMESTAMP
+FROM "User" AS u
+LEFT JOIN "VolunteerParticipation" AS vp ON vp."userId" = u."id"
+WHERE u."role" = 'VOLUNTEER'
+GROUP BY u."id";
+
+-- Free-text user skills seed the skill catalogue and volunteer skills
+INSERT INTO "Skill" ("name")
+SELECT DISTINCT trim(s) FROM "User", unnest("skills") AS s WHERE trim(s) <> '';
+
+INSERT INTO "VolunteerSkill" ("volunteerId", "skillId")
+SELECT DISTINCT p."id", sk."id"
+FROM "User" AS u
+JOIN "VolunteerProfile" AS p ON p."userId" = u."id"
+CROSS JOIN unnest(u."skills") AS s
+JOIN "Skill" AS sk ON sk."name" = trim(s);
+
+-- CreateIndex
+CREATE INDEX "Project_status_idx" ON "Project"("status");
+
+-- CreateIndex
+CREATE INDEX "Project_creatorId_idx" ON "Project"("creatorId");
+
+-- CreateIndex
+CREATE INDEX "Application_projectId_status_idx" ON "Application"("projectId", "status");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Application_volunteerId_projectId_key" ON "Application"("volunteerId", "projectId");
+
+-- CreateIndex
+CREATE INDEX "Event_projectId_startTime_idx" ON "Event"("projectId", "startTime");
+
+-- CreateIndex
+CREATE INDEX "ImpactMetric_projectId_idx" ON "ImpactMetric"("projectId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Skill_name_key" ON "Skill"("name");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ProjectSkill_projectId_skillId_key" ON "ProjectSkill"("projectId", "skillId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "VolunteerProfile_userId_key" ON "VolunteerProfile"("userId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "VolunteerSkill_volunteerId_skillId_key" ON "VolunteerSkill"("volunteerId", "skillId");
+
+-- CreateIndex
+CREATE INDEX "VolunteerPreference_volunteerId_idx" ON "VolunteerPreference"("volunteerId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "OrganizationProfile_userId_key" ON "OrganizationProfile"("userId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "OrganizationProfile_ngoId_key" ON "OrganizationProfile"("ngoId");
+
+-- CreateIndex
+CREATE INDEX "ActivityLog_userId_createdAt_idx" ON "ActivityLog"("userId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "Project" ADD CONSTRAINT "Project_ngoId_fkey" FOREIGN KEY ("ngoId") REFERENCES "NGO"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Project" ADD CONSTRAINT "Project_creatorId_fkey" FOREIGN KEY ("creatorId") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "VolunteerParticipation" ADD CONSTRAINT "VolunteerParticipation_projectId_fkey" FOREIGN KEY ("projectId") REFERENCES "Project"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Application" ADD CONSTRAINT "Application_volunteerId_fkey" FOREIGN KEY ("volunteerId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Application" ADD CONSTRAINT "Application_projectId_fkey" FOREIGN KEY ("projectId") REFERENCES "Project"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Event" ADD CONSTRAINT "Event_projectId_fkey" FOREIGN KEY ("projectId") REFERENCES "Project"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ImpactMetric" ADD CONSTRAINT "ImpactMetric_projectId_fkey" FOREIGN KEY ("projectId") REFERENCES "Project"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ProjectSkill" ADD CONSTRAINT "ProjectSkill_projectId_fkey" FOREIGN KEY ("projectId") REFERENCES "Project"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ProjectSkill" ADD CONSTRAINT "ProjectSkill_skillId_fkey" FOREIGN KEY ("skillId") REFERENCES "Skill"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "VolunteerProfile" ADD CONSTRAINT "VolunteerProfile_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "VolunteerSkill" ADD CONSTRAINT "VolunteerSkill_volunteerId_fkey" FOREIGN KEY ("volunteerId") REFERENCES "VolunteerProfile"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "VolunteerSkill" ADD CONSTRAINT "VolunteerSkill_skillId_fkey" FOREIGN KEY ("skillId") REFERENCES "Skill"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "VolunteerPreference" ADD CONSTRAINT "VolunteerPreference_volunteerId_fkey" FOREIGN KEY ("volunteerId") REFERENCES "VolunteerProfile"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "OrganizationProfile" ADD CONSTRAINT "OrganizationProfile_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "OrganizationProfile" ADD CONSTRAINT "OrganizationProfile_ngoId_fkey" FOREIGN KEY ("ngoId") REFERENCES "NGO"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ActivityLog" ADD CONSTRAINT "ActivityLog_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
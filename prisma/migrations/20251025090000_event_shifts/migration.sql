@@ -0,0 +1,46 @@
+-- CreateEnum
+CREATE TYPE "ShiftSignupStatus" AS ENUM ('CONFIRMED', 'WAITLISTED', 'CANCELLED');
+
+-- CreateTable
+CREATE TABLE "Shift" (
+    "id" SERIAL NOT NULL,
+    "eventId" INTEGER NOT NULL,
+    "title" TEXT,
+    "startTime" TIMESTAMP(3) NOT NULL,
+    "endTime" TIMESTAMP(3) NOT NULL,
+    "capacity" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Shift_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "ShiftSignup" (
+    "id" SERIAL NOT NULL,
+    "shiftId" INTEGER NOT NULL,
+    "volunteerId" INTEGER NOT NULL,
+    "status" "ShiftSignupStatus" NOT NULL DEFAULT 'CONFIRMED',
+    "signedUpAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ShiftSignup_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Shift_eventId_startTime_idx" ON "Shift"("eventId", "startTime");
+
+-- CreateIndex
+CREATE INDEX "ShiftSignup_shiftId_status_signedUpAt_idx" ON "ShiftSignup"("shiftId", "status", "signedUpAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ShiftSignup_shiftId_volunteerId_key" ON "ShiftSignup"("shiftId", "volunteerId");
+
+-- AddForeignKey
+ALTER TABLE "Shift" ADD CONSTRAINT "Shift_eventId_fkey" FOREIGN KEY ("eventId") REFERENCES "Event"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ShiftSignup" ADD CONSTRAINT "ShiftSignup_shiftId_fkey" FOREIGN KEY ("shiftId") REFERENCES "Shift"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ShiftSignup" ADD CONSTRAINT "ShiftSignup_volunteerId_fkey" FOREIGN KEY ("volunteerId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
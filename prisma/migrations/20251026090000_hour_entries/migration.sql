@@ -0,0 +1,46 @@
+-- CreateEnum
+CREATE TYPE "HourEntryStatus" AS ENUM ('PENDING', 'APPROVED', 'REJECTED');
+
+-- AlterTable
+ALTER TABLE "VolunteerParticipation" ALTER COLUMN "hours" SET DATA TYPE DOUBLE PRECISION;
+
+-- AlterTable
+ALTER TABLE "VolunteerProfile" ALTER COLUMN "totalHours" SET DATA TYPE DOUBLE PRECISION;
+
+-- CreateTable
+CREATE TABLE "HourEntry" (
+    "id" SERIAL NOT NULL,
+    "volunteerId" INTEGER NOT NULL,
+    "projectId" INTEGER NOT NULL,
+    "eventId" INTEGER,
+    "date" DATE NOT NULL,
+    "hours" DOUBLE PRECISION NOT NULL,
+    "approvedHours" DOUBLE PRECISION,
+    "description" TEXT NOT NULL,
+    "status" "HourEntryStatus" NOT NULL DEFAULT 'PENDING',
+    "reviewNote" TEXT,
+    "reviewedById" INTEGER,
+    "reviewedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "HourEntry_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "HourEntry_projectId_status_idx" ON "HourEntry"("projectId", "status");
+
+-- CreateIndex
+CREATE INDEX "HourEntry_volunteerId_status_idx" ON "HourEntry"("volunteerId", "status");
+
+-- AddForeignKey
+ALTER TABLE "HourEntry" ADD CONSTRAINT "HourEntry_volunteerId_fkey" FOREIGN KEY ("volunteerId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "HourEntry" ADD CONSTRAINT "HourEntry_reviewedById_fkey" FOREIGN KEY ("reviewedById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "HourEntry" ADD CONSTRAINT "HourEntry_projectId_fkey" FOREIGN KEY ("projectId") REFERENCES "Project"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "HourEntry" ADD CONSTRAINT "HourEntry_eventId_fkey" FOREIGN KEY ("eventId") REFERENCES "Event"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,30 @@
+-- CreateEnum
+CREATE TYPE "CertificateType" AS ENUM ('PROJECT', 'HOUR_STATEMENT');
+
+-- CreateTable
+CREATE TABLE "Certificate" (
+    "id" SERIAL NOT NULL,
+    "code" TEXT NOT NULL,
+    "type" "CertificateType" NOT NULL,
+    "volunteerId" INTEGER NOT NULL,
+    "projectId" INTEGER,
+    "hours" DOUBLE PRECISION NOT NULL,
+    "details" JSONB NOT NULL,
+    "signature" TEXT NOT NULL,
+    "issuedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "revokedAt" TIMESTAMP(3),
+
+    CONSTRAINT "Certificate_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Certificate_code_key" ON "Certificate"("code");
+
+-- CreateIndex
+CREATE INDEX "Certificate_volunteerId_type_idx" ON "Certificate"("volunteerId", "type");
+
+-- AddForeignKey
+ALTER TABLE "Certificate" ADD CONSTRAINT "Certificate_volunteerId_fkey" FOREIGN KEY ("volunteerId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Certificate" ADD CONSTRAINT "Certificate_projectId_fkey" FOREIGN KEY ("projectId") REFERENCES "Project"("id") ON DELETE SET NULL ON UPDATE CASCADE;
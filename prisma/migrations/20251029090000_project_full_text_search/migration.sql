@@ -0,0 +1,38 @@
+-- Trigram similarity (word_similarity) for typo-tolerant search
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+-- AlterTable
+ALTER TABLE "Project" ADD COLUMN "searchVector" tsvector;
+
+-- Weighted search document: title (A), tags and category (B), descriptions (C).
+-- Each part is indexed with English and French stemming, plus 'simple' (unstemmed) for
+-- Kinyarwanda and other words the stemmers don't know. Postgres ships no Kinyarwanda dictionary.
+CREATE OR REPLACE FUNCTION "project_search_vector"() RETURNS trigger AS $$
+DECLARE
+    title_text TEXT := coalesce(NEW."title", '');
+    tag_text TEXT := coalesce(array_to_string(NEW."tags", ' '), '') || ' ' || coalesce(NEW."category", '');
+    body_text TEXT := coalesce(NEW."shortDescription", '') || ' ' || coalesce(NEW."description", '');
+BEGIN
+    NEW."searchVector" :=
+        setweight(to_tsvector('english', title_text), 'A') ||
+        setweight(to_tsvector('french', title_text), 'A') ||
+        setweight(to_tsvector('simple', title_text), 'A') ||
+        setweight(to_tsvector('english', tag_text), 'B') ||
+        setweight(to_tsvector('french', tag_text), 'B') ||
+        setweight(to_tsvector('simple', tag_text), 'B') ||
+        setweight(to_tsvector('english', body_text), 'C') ||
+        setweight(to_tsvector('french', body_text), 'C') ||
+        setweight(to_tsvector('simple', body_text), 'C');
+    RETURN NEW;
+END
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER "Project_searchVector_update"
+    BEFORE INSERT OR UPDATE OF "title", "shortDescription", "description", "category", "tags" ON "Project"
+    FOR EACH ROW EXECUTE FUNCTION "project_search_vector"();
+
+-- Backfill existing projects through the trigger
+UPDATE "Project" SET "title" = "title";
+
+-- CreateIndex
+CREATE INDEX "Project_searchVector_idx" ON "Project" USING GIN ("searchVector");
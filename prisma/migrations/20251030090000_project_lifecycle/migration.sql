@@ -0,0 +1,6 @@
+-- AlterEnum
+ALTER TYPE "ProjectStatus" ADD VALUE 'PENDING_REVIEW' BEFORE 'ACTIVE';
+ALTER TYPE "ProjectStatus" ADD VALUE 'FULL' BEFORE 'COMPLETED';
+
+-- AlterTable
+ALTER TABLE "Project" ALTER COLUMN "status" SET DEFAULT 'DRAFT';
@@ -0,0 +1,51 @@
+-- CreateEnum
+CREATE TYPE "VerificationStatus" AS ENUM ('PENDING', 'APPROVED', 'REJECTED');
+
+-- CreateEnum
+CREATE TYPE "ReportTarget" AS ENUM ('PROJECT', 'ORGANIZATION');
+
+-- CreateEnum
+CREATE TYPE "ReportReason" AS ENUM ('FAKE_ORGANIZATION', 'SCAM', 'INAPPROPRIATE', 'SPAM', 'OTHER');
+
+-- CreateEnum
+CREATE TYPE "ReportStatus" AS ENUM ('OPEN', 'RESOLVED', 'DISMISSED');
+
+-- AlterTable
+ALTER TABLE "OrganizationProfile" ADD COLUMN     "reviewedAt" TIMESTAMP(3),
+ADD COLUMN     "verificationNote" TEXT,
+ADD COLUMN     "verificationStatus" "VerificationStatus" NOT NULL DEFAULT 'PENDING';
+
+-- Organizations verified before moderation existed count as approved
+UPDATE "OrganizationProfile" SET "verificationStatus" = 'APPROVED' WHERE "isVerified" = true;
+
+-- CreateTable
+CREATE TABLE "ContentReport" (
+    "id" SERIAL NOT NULL,
+    "reporterId" INTEGER NOT NULL,
+    "targetType" "ReportTarget" NOT NULL,
+    "targetId" INTEGER NOT NULL,
+    "reason" "ReportReason" NOT NULL,
+    "details" TEXT,
+    "status" "ReportStatus" NOT NULL DEFAULT 'OPEN',
+    "resolutionNote" TEXT,
+    "resolvedById" INTEGER,
+    "resolvedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ContentReport_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "OrganizationProfile_verificationStatus_idx" ON "OrganizationProfile"("verificationStatus");
+
+-- CreateIndex
+CREATE INDEX "ContentReport_status_createdAt_idx" ON "ContentReport"("status", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "ContentReport_targetType_targetId_idx" ON "ContentReport"("targetType", "targetId");
+
+-- AddForeignKey
+ALTER TABLE "ContentReport" ADD CONSTRAINT "ContentReport_reporterId_fkey" FOREIGN KEY ("reporterId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ContentReport" ADD CONSTRAINT "ContentReport_resolvedById_fkey" FOREIGN KEY ("resolvedById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
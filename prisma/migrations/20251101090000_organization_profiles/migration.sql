@@ -0,0 +1,28 @@
+-- AlterEnum
+ALTER TYPE "Role" ADD VALUE 'GOVERNMENT' BEFORE 'ADMIN';
+
+-- CreateEnum
+CREATE TYPE "OrganizationDocumentType" AS ENUM ('REGISTRATION_CERTIFICATE', 'TAX_CLEARANCE', 'GOVERNMENT_MANDATE', 'OTHER');
+
+-- AlterTable
+ALTER TABLE "OrganizationProfile" ADD COLUMN     "registrationNumber" TEXT;
+
+-- CreateTable
+CREATE TABLE "OrganizationDocument" (
+    "id" SERIAL NOT NULL,
+    "organizationId" INTEGER NOT NULL,
+    "type" "OrganizationDocumentType" NOT NULL,
+    "fileName" TEXT NOT NULL,
+    "url" TEXT NOT NULL,
+    "contentType" TEXT NOT NULL,
+    "size" INTEGER NOT NULL,
+    "uploadedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "OrganizationDocument_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "OrganizationDocument_organizationId_idx" ON "OrganizationDocument"("organizationId");
+
+-- AddForeignKey
+ALTER TABLE "OrganizationDocument" ADD CONSTRAINT "OrganizationDocument_organizationId_fkey" FOREIGN KEY ("organizationId") REFERENCES "OrganizationProfile"("id") ON DELETE CASCADE ON UPDATE CASCADE;
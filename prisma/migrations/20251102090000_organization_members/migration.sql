@@ -0,0 +1,73 @@
+-- CreateEnum
+CREATE TYPE "OrganizationRole" AS ENUM ('OWNER', 'MANAGER', 'REVIEWER');
+
+-- AlterTable
+ALTER TABLE "Project" ADD COLUMN     "organizationId" INTEGER;
+
+-- CreateTable
+CREATE TABLE "OrganizationMember" (
+    "id" SERIAL NOT NULL,
+    "organizationId" INTEGER NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "role" "OrganizationRole" NOT NULL,
+    "joinedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "OrganizationMember_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "OrganizationInvitation" (
+    "id" SERIAL NOT NULL,
+    "organizationId" INTEGER NOT NULL,
+    "email" TEXT NOT NULL,
+    "role" "OrganizationRole" NOT NULL,
+    "tokenHash" TEXT NOT NULL,
+    "invitedById" INTEGER,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "acceptedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "OrganizationInvitation_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Project_organizationId_idx" ON "Project"("organizationId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "OrganizationMember_userId_key" ON "OrganizationMember"("userId");
+
+-- CreateIndex
+CREATE INDEX "OrganizationMember_organizationId_idx" ON "OrganizationMember"("organizationId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "OrganizationInvitation_tokenHash_key" ON "OrganizationInvitation"("tokenHash");
+
+-- CreateIndex
+CREATE INDEX "OrganizationInvitation_organizationId_idx" ON "OrganizationInvitation"("organizationId");
+
+-- CreateIndex
+CREATE INDEX "OrganizationInvitation_email_idx" ON "OrganizationInvitation"("email");
+
+-- AddForeignKey
+ALTER TABLE "Project" ADD CONSTRAINT "Project_organizationId_fkey" FOREIGN KEY ("organizationId") REFERENCES "OrganizationProfile"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "OrganizationMember" ADD CONSTRAINT "OrganizationMember_organizationId_fkey" FOREIGN KEY ("organizationId") REFERENCES "OrganizationProfile"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "OrganizationMember" ADD CONSTRAINT "OrganizationMember_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "OrganizationInvitation" ADD CONSTRAINT "OrganizationInvitation_organizationId_fkey" FOREIGN KEY ("organizationId") REFERENCES "OrganizationProfile"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "OrganizationInvitation" ADD CONSTRAINT "OrganizationInvitation_invitedById_fkey" FOREIGN KEY ("invitedById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Existing organization accounts own their organization
+INSERT INTO "OrganizationMember" ("organizationId", "userId", "role")
+SELECT "id", "userId", 'OWNER' FROM "OrganizationProfile" WHERE "userId" IS NOT NULL;
+
+-- Existing projects belong to their creator's organization
+UPDATE "Project" p SET "organizationId" = o."id"
+FROM "OrganizationProfile" o
+WHERE o."userId" = p."creatorId";
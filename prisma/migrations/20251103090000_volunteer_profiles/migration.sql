@@ -0,0 +1,76 @@
+-- CreateEnum
+CREATE TYPE "Weekday" AS ENUM ('MONDAY', 'TUESDAY', 'WEDNESDAY', 'THURSDAY', 'FRIDAY', 'SATURDAY', 'SUNDAY');
+
+-- CreateTable
+CREATE TABLE "SkillEndorsement" (
+    "id" SERIAL NOT NULL,
+    "volunteerSkillId" INTEGER NOT NULL,
+    "organizationId" INTEGER NOT NULL,
+    "endorsedById" INTEGER,
+    "comment" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "SkillEndorsement_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "VolunteerAvailability" (
+    "id" SERIAL NOT NULL,
+    "volunteerId" INTEGER NOT NULL,
+    "day" "Weekday" NOT NULL,
+    "startTime" TEXT NOT NULL,
+    "endTime" TEXT NOT NULL,
+
+    CONSTRAINT "VolunteerAvailability_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "SkillEndorsement_volunteerSkillId_organizationId_key" ON "SkillEndorsement"("volunteerSkillId", "organizationId");
+
+-- CreateIndex
+CREATE INDEX "SkillEndorsement_organizationId_idx" ON "SkillEndorsement"("organizationId");
+
+-- CreateIndex
+CREATE INDEX "VolunteerAvailability_volunteerId_idx" ON "VolunteerAvailability"("volunteerId");
+
+-- AddForeignKey
+ALTER TABLE "SkillEndorsement" ADD CONSTRAINT "SkillEndorsement_volunteerSkillId_fkey" FOREIGN KEY ("volunteerSkillId") REFERENCES "VolunteerSkill"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "SkillEndorsement" ADD CONSTRAINT "SkillEndorsement_organizationId_fkey" FOREIGN KEY ("organizationId") REFERENCES "OrganizationProfile"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "SkillEndorsement" ADD CONSTRAINT "SkillEndorsement_endorsedById_fkey" FOREIGN KEY ("endorsedById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "VolunteerAvailability" ADD CONSTRAINT "VolunteerAvailability_volunteerId_fkey" FOREIGN KEY ("volunteerId") REFERENCES "VolunteerProfile"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Move free-text skills and interests from volunteers' user rows to their volunteer profiles
+INSERT INTO "VolunteerProfile" ("userId", "updatedAt")
+SELECT u."id", CURRENT_TIMESTAMP FROM "User" u
+WHERE u."role" = 'VOLUNTEER'
+  AND (cardinality(u."skills") > 0 OR cardinality(u."interests") > 0)
+  AND NOT EXISTS (SELECT 1 FROM "VolunteerProfile" p WHERE p."userId" = u."id");
+
+UPDATE "VolunteerProfile" p
+SET "interests" = ARRAY(SELECT DISTINCT btrim(i) FROM unnest(p."interests" || u."interests") i WHERE btrim(i) <> '')
+FROM "User" u
+WHERE u."id" = p."userId" AND cardinality(u."interests") > 0;
+
+-- Skills nobody added to the catalogue yet become catalogue entries
+INSERT INTO "Skill" ("name")
+SELECT DISTINCT ON (lower(btrim(s))) btrim(s)
+FROM "User" u JOIN "VolunteerProfile" p ON p."userId" = u."id", unnest(u."skills") s
+WHERE btrim(s) <> ''
+  AND NOT EXISTS (SELECT 1 FROM "Skill" k WHERE lower(k."name") = lower(btrim(s)))
+ON CONFLICT ("name") DO NOTHING;
+
+INSERT INTO "VolunteerSkill" ("volunteerId", "skillId")
+SELECT DISTINCT p."id", k."id"
+FROM "User" u JOIN "VolunteerProfile" p ON p."userId" = u."id", unnest(u."skills") s
+JOIN "Skill" k ON lower(k."name") = lower(btrim(s))
+ON CONFLICT ("volunteerId", "skillId") DO NOTHING;
+
+-- AlterTable
+ALTER TABLE "User" DROP COLUMN "interests",
+DROP COLUMN "skills";
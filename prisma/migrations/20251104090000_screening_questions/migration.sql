@@ -0,0 +1,51 @@
+-- CreateEnum
+CREATE TYPE "ScreeningQuestionType" AS ENUM ('YES_NO', 'MULTIPLE_CHOICE', 'SHORT_TEXT', 'FILE_UPLOAD');
+
+-- CreateTable
+CREATE TABLE "ScreeningQuestion" (
+    "id" SERIAL NOT NULL,
+    "projectId" INTEGER NOT NULL,
+    "type" "ScreeningQuestionType" NOT NULL,
+    "prompt" TEXT NOT NULL,
+    "options" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "allowMultiple" BOOLEAN NOT NULL DEFAULT false,
+    "isRequired" BOOLEAN NOT NULL DEFAULT false,
+    "position" INTEGER NOT NULL DEFAULT 0,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ScreeningQuestion_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "ScreeningAnswer" (
+    "id" SERIAL NOT NULL,
+    "applicationId" INTEGER NOT NULL,
+    "questionId" INTEGER NOT NULL,
+    "booleanValue" BOOLEAN,
+    "textValue" TEXT,
+    "choices" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "fileName" TEXT,
+    "fileUrl" TEXT,
+    "contentType" TEXT,
+    "size" INTEGER,
+
+    CONSTRAINT "ScreeningAnswer_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ScreeningQuestion_projectId_position_idx" ON "ScreeningQuestion"("projectId", "position");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ScreeningAnswer_applicationId_questionId_key" ON "ScreeningAnswer"("applicationId", "questionId");
+
+-- CreateIndex
+CREATE INDEX "ScreeningAnswer_questionId_idx" ON "ScreeningAnswer"("questionId");
+
+-- AddForeignKey
+ALTER TABLE "ScreeningQuestion" ADD CONSTRAINT "ScreeningQuestion_projectId_fkey" FOREIGN KEY ("projectId") REFERENCES "Project"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ScreeningAnswer" ADD CONSTRAINT "ScreeningAnswer_applicationId_fkey" FOREIGN KEY ("applicationId") REFERENCES "Application"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ScreeningAnswer" ADD CONSTRAINT "ScreeningAnswer_questionId_fkey" FOREIGN KEY ("questionId") REFERENCES "ScreeningQuestion"("id") ON DELETE CASCADE ON UPDATE CASCADE;
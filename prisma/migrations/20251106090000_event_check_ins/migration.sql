@@ -0,0 +1,63 @@
+-- CreateEnum
+CREATE TYPE "CheckInMethod" AS ENUM ('SELF_SCAN', 'COORDINATOR_SCAN');
+
+-- AlterEnum
+ALTER TYPE "HourEntryStatus" ADD VALUE 'DRAFT' BEFORE 'PENDING';
+
+-- AlterTable
+ALTER TABLE "Event" ADD COLUMN     "checkInRadius" INTEGER;
+
+-- AlterTable
+ALTER TABLE "HourEntry" ADD COLUMN     "participationId" INTEGER;
+
+-- CreateTable
+CREATE TABLE "EventCheckIn" (
+    "id" SERIAL NOT NULL,
+    "eventId" INTEGER NOT NULL,
+    "volunteerId" INTEGER NOT NULL,
+    "method" "CheckInMethod" NOT NULL,
+    "checkedInAt" TIMESTAMP(3) NOT NULL,
+    "syncedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "recordedById" INTEGER,
+    "latitude" DOUBLE PRECISION,
+    "longitude" DOUBLE PRECISION,
+    "distance" DOUBLE PRECISION,
+    "clientId" TEXT,
+    "hourEntryId" INTEGER,
+
+    CONSTRAINT "EventCheckIn_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "EventCheckIn_clientId_key" ON "EventCheckIn"("clientId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "EventCheckIn_hourEntryId_key" ON "EventCheckIn"("hourEntryId");
+
+-- CreateIndex
+CREATE INDEX "EventCheckIn_volunteerId_idx" ON "EventCheckIn"("volunteerId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "EventCheckIn_eventId_volunteerId_key" ON "EventCheckIn"("eventId", "volunteerId");
+
+-- AddForeignKey
+ALTER TABLE "HourEntry" ADD CONSTRAINT "HourEntry_participationId_fkey" FOREIGN KEY ("participationId") REFERENCES "VolunteerParticipation"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "EventCheckIn" ADD CONSTRAINT "EventCheckIn_eventId_fkey" FOREIGN KEY ("eventId") REFERENCES "Event"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "EventCheckIn" ADD CONSTRAINT "EventCheckIn_volunteerId_fkey" FOREIGN KEY ("volunteerId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "EventCheckIn" ADD CONSTRAINT "EventCheckIn_recordedById_fkey" FOREIGN KEY ("recordedById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "EventCheckIn" ADD CONSTRAINT "EventCheckIn_hourEntryId_fkey" FOREIGN KEY ("hourEntryId") REFERENCES "HourEntry"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Link existing hour entries to the volunteer's participation in the project
+UPDATE "HourEntry" h
+SET "participationId" = (
+    SELECT MIN(vp."id") FROM "VolunteerParticipation" vp
+    WHERE vp."userId" = h."volunteerId" AND vp."projectId" = h."projectId"
+);
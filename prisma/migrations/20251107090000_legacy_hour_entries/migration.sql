@@ -0,0 +1,19 @@
+-- Hours recorded on participations before hour entries existed become approved entries, so that totals
+-- recalculated from entries keep them. Hours already covered by approved entries are left out.
+INSERT INTO "HourEntry" ("volunteerId", "projectId", "participationId", "date", "hours", "approvedHours", "description", "status", "reviewedAt", "updatedAt")
+SELECT vp."userId", vp."projectId", vp."participationId", p."startDate"::DATE,
+       vp."hours" - COALESCE(e."approved", 0), vp."hours" - COALESCE(e."approved", 0),
+       'Hours recorded before hour logging', 'APPROVED', CURRENT_TIMESTAMP, CURRENT_TIMESTAMP
+FROM (
+    SELECT "userId", "projectId", MIN("id") AS "participationId", SUM("hours") AS "hours"
+    FROM "VolunteerParticipation"
+    GROUP BY "userId", "projectId"
+) vp
+JOIN "Project" p ON p."id" = vp."projectId"
+LEFT JOIN (
+    SELECT "volunteerId", "projectId", SUM("approvedHours") AS "approved"
+    FROM "HourEntry"
+    WHERE "status" = 'APPROVED'
+    GROUP BY "volunteerId", "projectId"
+) e ON e."volunteerId" = vp."userId" AND e."projectId" = vp."projectId"
+WHERE vp."hours" - COALESCE(e."approved", 0) > 0;
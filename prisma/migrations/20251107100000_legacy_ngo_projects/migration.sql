@@ -0,0 +1,5 @@
+-- Projects of NGO records from before organization accounts belong to the NGO's profile, so that whoever
+-- claims the NGO can manage them
+UPDATE "Project" p SET "organizationId" = o."id"
+FROM "OrganizationProfile" o
+WHERE o."ngoId" = p."ngoId" AND p."organizationId" IS NULL AND p."creatorId" IS NULL;
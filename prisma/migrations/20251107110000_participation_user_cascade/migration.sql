@@ -0,0 +1,5 @@
+-- DropForeignKey
+ALTER TABLE "VolunteerParticipation" DROP CONSTRAINT "VolunteerParticipation_userId_fkey";
+
+-- AddForeignKey
+ALTER TABLE "VolunteerParticipation" ADD CONSTRAINT "VolunteerParticipation_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
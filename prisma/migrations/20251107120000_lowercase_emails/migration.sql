@@ -0,0 +1,11 @@
+-- Emails are looked up lowercased. Where several accounts share an email apart from case, the one that
+-- already is lowercase keeps it, else the verified, most recently updated one gets it; the others keep
+-- their email as is for an administrator to merge.
+UPDATE "User" u SET "email" = LOWER(u."email")
+WHERE u."email" <> LOWER(u."email")
+  AND u."id" = (
+    SELECT v."id" FROM "User" v
+    WHERE LOWER(v."email") = LOWER(u."email")
+    ORDER BY (v."email" = LOWER(v."email")) DESC, v."isVerified" DESC, v."updatedAt" DESC, v."id"
+    LIMIT 1
+  );
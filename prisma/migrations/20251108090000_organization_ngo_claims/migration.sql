@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "OrganizationProfile" ADD COLUMN "claimedNgoId" INTEGER;
+
+-- CreateIndex
+CREATE INDEX "OrganizationProfile_claimedNgoId_idx" ON "OrganizationProfile"("claimedNgoId");
+
+-- AddForeignKey
+ALTER TABLE "OrganizationProfile" ADD CONSTRAINT "OrganizationProfile_claimedNgoId_fkey" FOREIGN KEY ("claimedNgoId") REFERENCES "NGO"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,5 @@
+-- DropForeignKey
+ALTER TABLE "OrganizationProfile" DROP CONSTRAINT "OrganizationProfile_userId_fkey";
+
+-- AddForeignKey
+ALTER TABLE "OrganizationProfile" ADD CONSTRAINT "OrganizationProfile_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "EventCheckIn" ADD COLUMN "timeVerified" BOOLEAN NOT NULL DEFAULT true;
+
+-- Self-scans synced from offline devices carried the time the volunteer's device reported
+UPDATE "EventCheckIn" SET "timeVerified" = false WHERE "method" = 'SELF_SCAN' AND "clientId" IS NOT NULL;
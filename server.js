@@ -1,4 +1,8 @@
 const app = require("./src/app");
+const { startJobs } = require("./src/jobs");
 
 const PORT = process.env.PORT || 5000;
-app.listen(PORT, () => console.log(`Server running on port ${PORT}`));
+app.listen(PORT, () => {
+  console.log(`Server running on port ${PORT}`);
+  startJobs();
+});
@@ -1,16 +1,48 @@
 // src/app.js
 const express = require("express");
+const path = require("path");
 const cors = require("cors");
 require("dotenv").config();
 
 const authRoute = require("./routes/authRoute");
 const chatRoute = require("./routes/chatRoute");
+const notificationRoute = require("./routes/notificationRoute");
+const projectRoute = require("./routes/project");
+const eventRoute = require("./routes/eventRoute");
+const hoursRoute = require("./routes/hoursRoute");
+const certificateRoute = require("./routes/certificateRoute");
+const locationRoute = require("./routes/locationRoute");
+const moderationRoute = require("./routes/moderationRoute");
+const organizationRoute = require("./routes/organizationRoute");
+const skillRoute = require("./routes/skillRoute");
+const volunteerRoute = require("./routes/volunteerRoute");
+const requestId = require("./middleware/requestId");
+const { errorHandler, notFound } = require("./middleware/errorHandler");
 
 const app = express();
+app.use(requestId);
 app.use(cors());
 app.use(express.json());
 
+// Serve locally stored uploads (the s3 driver serves them from the bucket instead)
+if ((process.env.STORAGE_DRIVER || "local") === "local") {
+  app.use("/uploads", express.static(process.env.UPLOAD_DIR || path.join(process.cwd(), "uploads"), { maxAge: "7d" }));
+}
+
 app.use("/api/auth", authRoute);
 app.use("/api/chat", chatRoute); // ✅ Register chat route
+app.use("/api/notifications", notificationRoute);
+app.use("/api/projects", projectRoute);
+app.use("/api/events", eventRoute);
+app.use("/api/hours", hoursRoute);
+app.use("/api/certificates", certificateRoute);
+app.use("/api/locations", locationRoute);
+app.use("/api/moderation", moderationRoute);
+app.use("/api/organizations", organizationRoute);
+app.use("/api/skills", skillRoute);
+app.use("/api/volunteers", volunteerRoute);
+
+app.use(notFound);
+app.use(errorHandler);
 
 module.exports = app;
@@ -1,13 +1,14 @@
 const { PrismaClient } = require('@prisma/client');
 const aiService = require('../services/aiService');
 const { AppError } = require('../utils/appError');
-const { generateRecommendationReason, generateChatbotResponse } = require('../utils/helpers');
+const { PERMISSIONS, assertProjectPermission } = require('../services/organizationAccessService');
+const { generateRecommendationReason, generateChatbotResponse } = require('../utils/helper');
 
 const prisma = new PrismaClient();
 
 class AIController {
   // Get AI-powered project matches for volunteer
-  async getMatches(req, res, next) {
+  getMatches = async (req, res, next) => {
     try {
       if (req.user.role !== 'VOLUNTEER') {
         throw new AppError('Only volunteers can access matches', 403);
@@ -42,10 +43,10 @@ class AIController {
           estimatedHours: match.project.estimatedHours,
           images: match.project.images,
           tags: match.project.tags,
-          creator: {
+          creator: match.project.creator && {
             id: match.project.creator.id,
-            firstName: match.project.creator.firstName,
-            lastName: match.project.creator.lastName,
+            firstname: match.project.creator.firstname,
+            lastname: match.project.creator.lastname,
             organizationProfile: match.project.creator.organizationProfile
           }
         },
@@ -75,16 +76,16 @@ class AIController {
     } catch (error) {
       next(error);
     }
-  }
+  };
 
   // Get AI recommendations for volunteers for a project
-  async recommendVolunteers(req, res, next) {
+  recommendVolunteers = async (req, res, next) => {
     try {
       if (!['NGO', 'GOVERNMENT', 'ADMIN'].includes(req.user.role)) {
         throw new AppError('Only organizations can access volunteer recommendations', 403);
       }
 
-      const { projectId } = req.params;
+      const projectId = parseInt(req.params.projectId);
       const limit = parseInt(req.query.limit) || 10;
 
       // Verify project ownership
@@ -97,17 +98,16 @@ class AIController {
         throw new AppError('Project not found', 404);
       }
 
-      if (project.creatorId !== req.user.id && req.user.role !== 'ADMIN') {
-        throw new AppError('Access denied. You can only get recommendations for your own projects.', 403);
-      }
+      await assertProjectPermission(project, req.user, PERMISSIONS.REVIEW_VOLUNTEERS,
+        'Access denied. You can only get recommendations for your organization\'s projects.');
 
       const recommendations = await aiService.recommendVolunteers(projectId, limit);
 
       const processedRecommendations = recommendations.map(rec => ({
         volunteer: {
           id: rec.volunteer.userId,
-          firstName: rec.volunteer.user.firstName,
-          lastName: rec.volunteer.user.lastName,
+          firstname: rec.volunteer.user.firstname,
+          lastname: rec.volunteer.user.lastname,
           avatar: rec.volunteer.user.avatar,
           location: rec.volunteer.location,
           bio: rec.volunteer.bio,
@@ -119,7 +119,8 @@ class AIController {
             name: vs.skill.name,
             category: vs.skill.category,
             level: vs.level,
-            experience: vs.yearsOfExperience
+            experience: vs.yearsOfExperience,
+            endorsements: vs.endorsements
           })),
           badges: rec.volunteer.badges.map(badge => ({
             name: badge.name,
@@ -154,12 +155,12 @@ class AIController {
     } catch (error) {
       next(error);
     }
-  }
+  };
 
   // Get volunteer engagement prediction and analysis
-  async getEngagementAnalysis(req, res, next) {
+  getEngagementAnalysis = async (req, res, next) => {
     try {
-      const { volunteerId } = req.params;
+      const volunteerId = parseInt(req.params.volunteerId);
 
       // Check permissions
       if (req.user.id !== volunteerId && req.user.role !== 'ADMIN') {
@@ -168,6 +169,10 @@ class AIController {
 
       const analysis = await aiService.predictVolunteerEngagement(volunteerId);
 
+      if (!analysis) {
+        throw new AppError('Volunteer not found', 404);
+      }
+
       res.json({
         success: true,
         data: analysis,
@@ -180,10 +185,10 @@ class AIController {
     } catch (error) {
       next(error);
     }
-  }
+  };
 
   // Get community needs assessment and insights
-  async getCommunityInsights(req, res, next) {
+  getCommunityInsights = async (req, res, next) => {
     try {
       if (!['NGO', 'GOVERNMENT', 'ADMIN'].includes(req.user.role)) {
         throw new AppError('Access denied. Organizations and admins only.', 403);
@@ -219,10 +224,10 @@ class AIController {
     } catch (error) {
       next(error);
     }
-  }
+  };
 
   // Update volunteer preferences for better matching
-  async updatePreferences(req, res, next) {
+  updatePreferences = async (req, res, next) => {
     try {
       if (req.user.role !== 'VOLUNTEER') {
         throw new AppError('Only volunteers can update preferences', 403);
@@ -266,12 +271,12 @@ class AIController {
     } catch (error) {
       next(error);
     }
-  }
+  };
 
   // Predict potential impact of a project
-  async getImpactPrediction(req, res, next) {
+  getImpactPrediction = async (req, res, next) => {
     try {
-      const { projectId } = req.params;
+      const projectId = parseInt(req.params.projectId);
 
       if (!['NGO', 'GOVERNMENT', 'ADMIN'].includes(req.user.role)) {
         throw new AppError('Access denied', 403);
@@ -306,10 +311,10 @@ class AIController {
     } catch (error) {
       next(error);
     }
-  }
+  };
 
   // AI chatbot for assistance and guidance
-  async chatbot(req, res, next) {
+  chatbot = async (req, res, next) => {
     try {
       const { message, context } = req.body;
       const userId = req.user.id;
@@ -338,10 +343,10 @@ class AIController {
     } catch (error) {
       next(error);
     }
-  }
+  };
 
   // Get skills recommendations for volunteer
-  async getSkillRecommendations(req, res, next) {
+  getSkillRecommendations = async (req, res, next) => {
     try {
       if (req.user.role !== 'VOLUNTEER') {
         throw new AppError('Only volunteers can get skill recommendations', 403);
@@ -423,10 +428,10 @@ class AIController {
     } catch (error) {
       next(error);
     }
-  }
+  };
 
   // Helper methods
-  generateVolunteerRecommendationReason(recommendation) {
+  generateVolunteerRecommendationReason = (recommendation) => {
     const factors = recommendation.factors;
     const reasons = [];
 
@@ -444,9 +449,9 @@ class AIController {
     }
 
     return reasons.length > 0 ? reasons.join(", ") : "Well-matched volunteer";
-  }
+  };
 
-  async calculateImpactPrediction(project) {
+  calculateImpactPrediction = async (project) => {
     // Simple impact prediction algorithm
     let impactScore = 50; // Base score
 
@@ -480,9 +485,9 @@ class AIController {
       prediction: impactScore > 75 ? 'HIGH' : impactScore > 50 ? 'MEDIUM' : 'LOW',
       recommendations: this.generateImpactRecommendations(project, impactScore)
     };
-  }
+  };
 
-  generateImpactRecommendations(project, score) {
+  generateImpactRecommendations = (project, score) => {
     const recommendations = [];
 
     if (score < 50) {
@@ -500,7 +505,7 @@ class AIController {
     }
 
     return recommendations;
-  }
+  };
 }
 
 module.exports = new AIController();
\ No newline at end of file
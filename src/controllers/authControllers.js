@@ -1,11 +1,26 @@
 const bcrypt = require('bcryptjs');
 const { PrismaClient } = require('@prisma/client');
 const { sendEmail } = require('../services/emailService');
-const { generateToken, generateVerificationToken } = require('../utils/helper');
+const { generateToken, generateVerificationToken, hashToken } = require('../utils/helper');
 const { AppError } = require('../utils/appError');
+const { isVerificationRequired } = require('../middleware/requireVerifiedEmail');
+const tokenService = require('../services/tokenService');
+const { findMembership, assertAnotherOwner } = require('../services/organizationAccessService');
 
 const prisma = new PrismaClient();
 
+// How long an email verification link stays valid
+const VERIFICATION_TOKEN_TTL_MS = 24 * 60 * 60 * 1000;
+
+// How long a password reset link stays valid
+const PASSWORD_RESET_TTL_MINUTES = 30;
+
+// Device details stored with a refresh token session
+const sessionMeta = (req) => ({
+  userAgent: req.get('user-agent'),
+  ipAddress: req.ip
+});
+
 class AuthController {
   register = async (req, res, next) => {
     try {
@@ -33,30 +48,40 @@ class AuthController {
           lastname,
           role,
           verificationToken,
-          skills: [],
-          interests: [],
-          location: ''
+          verificationTokenExpires: new Date(Date.now() + VERIFICATION_TOKEN_TTL_MS),
+          location: '',
+          // Volunteers start with an empty profile so matching works right away
+          volunteerProfile: role === 'VOLUNTEER' ? { create: {} } : undefined
         }
       });
 
-      // Send verification email
-      await this.sendVerificationEmail(user, verificationToken);
+      // The account exists either way, so a failed send is logged and the user asked to request a new link
+      let emailSent = true;
+      try {
+        await this.sendVerificationEmail(user, verificationToken);
+      } catch (error) {
+        console.error('Error sending verification email:', error);
+        emailSent = false;
+      }
 
-      // Generate JWT token
-      const token = generateToken(user.id, user.role);
+      // Start a session with access and refresh tokens
+      const { token, refreshToken } = await tokenService.issueSession(user, sessionMeta(req));
 
       res.status(201).json({
         success: true,
-        message: 'User registered successfully. Please check your email to verify your account.',
+        message: emailSent
+          ? 'User registered successfully. Please check your email to verify your account.'
+          : 'User registered successfully, but the verification email could not be sent. Please request a new one.',
         data: {
           token,
+          refreshToken,
           user: {
             id: user.id,
             email: user.email,
             firstname: user.firstname,
             lastname: user.lastname,
             role: user.role,
-            isVerified: user.isVerified || false
+            isVerified: user.isVerified
           }
         }
       });
@@ -75,20 +100,25 @@ class AuthController {
       const isMatch = await bcrypt.compare(password, user.password);
       if (!isMatch) throw new AppError('Invalid credentials', 401);
 
-      const token = generateToken(user.id, user.role);
+      if (!user.isVerified && isVerificationRequired('login')) {
+        throw new AppError('Please verify your email address before logging in', 403);
+      }
+
+      const { token, refreshToken } = await tokenService.issueSession(user, sessionMeta(req));
 
       res.json({
         success: true,
         message: 'Login successful',
         data: {
           token,
+          refreshToken,
           user: {
             id: user.id,
             email: user.email,
             firstname: user.firstname,
             lastname: user.lastname,
             role: user.role,
-            isVerified: user.isVerified || false
+            isVerified: user.isVerified
           }
         }
       });
@@ -101,12 +131,16 @@ class AuthController {
   verifyEmail = async (req, res, next) => {
     try {
       const { token } = req.body;
-      const user = await prisma.user.findFirst({ where: { verificationToken: token } });
+      if (!token) throw new AppError('Verification token is required', 400);
+
+      const user = await prisma.user.findFirst({
+        where: { verificationToken: token, verificationTokenExpires: { gt: new Date() } }
+      });
       if (!user) throw new AppError('Invalid or expired verification token', 400);
 
       await prisma.user.update({
         where: { id: user.id },
-        data: { isVerified: true, verificationToken: null }
+        data: { isVerified: true, verificationToken: null, verificationTokenExpires: null }
       });
 
       res.json({ success: true, message: 'Email verified successfully' });
@@ -115,6 +149,37 @@ class AuthController {
     }
   };
 
+  // Resend verification email
+  resendVerification = async (req, res, next) => {
+    try {
+      const { email } = req.body;
+
+      // Same response whether or not the account exists, so emails cannot be probed
+      const response = {
+        success: true,
+        message: 'If an unverified account exists for this email, a new verification link has been sent.'
+      };
+
+      const user = await prisma.user.findUnique({ where: { email } });
+      if (!user || user.isVerified) return res.json(response);
+
+      const verificationToken = generateVerificationToken();
+      await prisma.user.update({
+        where: { id: user.id },
+        data: {
+          verificationToken,
+          verificationTokenExpires: new Date(Date.now() + VERIFICATION_TOKEN_TTL_MS)
+        }
+      });
+
+      await this.sendVerificationEmail(user, verificationToken);
+
+      res.json(response);
+    } catch (error) {
+      next(error);
+    }
+  };
+
   // Change password
   changePassword = async (req, res, next) => {
     try {
@@ -126,9 +191,88 @@ class AuthController {
       if (!isMatch) throw new AppError('Current password is incorrect', 400);
 
       const hashedPassword = await bcrypt.hash(newPassword, 12);
-      await prisma.user.update({ where: { id: userId }, data: { password: hashedPassword } });
+      await prisma.user.update({
+        where: { id: userId },
+        data: { password: hashedPassword, passwordChangedAt: new Date() }
+      });
 
-      res.json({ success: true, message: 'Password changed successfully' });
+      // Sign out every other device. passwordChangedAt also expires this device's access token, so it gets a new one.
+      await tokenService.revokeAllSessions(userId, { exceptSessionId: req.user.sid });
+
+      res.json({
+        success: true,
+        message: 'Password changed successfully',
+        data: { token: generateToken(user.id, user.role, req.user.sid) }
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Request a password reset email
+  forgotPassword = async (req, res, next) => {
+    try {
+      const { email } = req.body;
+
+      // Same response whether or not the account exists, so emails cannot be probed
+      const response = {
+        success: true,
+        message: 'If an account exists for this email, a password reset link has been sent.'
+      };
+
+      const user = await prisma.user.findUnique({ where: { email } });
+      if (!user) return res.json(response);
+
+      const resetToken = generateVerificationToken();
+      await prisma.user.update({
+        where: { id: user.id },
+        data: {
+          passwordResetToken: hashToken(resetToken),
+          passwordResetExpires: new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000)
+        }
+      });
+
+      // A failed send is only logged, since an error here would give away that the account exists
+      try {
+        await this.sendPasswordResetEmail(user, resetToken);
+      } catch (error) {
+        console.error('Error sending password reset email:', error);
+      }
+
+      res.json(response);
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Reset password with an emailed one-time token
+  resetPassword = async (req, res, next) => {
+    try {
+      const { token, password } = req.body;
+
+      const user = await prisma.user.findFirst({
+        where: {
+          passwordResetToken: hashToken(token),
+          passwordResetExpires: { gt: new Date() }
+        }
+      });
+      if (!user) throw new AppError('Invalid or expired password reset token', 400);
+
+      const hashedPassword = await bcrypt.hash(password, 12);
+
+      // Clearing the token makes it single-use; passwordChangedAt invalidates existing sessions
+      await prisma.user.update({
+        where: { id: user.id },
+        data: {
+          password: hashedPassword,
+          passwordResetToken: null,
+          passwordResetExpires: null,
+          passwordChangedAt: new Date()
+        }
+      });
+      await tokenService.revokeAllSessions(user.id);
+
+      res.json({ success: true, message: 'Password has been reset. Please log in with your new password.' });
     } catch (error) {
       next(error);
     }
@@ -146,11 +290,20 @@ class AuthController {
           lastname: true,
           role: true,
           isVerified: true,
-          skills: true,
-          interests: true,
           location: true,
           createdAt: true,
-          updatedAt: true
+          updatedAt: true,
+          volunteerProfile: {
+            select: { totalHours: true, impactScore: true, level: true, status: true }
+          },
+          organizationMembership: {
+            select: {
+              role: true,
+              organization: {
+                select: { id: true, organizationName: true, verificationStatus: true, isVerified: true }
+              }
+            }
+          }
         }
       });
 
@@ -161,20 +314,77 @@ class AuthController {
     }
   };
 
-  // Refresh token
+  // Refresh token (rotates the refresh token on every use)
   refreshToken = async (req, res, next) => {
     try {
-      const user = req.user;
-      const newToken = generateToken(user.id, user.role);
-      res.json({ success: true, message: 'Token refreshed successfully', data: { token: newToken } });
+      const { refreshToken } = req.body;
+      if (!refreshToken) throw new AppError('Refresh token is required', 400);
+
+      const { token, refreshToken: newRefreshToken } = await tokenService.rotateRefreshToken(refreshToken, sessionMeta(req));
+      res.json({
+        success: true,
+        message: 'Token refreshed successfully',
+        data: { token, refreshToken: newRefreshToken }
+      });
     } catch (error) {
       next(error);
     }
   };
 
-  // Logout
+  // Logout (revokes the current session)
   logout = async (req, res, next) => {
-    res.json({ success: true, message: 'Logout successful' });
+    try {
+      const { refreshToken } = req.body;
+      let sessionId = req.user.sid;
+
+      if (!sessionId && refreshToken) {
+        const session = await tokenService.findSessionByRefreshToken(refreshToken);
+        sessionId = session && session.userId === req.user.id ? session.sessionId : null;
+      }
+
+      if (sessionId) {
+        await tokenService.revokeSession(req.user.id, sessionId);
+      }
+
+      res.json({ success: true, message: 'Logout successful' });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Logout from every device
+  logoutAll = async (req, res, next) => {
+    try {
+      const revoked = await tokenService.revokeAllSessions(req.user.id);
+      res.json({ success: true, message: 'Logged out from all devices', data: { revoked } });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // List my active sessions
+  getSessions = async (req, res, next) => {
+    try {
+      const sessions = await tokenService.listSessions(req.user.id);
+      res.json({
+        success: true,
+        data: sessions.map(session => ({ ...session, current: session.id === req.user.sid }))
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Revoke one of my sessions
+  revokeSession = async (req, res, next) => {
+    try {
+      const revoked = await tokenService.revokeSession(req.user.id, req.params.sessionId);
+      if (!revoked) throw new AppError('Session not found', 404);
+
+      res.json({ success: true, message: 'Session revoked successfully' });
+    } catch (error) {
+      next(error);
+    }
   };
 
   // Delete account
@@ -187,6 +397,14 @@ class AuthController {
       const isMatch = await bcrypt.compare(password, user.password);
       if (!isMatch) throw new AppError('Incorrect password', 400);
 
+      // The organization outlives its members, so its last owner hands it over (or deletes it) first
+      const membership = await findMembership(userId);
+      if (membership && membership.role === 'OWNER') {
+        await assertAnotherOwner(membership,
+          'You are the last owner of your organization. Make someone else an owner or delete the organization first.');
+      }
+
+      // Sessions are deleted with the account, so a failed delete leaves the user logged in
       await prisma.user.delete({ where: { id: userId } });
       res.json({ success: true, message: 'Account deleted successfully' });
     } catch (error) {
@@ -204,6 +422,15 @@ class AuthController {
       context: { name: user.firstname, verificationUrl }
     });
   };
+
+  sendPasswordResetEmail = async (user, token) => {
+    const resetUrl = `${process.env.CLIENT_URL}/reset-password?token=${token}`;
+    await sendEmail({
+      to: user.email,
+      template: 'password-reset',
+      context: { name: user.firstname, resetUrl, expiresInMinutes: PASSWORD_RESET_TTL_MINUTES }
+    });
+  };
 }
 
 module.exports = new AuthController();
@@ -0,0 +1,89 @@
+const { PrismaClient } = require('@prisma/client');
+const certificateService = require('../services/certificateService');
+
+const prisma = new PrismaClient();
+
+// Public base URL of the API, used in verification links
+const apiBaseUrl = (req) => process.env.API_URL || `${req.protocol}://${req.get('host')}`;
+
+class CertificateController {
+  // Get my issued certificates and statements
+  getMyCertificates = async (req, res, next) => {
+    try {
+      const certificates = await prisma.certificate.findMany({
+        where: { volunteerId: req.user.id, revokedAt: null },
+        orderBy: { issuedAt: 'desc' }
+      });
+
+      res.json({
+        success: true,
+        data: certificates.map(certificate => ({
+          ...certificate,
+          verificationUrl: certificateService.verificationUrl(certificate.code, apiBaseUrl(req))
+        }))
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Download a signed certificate for a project
+  downloadProjectCertificate = async (req, res, next) => {
+    try {
+      const certificate = await certificateService.issueProjectCertificate(req.user.id, req.params.projectId);
+      await this.sendPdf(req, res, certificate);
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Download a signed statement of all approved hours
+  downloadHourStatement = async (req, res, next) => {
+    try {
+      const certificate = await certificateService.issueHourStatement(req.user.id);
+      await this.sendPdf(req, res, certificate);
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Check a certificate ID against the database
+  verifyCertificate = async (req, res, next) => {
+    try {
+      const { valid, reason, certificate } = await certificateService.verifyCertificate(req.params.code);
+
+      res.json({
+        success: true,
+        data: {
+          valid,
+          reason,
+          certificate: {
+            code: certificate.code,
+            type: certificate.type,
+            hours: certificate.hours,
+            issuedAt: certificate.issuedAt,
+            revokedAt: certificate.revokedAt,
+            ...certificate.details
+          }
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Helper methods
+  sendPdf = async (req, res, certificate) => {
+    const pdf = await certificateService.renderCertificatePdf(certificate, apiBaseUrl(req));
+    const name = certificate.type === 'HOUR_STATEMENT' ? 'hour-statement' : 'certificate';
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${name}-${certificate.code}.pdf"`,
+      'X-Certificate-Id': certificate.code
+    });
+    res.send(pdf);
+  };
+}
+
+module.exports = new CertificateController();
@@ -0,0 +1,147 @@
+const { PrismaClient } = require('@prisma/client');
+const { AppError } = require('../utils/appError');
+const checkInService = require('../services/checkInService');
+const { PERMISSIONS, assertProjectPermission } = require('../services/organizationAccessService');
+
+const prisma = new PrismaClient();
+
+const volunteerSelect = {
+  id: true,
+  firstname: true,
+  lastname: true,
+  avatar: true
+};
+
+class CheckInController {
+  // The event's QR code, for coordinators to display at the venue
+  getEventCode = async (req, res, next) => {
+    try {
+      const event = await this.findEvent(req.params.eventId);
+      await this.assertTeam(event, req.user);
+
+      res.json({
+        success: true,
+        data: this.codeDetails(event, checkInService.eventCode(event.id))
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // My QR code for an event, for coordinators to scan (it can be saved for use offline)
+  getMyCode = async (req, res, next) => {
+    try {
+      const event = await this.findEvent(req.params.eventId);
+
+      const application = await prisma.application.findUnique({
+        where: { volunteerId_projectId: { volunteerId: req.user.id, projectId: event.projectId } }
+      });
+      if (!application || application.status !== 'ACCEPTED') {
+        throw new AppError('Only volunteers accepted for this project can check in', 403);
+      }
+
+      res.json({
+        success: true,
+        data: this.codeDetails(event, checkInService.volunteerCode(event.id, req.user.id))
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Check in by scanning a code: volunteers scan the event's code, coordinators a volunteer's code
+  checkIn = async (req, res, next) => {
+    try {
+      const { checkIn, duplicate } = await checkInService.checkIn(req.user, req.body, req.params.eventId);
+
+      res.status(duplicate ? 200 : 201).json({
+        success: true,
+        message: duplicate ? 'Already checked in' : 'Checked in successfully',
+        data: checkIn
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Sync scans made while offline
+  syncCheckIns = async (req, res, next) => {
+    try {
+      const results = await checkInService.syncCheckIns(req.user, req.body.checkIns);
+      const count = (status) => results.filter(result => result.status === status).length;
+
+      res.json({
+        success: true,
+        message: `${count('CHECKED_IN')} checked in, ${count('DUPLICATE')} already synced, ${count('REJECTED')} rejected`,
+        data: results
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Attendance of an event: who checked in, and accepted volunteers who have not
+  getCheckIns = async (req, res, next) => {
+    try {
+      const event = await this.findEvent(req.params.eventId);
+      await this.assertTeam(event, req.user);
+
+      const [checkIns, accepted] = await Promise.all([
+        prisma.eventCheckIn.findMany({
+          where: { eventId: event.id },
+          include: {
+            volunteer: { select: volunteerSelect },
+            recordedBy: { select: { id: true, firstname: true, lastname: true } },
+            hourEntry: { select: { id: true, hours: true, status: true } }
+          },
+          orderBy: { checkedInAt: 'asc' }
+        }),
+        prisma.application.findMany({
+          where: { projectId: event.projectId, status: 'ACCEPTED' },
+          select: { volunteer: { select: volunteerSelect } }
+        })
+      ]);
+
+      const checkedIn = checkIns.map(checkIn => checkIn.volunteerId);
+
+      res.json({
+        success: true,
+        data: {
+          checkIns,
+          notCheckedIn: accepted
+            .map(application => application.volunteer)
+            .filter(volunteer => !checkedIn.includes(volunteer.id)),
+          expected: accepted.length
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Helper methods
+  findEvent = async (eventId) => {
+    const event = await prisma.event.findUnique({
+      where: { id: eventId },
+      include: { project: true }
+    });
+
+    if (!event) {
+      throw new AppError('Event not found', 404);
+    }
+    return event;
+  };
+
+  assertTeam = (event, user) =>
+    assertProjectPermission(event.project, user, PERMISSIONS.REVIEW_VOLUNTEERS,
+      'Access denied. Only the project\'s organization can manage check-ins.');
+
+  codeDetails = (event, code) => ({
+    eventId: event.id,
+    code,
+    ...checkInService.checkInWindow(event),
+    geofence: checkInService.geofenceOf(event)
+  });
+}
+
+module.exports = new CheckInController();
@@ -0,0 +1,494 @@
+const { PrismaClient } = require('@prisma/client');
+const { AppError } = require('../utils/appError');
+const { sendNotification } = require('../services/notificationService');
+const eventService = require('../services/eventService');
+const { OPEN_STATUSES, isPublicStatus } = require('../services/projectLifecycleService');
+const { PERMISSIONS, canOnProject, assertProjectPermission } = require('../services/organizationAccessService');
+
+const prisma = new PrismaClient();
+
+class EventController {
+  // Get events of a project
+  getProjectEvents = async (req, res, next) => {
+    try {
+      const { id: projectId } = req.params;
+      const { status } = req.query;
+
+      const project = await prisma.project.findUnique({ where: { id: projectId } });
+      if (!project || !await this.canSeeEvents(project, req.user)) {
+        throw new AppError('Project not found', 404);
+      }
+
+      const where = { projectId };
+      if (status) {
+        where.status = status;
+      }
+
+      const events = await prisma.event.findMany({
+        where,
+        include: { shifts: { orderBy: { startTime: 'asc' } } },
+        orderBy: { startTime: 'asc' }
+      });
+
+      const shifts = await this.withSignupCounts(events.flatMap(event => event.shifts));
+      const shiftsById = new Map(shifts.map(shift => [shift.id, shift]));
+
+      res.json({
+        success: true,
+        data: events.map(event => ({
+          ...event,
+          shifts: event.shifts.map(shift => shiftsById.get(shift.id))
+        }))
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Create an event for a project
+  createEvent = async (req, res, next) => {
+    try {
+      const { id: projectId } = req.params;
+      const { title, description, location, startTime, endTime, capacity, checkInRadius } = req.body;
+
+      const project = await prisma.project.findUnique({ where: { id: projectId } });
+      if (!project) {
+        throw new AppError('Project not found', 404);
+      }
+      await this.assertCanManage(project, req.user);
+      this.assertProjectOpen(project);
+      this.assertCanGeofence(project, checkInRadius);
+
+      const event = await prisma.event.create({
+        data: {
+          projectId,
+          title,
+          description,
+          location: location || project.location,
+          startTime,
+          endTime,
+          capacity,
+          checkInRadius
+        }
+      });
+
+      // Let accepted volunteers know there is something new to sign up for
+      const accepted = await prisma.application.findMany({
+        where: { projectId, status: 'ACCEPTED' },
+        select: { volunteerId: true }
+      });
+
+      for (const { volunteerId } of accepted) {
+        await sendNotification({
+          userId: volunteerId,
+          type: 'NEW_EVENT',
+          title: 'New Event Scheduled',
+          message: `"${event.title}" has been scheduled for the project "${project.title}".`,
+          data: { projectId, eventId: event.id }
+        });
+      }
+
+      res.status(201).json({
+        success: true,
+        message: 'Event created successfully',
+        data: event
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Get a single event with its shifts
+  getEvent = async (req, res, next) => {
+    try {
+      const event = await this.findEvent(req.params.eventId, {
+        shifts: { orderBy: { startTime: 'asc' } }
+      });
+      if (!await this.canSeeEvents(event.project, req.user)) {
+        throw new AppError('Event not found', 404);
+      }
+
+      const shifts = await this.withSignupCounts(event.shifts);
+
+      // Show volunteers where they stand on each shift
+      let mySignups = [];
+      if (req.user && req.user.role === 'VOLUNTEER') {
+        mySignups = await prisma.shiftSignup.findMany({
+          where: {
+            volunteerId: req.user.id,
+            shiftId: { in: shifts.map(shift => shift.id) },
+            status: { not: 'CANCELLED' }
+          }
+        });
+      }
+
+      res.json({
+        success: true,
+        data: { ...event, shifts, mySignups }
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Update an event
+  updateEvent = async (req, res, next) => {
+    try {
+      const event = await this.findEvent(req.params.eventId, { shifts: true });
+      await this.assertCanManage(event.project, req.user);
+
+      if (['COMPLETED', 'CANCELLED'].includes(event.status)) {
+        throw new AppError(`A ${event.status.toLowerCase()} event cannot be changed`, 400);
+      }
+
+      // Events only ever go to CANCELLED by hand, and only before they start; the scheduler does the rest
+      const updates = req.body;
+      const cancels = updates.status === 'CANCELLED';
+      if (cancels && event.status !== 'UPCOMING') {
+        throw new AppError('Only upcoming events can be cancelled', 400);
+      }
+
+      const startTime = updates.startTime || event.startTime;
+      const endTime = updates.endTime || event.endTime;
+
+      if (endTime <= startTime) {
+        throw new AppError('endTime must be after startTime', 400);
+      }
+      if (event.shifts.some(shift => shift.startTime < startTime || shift.endTime > endTime)) {
+        throw new AppError('All shifts must stay within the event time. Move or delete shifts first.', 400);
+      }
+      this.assertCanGeofence(event.project, updates.checkInRadius);
+
+      let updatedEvent;
+      if (cancels) {
+        const cancellation = await eventService.cancelEvent(event, updates);
+        updatedEvent = cancellation.event;
+        await this.notifyEventCancelled(event, cancellation.volunteerIds);
+      } else {
+        updatedEvent = await prisma.event.update({
+          where: { id: event.id },
+          data: updates
+        });
+      }
+
+      res.json({
+        success: true,
+        message: cancels ? 'Event cancelled successfully' : 'Event updated successfully',
+        data: updatedEvent
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Delete an event
+  deleteEvent = async (req, res, next) => {
+    try {
+      const event = await this.findEvent(req.params.eventId);
+      await this.assertCanManage(event.project, req.user);
+
+      // Collect recipients before the sign-ups are deleted with the event
+      const signups = await this.activeSignups(event.id);
+
+      await prisma.event.delete({ where: { id: event.id } });
+      await this.notifyEventCancelled(event, signups);
+
+      res.json({
+        success: true,
+        message: 'Event deleted successfully'
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Add a shift to an event
+  createShift = async (req, res, next) => {
+    try {
+      const event = await this.findEvent(req.params.eventId);
+      await this.assertCanManage(event.project, req.user);
+      this.assertProjectOpen(event.project);
+      if (['COMPLETED', 'CANCELLED'].includes(event.status)) {
+        throw new AppError(`Shifts cannot be added to a ${event.status.toLowerCase()} event`, 400);
+      }
+
+      const { title, startTime, endTime, capacity } = req.body;
+      this.assertWithinEvent(event, startTime, endTime);
+
+      const shift = await prisma.shift.create({
+        data: { eventId: event.id, title, startTime, endTime, capacity }
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Shift created successfully',
+        data: shift
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Update a shift
+  updateShift = async (req, res, next) => {
+    try {
+      const shift = await this.findShift(req.params.shiftId);
+      await this.assertCanManage(shift.event.project, req.user);
+
+      const updates = req.body;
+      this.assertWithinEvent(
+        shift.event,
+        updates.startTime || shift.startTime,
+        updates.endTime || shift.endTime
+      );
+
+      if (updates.capacity) {
+        const confirmed = await prisma.shiftSignup.count({
+          where: { shiftId: shift.id, status: 'CONFIRMED' }
+        });
+        if (updates.capacity < confirmed) {
+          throw new AppError(`${confirmed} volunteers are already confirmed for this shift`, 400);
+        }
+      }
+
+      const updatedShift = await prisma.shift.update({
+        where: { id: shift.id },
+        data: updates,
+        include: { event: true }
+      });
+
+      // A larger capacity frees places for people on the waitlist
+      const promoted = await eventService.promoteFromWaitlist(updatedShift);
+
+      res.json({
+        success: true,
+        message: 'Shift updated successfully',
+        data: { ...updatedShift, promoted: promoted.length }
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Delete a shift
+  deleteShift = async (req, res, next) => {
+    try {
+      const shift = await this.findShift(req.params.shiftId);
+      await this.assertCanManage(shift.event.project, req.user);
+
+      const signups = await prisma.shiftSignup.findMany({
+        where: { shiftId: shift.id, status: { in: ['CONFIRMED', 'WAITLISTED'] } },
+        select: { volunteerId: true }
+      });
+
+      await prisma.shift.delete({ where: { id: shift.id } });
+
+      for (const { volunteerId } of signups) {
+        await sendNotification({
+          userId: volunteerId,
+          type: 'SHIFT_CANCELLED',
+          title: 'Shift Cancelled',
+          message: `A shift you signed up for in "${shift.event.title}" has been cancelled.`,
+          data: { eventId: shift.eventId, shiftId: shift.id }
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Shift deleted successfully'
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Get sign-ups for a shift (for the project's team)
+  getShiftSignups = async (req, res, next) => {
+    try {
+      const shift = await this.findShift(req.params.shiftId);
+      await this.assertCanManage(shift.event.project, req.user, PERMISSIONS.REVIEW_VOLUNTEERS);
+
+      const signups = await prisma.shiftSignup.findMany({
+        where: { shiftId: shift.id, status: { not: 'CANCELLED' } },
+        include: {
+          volunteer: {
+            select: {
+              id: true,
+              firstname: true,
+              lastname: true,
+              email: true,
+              avatar: true
+            }
+          }
+        },
+        orderBy: [{ status: 'asc' }, { signedUpAt: 'asc' }]
+      });
+
+      res.json({
+        success: true,
+        data: {
+          capacity: eventService.shiftCapacity(shift),
+          confirmed: signups.filter(signup => signup.status === 'CONFIRMED'),
+          waitlist: signups.filter(signup => signup.status === 'WAITLISTED')
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Sign up for a shift (accepted volunteers only)
+  signUpForShift = async (req, res, next) => {
+    try {
+      const shift = await this.findShift(req.params.shiftId);
+      const volunteerId = req.user.id;
+
+      if (['COMPLETED', 'CANCELLED'].includes(shift.event.status) || shift.startTime <= new Date()) {
+        throw new AppError('This shift is no longer open for sign-up', 400);
+      }
+
+      const application = await prisma.application.findUnique({
+        where: {
+          volunteerId_projectId: {
+            volunteerId,
+            projectId: shift.event.projectId
+          }
+        }
+      });
+
+      if (!application || application.status !== 'ACCEPTED') {
+        throw new AppError('Only volunteers accepted for this project can sign up for its shifts', 403);
+      }
+
+      const signup = await eventService.signUpForShift(shift, volunteerId);
+
+      res.status(201).json({
+        success: true,
+        message: signup.status === 'CONFIRMED'
+          ? 'You are signed up for this shift'
+          : 'This shift is full. You have been added to the waitlist.',
+        data: signup
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Cancel my sign-up for a shift
+  cancelShiftSignup = async (req, res, next) => {
+    try {
+      const shift = await this.findShift(req.params.shiftId);
+      await eventService.cancelShiftSignup(shift, req.user.id);
+
+      res.json({
+        success: true,
+        message: 'Shift sign-up cancelled'
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Helper methods
+  findEvent = async (eventId, include = {}) => {
+    const event = await prisma.event.findUnique({
+      where: { id: eventId },
+      include: { project: true, ...include }
+    });
+
+    if (!event) {
+      throw new AppError('Event not found', 404);
+    }
+    return event;
+  };
+
+  findShift = async (shiftId) => {
+    const shift = await prisma.shift.findUnique({
+      where: { id: shiftId },
+      include: { event: { include: { project: true } } }
+    });
+
+    if (!shift) {
+      throw new AppError('Shift not found', 404);
+    }
+    return shift;
+  };
+
+  // Events and shifts are only scheduled while the project is live, since accepted volunteers hear about them
+  assertProjectOpen = (project) => {
+    if (!OPEN_STATUSES.includes(project.status)) {
+      throw new AppError('Events can only be scheduled while the project is active', 400);
+    }
+  };
+
+  // Events are public while their project is live or over; the team also sees them for drafts, projects
+  // under review and cancelled projects
+  canSeeEvents = async (project, user) =>
+    (isPublicStatus(project.status) && project.status !== 'CANCELLED') ||
+    canOnProject(project, user, PERMISSIONS.REVIEW_VOLUNTEERS);
+
+  assertCanManage = (project, user, permission = PERMISSIONS.MANAGE_PROJECTS) =>
+    assertProjectPermission(project, user, permission,
+      'Access denied. Only the project\'s organization can manage its events.');
+
+  // The geofence is centered on the project's location, so the project needs one
+  assertCanGeofence = (project, checkInRadius) => {
+    if (checkInRadius && (project.latitude == null || project.longitude == null)) {
+      throw new AppError('Set the project\'s latitude and longitude before adding a check-in radius', 400);
+    }
+  };
+
+  assertWithinEvent = (event, startTime, endTime) => {
+    if (new Date(endTime) <= new Date(startTime)) {
+      throw new AppError('endTime must be after startTime', 400);
+    }
+    if (new Date(startTime) < event.startTime || new Date(endTime) > event.endTime) {
+      throw new AppError('Shifts must fall within the event start and end time', 400);
+    }
+  };
+
+  // IDs of volunteers holding a confirmed or waitlisted place on any shift of an event
+  activeSignups = async (eventId) => {
+    const signups = await prisma.shiftSignup.findMany({
+      where: { shift: { eventId }, status: { in: ['CONFIRMED', 'WAITLISTED'] } },
+      select: { volunteerId: true },
+      distinct: ['volunteerId']
+    });
+    return signups.map(signup => signup.volunteerId);
+  };
+
+  notifyEventCancelled = async (event, volunteerIds) => {
+    for (const volunteerId of volunteerIds) {
+      await sendNotification({
+        userId: volunteerId,
+        type: 'EVENT_CANCELLED',
+        title: 'Event Cancelled',
+        message: `The event "${event.title}" has been cancelled.`,
+        data: { projectId: event.projectId, eventId: event.id }
+      });
+    }
+  };
+
+  // Add confirmed and waitlisted sign-up counts to shifts
+  withSignupCounts = async (shifts) => {
+    const counts = await prisma.shiftSignup.groupBy({
+      by: ['shiftId', 'status'],
+      where: {
+        shiftId: { in: shifts.map(shift => shift.id) },
+        status: { in: ['CONFIRMED', 'WAITLISTED'] }
+      },
+      _count: { _all: true }
+    });
+
+    const countFor = (shiftId, status) =>
+      counts.find(count => count.shiftId === shiftId && count.status === status)?._count._all || 0;
+
+    return shifts.map(shift => ({
+      ...shift,
+      confirmedCount: countFor(shift.id, 'CONFIRMED'),
+      waitlistCount: countFor(shift.id, 'WAITLISTED')
+    }));
+  };
+}
+
+module.exports = new EventController();
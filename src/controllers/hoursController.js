@@ -0,0 +1,428 @@
+const { PrismaClient } = require('@prisma/client');
+const { AppError } = require('../utils/appError');
+const { sendNotification } = require('../services/notificationService');
+const hoursService = require('../services/hoursService');
+const { PERMISSIONS, canOnProject, projectTeamIds } = require('../services/organizationAccessService');
+
+const prisma = new PrismaClient();
+
+const entryInclude = {
+  volunteer: {
+    select: {
+      id: true,
+      firstname: true,
+      lastname: true,
+      avatar: true
+    }
+  },
+  project: {
+    select: {
+      id: true,
+      title: true
+    }
+  },
+  event: {
+    select: {
+      id: true,
+      title: true,
+      startTime: true
+    }
+  },
+  reviewedBy: {
+    select: {
+      id: true,
+      firstname: true,
+      lastname: true
+    }
+  },
+  // Hours drafted from attendance show how it was recorded, including self-scans with an unverified time
+  checkIn: {
+    select: {
+      method: true,
+      checkedInAt: true,
+      timeVerified: true,
+      syncedAt: true
+    }
+  }
+};
+
+class HoursController {
+  // Log hours for a project (optionally against one of its events)
+  logHours = async (req, res, next) => {
+    try {
+      const { id: projectId } = req.params;
+      const { date, hours, description, eventId } = req.body;
+      const volunteerId = req.user.id;
+
+      const project = await prisma.project.findUnique({ where: { id: projectId } });
+      if (!project) {
+        throw new AppError('Project not found', 404);
+      }
+
+      await this.assertAcceptedVolunteer(volunteerId, projectId);
+      this.assertWithinProject(project, date);
+      if (eventId) {
+        await this.assertProjectEvent(projectId, eventId);
+      }
+
+      const participation = await prisma.volunteerParticipation.findFirst({
+        where: { userId: volunteerId, projectId }
+      });
+
+      const entry = await prisma.$transaction(async (tx) => {
+        const created = await tx.hourEntry.create({
+          data: {
+            volunteerId,
+            projectId,
+            eventId,
+            participationId: participation ? participation.id : null,
+            date,
+            hours,
+            description
+          }
+        });
+
+        await hoursService.recordHourActivity(tx, {
+          userId: volunteerId,
+          action: 'HOURS_SUBMITTED',
+          entryId: created.id,
+          details: { hours, date, eventId: eventId || null }
+        });
+
+        return created;
+      });
+
+      await this.notifyReviewers(project, entry, req.user);
+
+      res.status(201).json({
+        success: true,
+        message: 'Hours submitted for review',
+        data: entry
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Get hour entries of a project (managers see everyone's submitted entries, volunteers their own)
+  getProjectHours = async (req, res, next) => {
+    try {
+      const { id: projectId } = req.params;
+      const { status, volunteerId, page, limit } = req.query;
+
+      const project = await prisma.project.findUnique({ where: { id: projectId } });
+      if (!project) {
+        throw new AppError('Project not found', 404);
+      }
+
+      const where = { projectId };
+      if (await this.canManage(project, req.user)) {
+        if (volunteerId) {
+          where.volunteerId = volunteerId;
+        }
+        // Drafts are the volunteer's until submitted
+        where.NOT = { status: 'DRAFT' };
+      } else if (req.user.role === 'VOLUNTEER') {
+        where.volunteerId = req.user.id;
+      } else {
+        throw new AppError('Access denied', 403);
+      }
+      if (status) {
+        where.status = status;
+      }
+
+      const [entries, totalCount, totals] = await Promise.all([
+        prisma.hourEntry.findMany({
+          where,
+          include: entryInclude,
+          orderBy: [{ date: 'desc' }, { id: 'desc' }],
+          skip: (page - 1) * limit,
+          take: limit
+        }),
+        prisma.hourEntry.count({ where }),
+        hoursService.getProjectHourTotals(projectId)
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          entries,
+          totals,
+          pagination: {
+            currentPage: page,
+            totalPages: Math.ceil(totalCount / limit),
+            totalItems: totalCount,
+            itemsPerPage: limit
+          }
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Get my hour entries with approved, pending and draft totals
+  getMyHours = async (req, res, next) => {
+    try {
+      const { status, projectId, page, limit } = req.query;
+      const volunteerId = req.user.id;
+
+      const where = { volunteerId };
+      if (status) {
+        where.status = status;
+      }
+      if (projectId) {
+        where.projectId = projectId;
+      }
+
+      const [entries, totalCount, byStatus] = await Promise.all([
+        prisma.hourEntry.findMany({
+          where,
+          include: entryInclude,
+          orderBy: [{ date: 'desc' }, { id: 'desc' }],
+          skip: (page - 1) * limit,
+          take: limit
+        }),
+        prisma.hourEntry.count({ where }),
+        prisma.hourEntry.groupBy({
+          by: ['status'],
+          where: { volunteerId },
+          _sum: { hours: true, approvedHours: true }
+        })
+      ]);
+
+      const sumFor = (status, field) => byStatus.find(group => group.status === status)?._sum[field] || 0;
+
+      res.json({
+        success: true,
+        data: {
+          entries,
+          totals: {
+            approved: sumFor('APPROVED', 'approvedHours'),
+            pending: sumFor('PENDING', 'hours'),
+            draft: sumFor('DRAFT', 'hours')
+          },
+          pagination: {
+            currentPage: page,
+            totalPages: Math.ceil(totalCount / limit),
+            totalItems: totalCount,
+            itemsPerPage: limit
+          }
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Edit a draft, pending or rejected entry; drafts are submitted and rejected entries go back for review
+  updateHourEntry = async (req, res, next) => {
+    try {
+      const entry = await this.findEntry(req.params.entryId);
+
+      if (entry.volunteerId !== req.user.id) {
+        throw new AppError('Access denied', 403);
+      }
+      if (entry.status === 'APPROVED') {
+        throw new AppError('Approved hours cannot be edited', 400);
+      }
+
+      const updates = req.body;
+      this.assertWithinProject(entry.project, updates.date || entry.date);
+      if (updates.eventId) {
+        await this.assertProjectEvent(entry.projectId, updates.eventId);
+      }
+
+      const updatedEntry = await prisma.$transaction(async (tx) => {
+        const updated = await tx.hourEntry.update({
+          where: { id: entry.id },
+          data: {
+            ...updates,
+            status: 'PENDING',
+            reviewNote: null,
+            reviewedById: null,
+            reviewedAt: null
+          }
+        });
+
+        const actions = { DRAFT: 'HOURS_SUBMITTED', REJECTED: 'HOURS_RESUBMITTED' };
+        await hoursService.recordHourActivity(tx, {
+          userId: req.user.id,
+          action: actions[entry.status] || 'HOURS_UPDATED',
+          entryId: entry.id,
+          details: {
+            previous: {
+              date: entry.date,
+              hours: entry.hours,
+              description: entry.description,
+              eventId: entry.eventId
+            },
+            changes: updates
+          }
+        });
+
+        return updated;
+      });
+
+      if (entry.status === 'DRAFT') {
+        await this.notifyReviewers(entry.project, updatedEntry, req.user);
+      }
+
+      res.json({
+        success: true,
+        message: entry.status === 'DRAFT' ? 'Hours submitted for review' : 'Hour entry updated successfully',
+        data: updatedEntry
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Delete a draft or pending entry
+  deleteHourEntry = async (req, res, next) => {
+    try {
+      const entry = await this.findEntry(req.params.entryId);
+
+      if (entry.volunteerId !== req.user.id) {
+        throw new AppError('Access denied', 403);
+      }
+      if (!['DRAFT', 'PENDING'].includes(entry.status)) {
+        throw new AppError('Only draft or pending hour entries can be deleted', 400);
+      }
+
+      await prisma.$transaction(async (tx) => {
+        await tx.hourEntry.delete({ where: { id: entry.id } });
+        await hoursService.recordHourActivity(tx, {
+          userId: req.user.id,
+          action: 'HOURS_DELETED',
+          entryId: entry.id,
+          details: { hours: entry.hours, date: entry.date, projectId: entry.projectId }
+        });
+      });
+
+      res.json({
+        success: true,
+        message: 'Hour entry deleted successfully'
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Approve, adjust or reject an entry
+  reviewHourEntry = async (req, res, next) => {
+    try {
+      const entry = await this.findEntry(req.params.entryId);
+
+      if (!await this.canManage(entry.project, req.user)) {
+        throw new AppError('Access denied', 403);
+      }
+      if (entry.status === 'DRAFT') {
+        throw new AppError('Draft hours have not been submitted for review yet', 400);
+      }
+
+      const { status, hours, note } = req.body;
+      const { entry: reviewedEntry, adjusted, revokedCertificates } = await hoursService.reviewHourEntry(entry, req.user.id, {
+        status,
+        hours,
+        note
+      });
+
+      const outcome = status === 'REJECTED' ? 'rejected' : adjusted ? 'adjusted and approved' : 'approved';
+      const hoursText = adjusted ? `${reviewedEntry.approvedHours} of your ${entry.hours}` : `${entry.hours}`;
+
+      await sendNotification({
+        userId: entry.volunteerId,
+        type: 'HOURS_REVIEWED',
+        title: status === 'REJECTED' ? 'Hours Rejected' : 'Hours Approved',
+        message: `${hoursText} hours on "${entry.project.title}" were ${outcome}.` + (note ? ` Note: ${note}` : '') +
+          (revokedCertificates ? ' Certificates issued for your earlier hours were revoked; request new ones.' : ''),
+        data: { projectId: entry.projectId, hourEntryId: entry.id, status }
+      });
+
+      res.json({
+        success: true,
+        message: `Hours ${outcome} successfully`,
+        data: reviewedEntry
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Audit trail of an entry
+  getHourEntryHistory = async (req, res, next) => {
+    try {
+      const entry = await this.findEntry(req.params.entryId);
+
+      if (entry.volunteerId !== req.user.id && !await this.canManage(entry.project, req.user)) {
+        throw new AppError('Access denied', 403);
+      }
+
+      const history = await hoursService.getHourEntryHistory(entry.id);
+
+      res.json({
+        success: true,
+        data: { entry, history }
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Helper methods
+  findEntry = async (entryId) => {
+    const entry = await prisma.hourEntry.findUnique({
+      where: { id: entryId },
+      include: { project: true }
+    });
+
+    if (!entry) {
+      throw new AppError('Hour entry not found', 404);
+    }
+    return entry;
+  };
+
+  notifyReviewers = async (project, entry, volunteer) => {
+    for (const userId of await projectTeamIds(project, PERMISSIONS.REVIEW_VOLUNTEERS)) {
+      await sendNotification({
+        userId,
+        type: 'HOURS_SUBMITTED',
+        title: 'Hours Submitted for Review',
+        message: `${volunteer.firstname} ${volunteer.lastname} logged ${entry.hours} hours on "${project.title}".`,
+        data: { projectId: project.id, hourEntryId: entry.id }
+      });
+    }
+  };
+
+  canManage = (project, user) => canOnProject(project, user, PERMISSIONS.REVIEW_VOLUNTEERS);
+
+  assertAcceptedVolunteer = async (volunteerId, projectId) => {
+    const application = await prisma.application.findUnique({
+      where: { volunteerId_projectId: { volunteerId, projectId } }
+    });
+
+    if (!application || application.status !== 'ACCEPTED') {
+      throw new AppError('Only accepted volunteers can log hours for this project', 403);
+    }
+  };
+
+  assertWithinProject = (project, date) => {
+    // Entries are per day, so compare against the day the project started
+    const projectStartDay = new Date(project.startDate);
+    projectStartDay.setUTCHours(0, 0, 0, 0);
+
+    if (new Date(date) < projectStartDay) {
+      throw new AppError('Hours cannot be logged before the project start date', 400);
+    }
+  };
+
+  assertProjectEvent = async (projectId, eventId) => {
+    const event = await prisma.event.findUnique({ where: { id: eventId } });
+    if (!event || event.projectId !== projectId) {
+      throw new AppError('Event does not belong to this project', 400);
+    }
+  };
+}
+
+module.exports = new HoursController();
@@ -0,0 +1,40 @@
+const { AppError } = require('../utils/appError');
+const { geocode, listAreas } = require('../services/geocoder');
+
+class LocationController {
+  // Get Rwandan provinces, districts and known sectors
+  getAreas = async (req, res, next) => {
+    try {
+      res.json({
+        success: true,
+        data: listAreas()
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Resolve a free-text location to coordinates
+  geocodeLocation = async (req, res, next) => {
+    try {
+      const { q } = req.query;
+      if (!q || !String(q).trim()) {
+        throw new AppError('Query parameter q is required', 400);
+      }
+
+      const place = geocode(String(q));
+      if (!place) {
+        throw new AppError(`No Rwandan sector, district or province found in "${q}"`, 404);
+      }
+
+      res.json({
+        success: true,
+        data: place
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+module.exports = new LocationController();
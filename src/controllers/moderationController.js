@@ -0,0 +1,300 @@
+const { PrismaClient } = require('@prisma/client');
+const { AppError } = require('../utils/appError');
+const moderationService = require('../services/moderationService');
+const { findPage } = require('../utils/pagination');
+
+const prisma = new PrismaClient();
+
+const userSummary = {
+  select: {
+    id: true,
+    firstname: true,
+    lastname: true,
+    email: true,
+    createdAt: true
+  }
+};
+
+class ModerationController {
+  // Counts of pending organizations, projects awaiting review and open reports
+  getQueue = async (req, res, next) => {
+    try {
+      const summary = await moderationService.getQueueSummary();
+
+      res.json({
+        success: true,
+        data: summary
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Organizations by verification status, oldest first
+  getOrganizations = async (req, res, next) => {
+    try {
+      const { items: organizations, pagination } = await findPage(prisma.organizationProfile, {
+        where: { verificationStatus: req.query.status },
+        include: {
+          user: userSummary,
+          ngo: true,
+          claimedNgo: true,
+          documents: {
+            omit: { url: true },
+            orderBy: { uploadedAt: 'desc' }
+          }
+        },
+        sort: { sortBy: 'createdAt', sortOrder: 'asc' },
+        query: req.query
+      });
+
+      res.json({
+        success: true,
+        data: {
+          organizations,
+          pagination
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Approve or reject an organization
+  reviewOrganization = async (req, res, next) => {
+    try {
+      const organization = await prisma.organizationProfile.findUnique({
+        where: { id: req.params.organizationId }
+      });
+
+      if (!organization) {
+        throw new AppError('Organization not found', 404);
+      }
+
+      const updatedOrganization = await moderationService.reviewOrganization(organization, req.user, req.body);
+
+      res.json({
+        success: true,
+        message: `Organization ${updatedOrganization.verificationStatus.toLowerCase()}`,
+        data: updatedOrganization
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Projects awaiting review, oldest first, with their organization's verification status
+  getProjects = async (req, res, next) => {
+    try {
+      const { items: projects, pagination } = await findPage(prisma.project, {
+        where: { status: 'PENDING_REVIEW' },
+        include: {
+          creator: userSummary,
+          organization: {
+            select: {
+              id: true,
+              organizationName: true,
+              verificationStatus: true
+            }
+          },
+          requiredSkills: {
+            include: { skill: true }
+          }
+        },
+        sort: { sortBy: 'createdAt', sortOrder: 'asc' },
+        query: req.query
+      });
+
+      res.json({
+        success: true,
+        data: {
+          projects,
+          pagination
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Approve a submitted project or return it to draft
+  reviewProject = async (req, res, next) => {
+    try {
+      const project = await prisma.project.findUnique({
+        where: { id: req.params.projectId }
+      });
+
+      if (!project) {
+        throw new AppError('Project not found', 404);
+      }
+
+      const updatedProject = await moderationService.reviewProject(project, req.user, req.body);
+
+      res.json({
+        success: true,
+        message: req.body.decision === 'APPROVE' ? 'Project approved' : 'Project returned to draft',
+        data: updatedProject
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Report a project or organization
+  createReport = async (req, res, next) => {
+    try {
+      const report = await moderationService.fileReport(req.user, req.body);
+
+      res.status(201).json({
+        success: true,
+        message: 'Thank you. Our moderators will review your report.',
+        data: report
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Reports by status, oldest first, with the reported project or organization
+  getReports = async (req, res, next) => {
+    try {
+      const { status, targetType } = req.query;
+
+      const where = { status };
+      if (targetType) {
+        where.targetType = targetType;
+      }
+
+      const { items: reports, pagination } = await findPage(prisma.contentReport, {
+        where,
+        include: {
+          reporter: userSummary,
+          resolvedBy: userSummary
+        },
+        sort: { sortBy: 'createdAt', sortOrder: 'asc' },
+        query: req.query
+      });
+
+      res.json({
+        success: true,
+        data: {
+          reports: await this.withTargets(reports),
+          pagination
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Take reported content down or dismiss the report
+  resolveReport = async (req, res, next) => {
+    try {
+      const report = await prisma.contentReport.findUnique({
+        where: { id: req.params.reportId }
+      });
+
+      if (!report) {
+        throw new AppError('Report not found', 404);
+      }
+
+      const updatedReport = await moderationService.resolveReport(report, req.user, req.body);
+
+      res.json({
+        success: true,
+        message: `Report ${updatedReport.status.toLowerCase()}`,
+        data: updatedReport
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Assign an account its role, e.g. to make a vetted agency a government account
+  changeUserRole = async (req, res, next) => {
+    try {
+      const user = await prisma.user.findUnique({
+        where: { id: req.params.userId },
+        include: { organizationMembership: true }
+      });
+
+      if (!user) {
+        throw new AppError('User not found', 404);
+      }
+
+      const updatedUser = await moderationService.changeUserRole(user, req.user, req.body);
+
+      res.json({
+        success: true,
+        message: `Role changed to ${updatedUser.role}`,
+        data: updatedUser
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Moderator actions, newest first
+  getAuditLog = async (req, res, next) => {
+    try {
+      const { entityType, moderatorId } = req.query;
+
+      const where = { action: { in: moderationService.MODERATION_ACTIONS } };
+      if (entityType) {
+        where.entityType = entityType;
+      }
+      if (moderatorId) {
+        where.userId = moderatorId;
+      }
+
+      const { items: entries, pagination } = await findPage(prisma.activityLog, {
+        where,
+        include: {
+          user: {
+            select: { id: true, firstname: true, lastname: true }
+          }
+        },
+        sort: { sortBy: 'createdAt', sortOrder: 'desc' },
+        query: req.query
+      });
+
+      res.json({
+        success: true,
+        data: {
+          entries,
+          pagination
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Attach a short summary of the reported project or organization to each report
+  withTargets = async (reports) => {
+    const idsOf = (type) => reports.filter(report => report.targetType === type).map(report => report.targetId);
+
+    const [projects, organizations] = await Promise.all([
+      prisma.project.findMany({
+        where: { id: { in: idsOf('PROJECT') } },
+        select: { id: true, title: true, status: true, creatorId: true }
+      }),
+      prisma.organizationProfile.findMany({
+        where: { id: { in: idsOf('ORGANIZATION') } },
+        select: { id: true, organizationName: true, verificationStatus: true, userId: true }
+      })
+    ]);
+
+    const targets = {
+      PROJECT: new Map(projects.map(project => [project.id, project])),
+      ORGANIZATION: new Map(organizations.map(organization => [organization.id, organization]))
+    };
+
+    return reports.map(report => ({
+      ...report,
+      target: targets[report.targetType].get(report.targetId) || null
+    }));
+  };
+}
+
+module.exports = new ModerationController();
@@ -0,0 +1,138 @@
+const { PrismaClient } = require('@prisma/client');
+const { AppError } = require('../utils/appError');
+const { getUnreadCount } = require('../services/notificationService');
+
+const prisma = new PrismaClient();
+
+class NotificationController {
+  // Get my notifications with pagination
+  getNotifications = async (req, res, next) => {
+    try {
+      const { page, limit, unreadOnly, type } = req.query;
+      const userId = req.user.id;
+
+      const where = { userId };
+      if (unreadOnly) {
+        where.isRead = false;
+      }
+      if (type) {
+        where.type = type;
+      }
+
+      const [notifications, totalCount, unreadCount] = await Promise.all([
+        prisma.notification.findMany({
+          where,
+          orderBy: { createdAt: 'desc' },
+          skip: (page - 1) * limit,
+          take: limit
+        }),
+        prisma.notification.count({ where }),
+        getUnreadCount(userId)
+      ]);
+
+      const totalPages = Math.ceil(totalCount / limit);
+
+      res.json({
+        success: true,
+        data: {
+          notifications,
+          unreadCount,
+          pagination: {
+            currentPage: page,
+            totalPages,
+            totalItems: totalCount,
+            itemsPerPage: limit,
+            hasNext: page < totalPages,
+            hasPrev: page > 1
+          }
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Get my unread notification count
+  getUnreadCount = async (req, res, next) => {
+    try {
+      const unreadCount = await getUnreadCount(req.user.id);
+      res.json({ success: true, data: { unreadCount } });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Mark a notification as read
+  markAsRead = async (req, res, next) => {
+    try {
+      const notification = await this.findOwnNotification(req);
+
+      const updated = await prisma.notification.update({
+        where: { id: notification.id },
+        data: { isRead: true, readAt: notification.readAt || new Date() }
+      });
+
+      res.json({ success: true, message: 'Notification marked as read', data: updated });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Mark a notification as unread
+  markAsUnread = async (req, res, next) => {
+    try {
+      const notification = await this.findOwnNotification(req);
+
+      const updated = await prisma.notification.update({
+        where: { id: notification.id },
+        data: { isRead: false, readAt: null }
+      });
+
+      res.json({ success: true, message: 'Notification marked as unread', data: updated });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Mark all my notifications as read
+  markAllAsRead = async (req, res, next) => {
+    try {
+      const result = await prisma.notification.updateMany({
+        where: { userId: req.user.id, isRead: false },
+        data: { isRead: true, readAt: new Date() }
+      });
+
+      res.json({
+        success: true,
+        message: 'All notifications marked as read',
+        data: { updated: result.count }
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Delete a notification
+  deleteNotification = async (req, res, next) => {
+    try {
+      const notification = await this.findOwnNotification(req);
+      await prisma.notification.delete({ where: { id: notification.id } });
+
+      res.json({ success: true, message: 'Notification deleted successfully' });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Load a notification belonging to the current user
+  findOwnNotification = async (req) => {
+    const notification = await prisma.notification.findFirst({
+      where: { id: req.params.id, userId: req.user.id }
+    });
+
+    if (!notification) throw new AppError('Notification not found', 404);
+    return notification;
+  };
+}
+
+module.exports = new NotificationController();
@@ -0,0 +1,427 @@
+const { PrismaClient } = require('@prisma/client');
+const { AppError } = require('../utils/appError');
+const { uploadDocument, readDocument, deleteDocuments } = require('../services/uploadService');
+const { findPage } = require('../utils/pagination');
+const { PERMISSIONS, findMembership, requireMembership } = require('../services/organizationAccessService');
+const { assertClaimableNgo } = require('../services/ngoClaimService');
+
+const prisma = new PrismaClient();
+
+// Most verification documents a single organization can hold
+const MAX_ORGANIZATION_DOCUMENTS = 10;
+
+// Fields verification vouches for; changing them on a verified organization sends it back for review
+const VERIFIED_FIELDS = ['organizationName', 'organizationType', 'registrationNumber', 'ngoId'];
+
+// What anyone may see of a verified organization
+const publicOrganizationSelect = {
+  id: true,
+  organizationName: true,
+  organizationType: true,
+  description: true,
+  location: true,
+  website: true,
+  phone: true,
+  isVerified: true,
+  userId: true,
+  createdAt: true,
+  ngo: true
+};
+
+// Documents are private: their files are downloaded through downloadDocument, never by URL
+const ownOrganizationInclude = {
+  ngo: true,
+  claimedNgo: true,
+  documents: {
+    omit: { url: true },
+    orderBy: { uploadedAt: 'desc' }
+  }
+};
+
+// Profiles created for NGO records before organization accounts existed, which nobody runs yet
+const unclaimedProfile = { userId: null, members: { none: {} } };
+
+// NGO record fields mirrored from the organization profile
+const ngoDataFrom = ({ organizationName, organizationType, description, location }) => ({
+  name: organizationName,
+  category: organizationType,
+  description,
+  location
+});
+
+class OrganizationController {
+  // Directory of verified organizations
+  getOrganizations = async (req, res, next) => {
+    try {
+      const { search, organizationType } = req.query;
+
+      const where = { verificationStatus: 'APPROVED' };
+      if (search) {
+        where.organizationName = { contains: search, mode: 'insensitive' };
+      }
+      if (organizationType) {
+        where.organizationType = { equals: organizationType, mode: 'insensitive' };
+      }
+
+      const { items: organizations, pagination } = await findPage(prisma.organizationProfile, {
+        where,
+        include: { ngo: true },
+        sort: { sortBy: 'createdAt', sortOrder: 'desc' },
+        query: req.query
+      });
+
+      res.json({
+        success: true,
+        data: {
+          organizations: organizations.map(organization => this.toPublic(organization)),
+          pagination
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Public profile of an organization with its open projects
+  getOrganization = async (req, res, next) => {
+    try {
+      const organization = await prisma.organizationProfile.findUnique({
+        where: { id: req.params.organizationId },
+        select: { ...publicOrganizationSelect, verificationStatus: true }
+      });
+
+      // Organizations that are not verified are only visible to their members and admins
+      if (!organization || (organization.verificationStatus !== 'APPROVED' && !await this.canView(organization, req.user))) {
+        throw new AppError('Organization not found', 404);
+      }
+
+      const projects = await prisma.project.findMany({
+        where: { organizationId: organization.id, status: { in: ['ACTIVE', 'FULL'] } },
+        select: {
+          id: true,
+          title: true,
+          shortDescription: true,
+          category: true,
+          location: true,
+          startDate: true,
+          endDate: true,
+          status: true
+        },
+        orderBy: { startDate: 'asc' }
+      });
+
+      res.json({
+        success: true,
+        data: { ...organization, projects }
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // My organization profile with its verification status, documents and my role
+  getMyOrganization = async (req, res, next) => {
+    try {
+      const organization = await this.findOwnOrganization(req.user.id);
+
+      res.json({
+        success: true,
+        data: organization
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Create an organization with me as its owner, claiming an existing NGO record or with a new one
+  createOrganization = async (req, res, next) => {
+    try {
+      if (await findMembership(req.user.id)) {
+        throw new AppError('You already belong to an organization', 400);
+      }
+
+      const { ngoId, ...fields } = req.body;
+
+      // A claimed NGO is only linked once an admin verifies the organization.
+      // NGO accounts without an existing record get one, so their projects are attributed to it.
+      let claimedNgo;
+      let ngo;
+      if (ngoId) {
+        await assertClaimableNgo(ngoId);
+        claimedNgo = { connect: { id: ngoId } };
+      } else if (req.user.role === 'NGO') {
+        ngo = { create: ngoDataFrom(fields) };
+      }
+
+      const organization = await prisma.organizationProfile.create({
+        data: {
+          ...fields,
+          user: { connect: { id: req.user.id } },
+          ngo,
+          claimedNgo,
+          members: {
+            create: { userId: req.user.id, role: 'OWNER' }
+          }
+        },
+        include: ownOrganizationInclude
+      });
+
+      res.status(201).json({
+        success: true,
+        message: ngoId
+          ? 'Organization profile created. Upload your registration documents to get verified; the NGO record is linked once you are.'
+          : 'Organization profile created. Upload your registration documents to get verified.',
+        data: { ...organization, myRole: 'OWNER' }
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Update my organization profile
+  updateOrganization = async (req, res, next) => {
+    try {
+      const organization = await this.findOwnOrganization(req.user.id, PERMISSIONS.MANAGE_ORGANIZATION);
+      const updates = req.body;
+
+      // Claiming another NGO record waits for verification, like a new organization's claim
+      const claimsNgo = Boolean(updates.ngoId) && updates.ngoId !== organization.ngoId;
+      if (claimsNgo) {
+        await assertClaimableNgo(updates.ngoId, organization.id);
+      }
+
+      const { ngoId, ...data } = updates;
+      if (claimsNgo) {
+        data.claimedNgoId = ngoId;
+      } else if (ngoId === null) {
+        data.ngoId = null;
+        data.claimedNgoId = null;
+      }
+      if (claimsNgo || this.needsReview(organization, updates)) {
+        data.verificationStatus = 'PENDING';
+        data.isVerified = false;
+      }
+
+      const updatedOrganization = await prisma.$transaction(async (tx) => {
+        const result = await tx.organizationProfile.update({
+          where: { id: organization.id },
+          data,
+          include: ownOrganizationInclude
+        });
+
+        // Keep the linked NGO record in step with the profile
+        if (result.ngoId) {
+          await tx.nGO.update({
+            where: { id: result.ngoId },
+            data: ngoDataFrom(result)
+          });
+        }
+
+        return result;
+      });
+
+      res.json({
+        success: true,
+        message: this.updateMessage(organization, data, claimsNgo),
+        data: { ...updatedOrganization, myRole: organization.myRole }
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Delete my organization profile and its documents (the NGO record stays, to be claimed again,
+  // and its projects stay with their creators)
+  deleteOrganization = async (req, res, next) => {
+    try {
+      const organization = await this.findOwnOrganization(req.user.id, PERMISSIONS.MANAGE_MEMBERS);
+      const documents = await prisma.organizationDocument.findMany({
+        where: { organizationId: organization.id },
+        select: { url: true }
+      });
+
+      await prisma.organizationProfile.delete({
+        where: { id: organization.id }
+      });
+
+      await deleteDocuments(documents.map(document => document.url));
+
+      res.json({
+        success: true,
+        message: 'Organization profile deleted'
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Upload a registration document for verification
+  uploadDocument = async (req, res, next) => {
+    try {
+      if (!req.file) {
+        throw new AppError('A document file is required', 400);
+      }
+
+      const organization = await this.findOwnOrganization(req.user.id, PERMISSIONS.MANAGE_ORGANIZATION);
+
+      if (organization.documents.length >= MAX_ORGANIZATION_DOCUMENTS) {
+        throw new AppError(`An organization can have at most ${MAX_ORGANIZATION_DOCUMENTS} documents`, 400);
+      }
+
+      const stored = await uploadDocument(req.file, 'organization-documents');
+
+      const document = await prisma.$transaction(async (tx) => {
+        const created = await tx.organizationDocument.create({
+          data: {
+            organizationId: organization.id,
+            type: req.body.type,
+            fileName: req.file.originalname,
+            ...stored
+          },
+          omit: { url: true }
+        });
+
+        // New evidence puts a rejected organization back in the moderation queue
+        if (organization.verificationStatus === 'REJECTED') {
+          await tx.organizationProfile.update({
+            where: { id: organization.id },
+            data: { verificationStatus: 'PENDING' }
+          });
+        }
+
+        return created;
+      }).catch(async (error) => {
+        await deleteDocuments([stored.url]);
+        throw error;
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Document uploaded successfully',
+        data: document
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Download a verification document of an organization I belong to (admins can download any)
+  downloadDocument = async (req, res, next) => {
+    try {
+      const document = await prisma.organizationDocument.findFirst({
+        where: { id: req.params.documentId, organizationId: req.params.organizationId }
+      });
+
+      if (!document || !await this.canView({ id: document.organizationId }, req.user)) {
+        throw new AppError('Document not found', 404);
+      }
+
+      const file = await readDocument(document.url);
+
+      res.set('Cache-Control', 'private, no-store');
+      res.attachment(document.fileName);
+      res.type(document.contentType);
+      res.send(file);
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Delete one of my organization's documents
+  deleteDocument = async (req, res, next) => {
+    try {
+      const organization = await this.findOwnOrganization(req.user.id, PERMISSIONS.MANAGE_ORGANIZATION);
+      const document = organization.documents.find(d => d.id === req.params.documentId);
+
+      if (!document) {
+        throw new AppError('Document not found', 404);
+      }
+
+      const deleted = await prisma.organizationDocument.delete({
+        where: { id: document.id }
+      });
+
+      await deleteDocuments([deleted.url]);
+
+      res.json({
+        success: true,
+        message: 'Document deleted successfully'
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // NGO records to link an organization profile to
+  getNgos = async (req, res, next) => {
+    try {
+      const { search, unclaimed, limit } = req.query;
+
+      const where = {};
+      if (search) {
+        where.name = { contains: search, mode: 'insensitive' };
+      }
+      if (unclaimed) {
+        where.OR = [
+          { organizationProfile: { is: null } },
+          { organizationProfile: { is: unclaimedProfile } }
+        ];
+      }
+
+      const ngos = await prisma.nGO.findMany({
+        where,
+        orderBy: { name: 'asc' },
+        take: limit
+      });
+
+      res.json({
+        success: true,
+        data: ngos
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // The organization I belong to, provided my role allows the given permission
+  findOwnOrganization = async (userId, permission) => {
+    const membership = await requireMembership(userId, permission);
+    const organization = await prisma.organizationProfile.findUnique({
+      where: { id: membership.organizationId },
+      include: ownOrganizationInclude
+    });
+
+    return { ...organization, myRole: membership.role };
+  };
+
+  canView = async (organization, user) => {
+    if (!user) return false;
+    if (user.role === 'ADMIN') return true;
+    const membership = await findMembership(user.id);
+    return Boolean(membership) && membership.organizationId === organization.id;
+  };
+
+  // Whether an update has to go through verification again
+  needsReview = (organization, updates) => {
+    if (organization.verificationStatus === 'REJECTED') return true;
+    if (organization.verificationStatus !== 'APPROVED') return false;
+    return VERIFIED_FIELDS.some(field => updates[field] !== undefined && updates[field] !== organization[field]);
+  };
+
+  updateMessage = (organization, data, claimsNgo) => {
+    if (claimsNgo) {
+      return 'Organization profile updated. The NGO record is linked once an admin verifies the organization.';
+    }
+    return data.verificationStatus === 'PENDING' && organization.verificationStatus !== 'PENDING'
+      ? 'Organization profile updated and sent back for verification'
+      : 'Organization profile updated';
+  };
+
+  toPublic = (organization) => Object.fromEntries(
+    Object.keys(publicOrganizationSelect)
+      .filter(field => field in organization)
+      .map(field => [field, organization[field]])
+  );
+}
+
+module.exports = new OrganizationController();
@@ -0,0 +1,346 @@
+const { PrismaClient } = require('@prisma/client');
+const { AppError } = require('../utils/appError');
+const { sendEmail } = require('../services/emailService');
+const { sendNotification } = require('../services/notificationService');
+const {
+  PERMISSIONS,
+  findMembership,
+  requireMembership,
+  assertAnotherOwner,
+  organizationMemberIds
+} = require('../services/organizationAccessService');
+const { generateVerificationToken, hashToken } = require('../utils/helper');
+
+const prisma = new PrismaClient();
+
+// How long an invitation link stays valid
+const INVITATION_TTL_DAYS = parseInt(process.env.ORGANIZATION_INVITATION_TTL_DAYS) || 7;
+
+const memberInclude = {
+  user: {
+    select: {
+      id: true,
+      firstname: true,
+      lastname: true,
+      email: true,
+      avatar: true
+    }
+  }
+};
+
+// Everything about an invitation except its token
+const invitationSelect = {
+  id: true,
+  organizationId: true,
+  email: true,
+  role: true,
+  invitedById: true,
+  expiresAt: true,
+  acceptedAt: true,
+  createdAt: true
+};
+
+const pendingInvitation = () => ({ acceptedAt: null, expiresAt: { gt: new Date() } });
+
+class OrganizationMemberController {
+  // Members of my organization
+  getMembers = async (req, res, next) => {
+    try {
+      const membership = await requireMembership(req.user.id);
+
+      const members = await prisma.organizationMember.findMany({
+        where: { organizationId: membership.organizationId },
+        include: memberInclude,
+        orderBy: { joinedAt: 'asc' }
+      });
+
+      res.json({
+        success: true,
+        data: members
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Change a member's role
+  updateMemberRole = async (req, res, next) => {
+    try {
+      const membership = await requireMembership(req.user.id, PERMISSIONS.MANAGE_MEMBERS);
+      const member = await this.findMember(membership.organizationId, req.params.memberId);
+      const { role } = req.body;
+
+      if (member.role === 'OWNER' && role !== 'OWNER') {
+        await assertAnotherOwner(member);
+      }
+
+      const updatedMember = await prisma.organizationMember.update({
+        where: { id: member.id },
+        data: { role },
+        include: memberInclude
+      });
+
+      if (member.userId !== req.user.id && role !== member.role) {
+        await sendNotification({
+          userId: member.userId,
+          type: 'ORGANIZATION_ROLE_CHANGED',
+          title: 'Your Organization Role Changed',
+          message: `You are now a ${role.toLowerCase()} of ${membership.organization.organizationName}.`,
+          data: { organizationId: membership.organizationId, role }
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Member role updated',
+        data: updatedMember
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Remove a member from my organization
+  removeMember = async (req, res, next) => {
+    try {
+      const membership = await requireMembership(req.user.id, PERMISSIONS.MANAGE_MEMBERS);
+      const member = await this.findMember(membership.organizationId, req.params.memberId);
+
+      await this.removeMembership(member);
+
+      if (member.userId !== req.user.id) {
+        await sendNotification({
+          userId: member.userId,
+          type: 'ORGANIZATION_MEMBER_REMOVED',
+          title: 'Removed from Organization',
+          message: `You are no longer a member of ${membership.organization.organizationName}.`,
+          data: { organizationId: membership.organizationId }
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Member removed'
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Leave my organization
+  leaveOrganization = async (req, res, next) => {
+    try {
+      const membership = await requireMembership(req.user.id);
+
+      await this.removeMembership(membership);
+
+      res.json({
+        success: true,
+        message: `You have left ${membership.organization.organizationName}`
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Invitations of my organization that have not been accepted yet
+  getInvitations = async (req, res, next) => {
+    try {
+      const membership = await requireMembership(req.user.id, PERMISSIONS.MANAGE_MEMBERS);
+
+      const invitations = await prisma.organizationInvitation.findMany({
+        where: { organizationId: membership.organizationId, ...pendingInvitation() },
+        select: invitationSelect,
+        orderBy: { createdAt: 'desc' }
+      });
+
+      res.json({
+        success: true,
+        data: invitations
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Invite someone to my organization by email; inviting the same address again replaces the earlier invitation
+  inviteMember = async (req, res, next) => {
+    try {
+      const membership = await requireMembership(req.user.id, PERMISSIONS.MANAGE_MEMBERS);
+      const { organization } = membership;
+      const { email, role } = req.body;
+
+      const invitee = await prisma.user.findUnique({
+        where: { email },
+        select: { id: true, organizationMembership: { select: { organizationId: true } } }
+      });
+
+      if (invitee && invitee.organizationMembership) {
+        throw new AppError(invitee.organizationMembership.organizationId === organization.id
+          ? 'This user is already a member of your organization'
+          : 'This user already belongs to another organization', 400);
+      }
+
+      const token = generateVerificationToken();
+      const invitation = await prisma.$transaction(async (tx) => {
+        await tx.organizationInvitation.deleteMany({
+          where: { organizationId: organization.id, email, acceptedAt: null }
+        });
+
+        return tx.organizationInvitation.create({
+          data: {
+            organizationId: organization.id,
+            email,
+            role,
+            tokenHash: hashToken(token),
+            invitedById: req.user.id,
+            expiresAt: new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000)
+          },
+          select: invitationSelect
+        });
+      });
+
+      await sendEmail({
+        to: email,
+        template: 'organization-invitation',
+        context: {
+          inviterName: `${req.user.firstname} ${req.user.lastname}`,
+          organizationName: organization.organizationName,
+          role: role.toLowerCase(),
+          inviteUrl: `${process.env.CLIENT_URL}/organization-invitations?token=${token}`,
+          expiresInDays: INVITATION_TTL_DAYS
+        }
+      });
+
+      if (invitee) {
+        await sendNotification({
+          userId: invitee.id,
+          type: 'ORGANIZATION_INVITATION',
+          title: 'Organization Invitation',
+          message: `${req.user.firstname} ${req.user.lastname} invited you to join ${organization.organizationName}. Check your email to accept.`,
+          data: { organizationId: organization.id, invitationId: invitation.id }
+        });
+      }
+
+      res.status(201).json({
+        success: true,
+        message: `Invitation sent to ${email}`,
+        data: invitation
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Withdraw an invitation that has not been accepted yet
+  revokeInvitation = async (req, res, next) => {
+    try {
+      const membership = await requireMembership(req.user.id, PERMISSIONS.MANAGE_MEMBERS);
+
+      const { count } = await prisma.organizationInvitation.deleteMany({
+        where: { id: req.params.invitationId, organizationId: membership.organizationId, acceptedAt: null }
+      });
+
+      if (count === 0) {
+        throw new AppError('Invitation not found', 404);
+      }
+
+      res.json({
+        success: true,
+        message: 'Invitation revoked'
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Join an organization with the token from an invitation email
+  acceptInvitation = async (req, res, next) => {
+    try {
+      const invitation = await prisma.organizationInvitation.findUnique({
+        where: { tokenHash: hashToken(req.body.token) },
+        include: { organization: true }
+      });
+
+      if (!invitation || invitation.acceptedAt || invitation.expiresAt <= new Date()) {
+        throw new AppError('Invalid or expired invitation', 400);
+      }
+
+      if (invitation.email !== req.user.email.toLowerCase()) {
+        throw new AppError('This invitation was sent to a different email address', 403);
+      }
+
+      if (await findMembership(req.user.id)) {
+        throw new AppError('You already belong to an organization. Leave it before joining another one.', 400);
+      }
+
+      const member = await prisma.$transaction(async (tx) => {
+        // Only accept if nobody used the invitation in the meantime
+        const { count } = await tx.organizationInvitation.updateMany({
+          where: { id: invitation.id, acceptedAt: null },
+          data: { acceptedAt: new Date() }
+        });
+        if (count === 0) {
+          throw new AppError('Invalid or expired invitation', 400);
+        }
+
+        return tx.organizationMember.create({
+          data: {
+            organizationId: invitation.organizationId,
+            userId: req.user.id,
+            role: invitation.role
+          },
+          include: { ...memberInclude, organization: true }
+        });
+      });
+
+      const owners = await organizationMemberIds(invitation.organizationId, PERMISSIONS.MANAGE_MEMBERS);
+      for (const userId of owners.filter(id => id !== req.user.id)) {
+        await sendNotification({
+          userId,
+          type: 'ORGANIZATION_MEMBER_JOINED',
+          title: 'New Team Member',
+          message: `${req.user.firstname} ${req.user.lastname} joined ${invitation.organization.organizationName} as a ${invitation.role.toLowerCase()}.`,
+          data: { organizationId: invitation.organizationId, memberId: member.id }
+        });
+      }
+
+      res.json({
+        success: true,
+        message: `You have joined ${invitation.organization.organizationName}`,
+        data: member
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Helper methods
+  findMember = async (organizationId, memberId) => {
+    const member = await prisma.organizationMember.findUnique({
+      where: { id: memberId }
+    });
+
+    if (!member || member.organizationId !== organizationId) {
+      throw new AppError('Member not found', 404);
+    }
+    return member;
+  };
+
+  removeMembership = async (member) => {
+    if (member.role === 'OWNER') {
+      await assertAnotherOwner(member);
+    }
+
+    await prisma.$transaction([
+      prisma.organizationMember.delete({ where: { id: member.id } }),
+      // The founding account no longer holds the profile, so it can start a new organization
+      prisma.organizationProfile.updateMany({
+        where: { id: member.organizationId, userId: member.userId },
+        data: { userId: null }
+      })
+    ]);
+  };
+}
+
+module.exports = new OrganizationMemberController();
@@ -1,15 +1,60 @@
 const { PrismaClient } = require('@prisma/client');
-const { getDistance } = require('geolib');
 const { AppError } = require('../utils/appError');
 const { sendNotification } = require('../services/notificationService');
-const { uploadImages } = require('../services/uploadService');
-const aiService = require('../services/aiService');
+const { uploadImages, deleteImages, readDocument, deleteDocuments, getThumbnailUrl } = require('../services/uploadService');
+const hoursService = require('../services/hoursService');
+const { searchProjects, searchFacets } = require('../services/projectSearchService');
+const { geocode } = require('../services/geocoder');
+const {
+  isPublicStatus,
+  allowedTransitions,
+  transitionProject,
+  syncProjectCapacity
+} = require('../services/projectLifecycleService');
+const {
+  PERMISSIONS,
+  roleHas,
+  findMembership,
+  canOnProject,
+  assertProjectPermission,
+  projectTeamIds
+} = require('../services/organizationAccessService');
+const {
+  questionsOf,
+  saveQuestions,
+  parseAnswers,
+  storeAnswerFiles,
+  answerFileUrls,
+  answerFilters
+} = require('../services/screeningService');
+const applicationService = require('../services/applicationService');
+const { decodeCursor, findPage, paginate } = require('../utils/pagination');
 
 const prisma = new PrismaClient();
 
+// Most images a single project can hold
+const MAX_PROJECT_IMAGES = 10;
+
+// Content a moderator approves; once a project is approved only admins can change it
+const MODERATED_FIELDS = ['title', 'description', 'shortDescription', 'category', 'location', 'tags'];
+
+// Screening answers with the question they answer, in the project's question order. Uploaded files are
+// private: they are downloaded through downloadAnswerFile, never by URL.
+const answersInclude = {
+  answers: {
+    omit: { fileUrl: true },
+    include: {
+      question: {
+        select: { id: true, type: true, prompt: true, position: true }
+      }
+    },
+    orderBy: { question: { position: 'asc' } }
+  }
+};
+
 class ProjectController {
   // Get all projects with filtering and pagination
-  async getAllProjects(req, res, next) {
+  getAllProjects = async (req, res, next) => {
     try {
       const {
         page = 1,
@@ -23,123 +68,134 @@ class ProjectController {
         sortOrder = 'desc',
         userLat,
         userLng,
-        radius
+        near,
+        radius,
+        bbox,
+        facets = true,
+        paginate: paginateMode = 'page',
+        cursor,
+        includeCount = true
       } = req.query;
+      const sort = { sortBy, sortOrder };
 
-      const skip = (parseInt(page) - 1) * parseInt(limit);
-
-      // Build filter conditions
-      const where = { status };
-
-      if (category) {
-        where.category = { contains: category, mode: 'insensitive' };
-      }
-
-      if (location) {
-        where.location = { contains: location, mode: 'insensitive' };
+      if (!isPublicStatus(status) && req.user?.role !== 'ADMIN') {
+        throw new AppError('Only administrators can browse draft and pending projects', 403);
       }
 
-      if (search) {
-        where.OR = [
-          { title: { contains: search, mode: 'insensitive' } },
-          { description: { contains: search, mode: 'insensitive' } },
-          { tags: { hasSome: [search] } }
-        ];
+      // Search around coordinates, or around a Rwandan place name resolved offline
+      let origin = null;
+      if (near) {
+        const place = geocode(near);
+        if (!place) {
+          throw new AppError(`Unknown location "${near}"`, 400);
+        }
+        origin = place;
+      } else if (userLat !== undefined && userLng !== undefined) {
+        origin = { latitude: parseFloat(userLat), longitude: parseFloat(userLng) };
       }
 
-      if (skills) {
-        const skillIds = skills.split(',');
-        where.requiredSkills = {
-          some: { skillId: { in: skillIds } }
-        };
-      }
+      const filters = {
+        status,
+        category,
+        location,
+        search,
+        skillIds: skills ? skills.split(',').map(Number) : []
+      };
+
+      const [{ results, total: totalCount }, facetCounts] = await Promise.all([
+        searchProjects({
+          filters,
+          origin,
+          radius,
+          bbox,
+          ...sort,
+          skip: (parseInt(page) - 1) * parseInt(limit),
+          // One extra row tells whether there is a next page
+          take: parseInt(limit) + 1,
+          cursor: cursor ? decodeCursor(cursor, sort) : null,
+          includeCount
+        }),
+        facets ? searchFacets({ filters, origin, radius, bbox }) : null
+      ]);
 
-      // Build order by
-      const orderBy = {};
-      orderBy[sortBy] = sortOrder;
+      const { items: pageResults, pagination } = paginate(results, {
+        paginate: paginateMode,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        ...sort,
+        totalCount,
+        valueOf: result => result.sortValue
+      });
 
-      const [projects, totalCount] = await Promise.all([
-        prisma.project.findMany({
-          where,
-          include: {
-            creator: {
-              select: {
-                id: true,
-                firstName: true,
-                lastName: true,
-                organizationProfile: {
-                  select: {
-                    organizationName: true,
-                    organizationType: true,
-                    isVerified: true
-                  }
+      const projects = await prisma.project.findMany({
+        where: { id: { in: pageResults.map(result => result.id) } },
+        include: {
+          creator: {
+            select: {
+              id: true,
+              firstname: true,
+              lastname: true,
+              organizationProfile: {
+                select: {
+                  organizationName: true,
+                  organizationType: true,
+                  isVerified: true
                 }
               }
-            },
-            requiredSkills: {
-              include: { skill: true }
-            },
-            _count: {
-              select: {
-                applications: true,
-                events: true
-              }
             }
           },
-          orderBy,
-          skip,
-          take: parseInt(limit)
-        }),
-        prisma.project.count({ where })
-      ]);
+          organization: {
+            select: {
+              id: true,
+              organizationName: true,
+              organizationType: true,
+              isVerified: true
+            }
+          },
+          requiredSkills: {
+            include: { skill: true }
+          },
+          _count: {
+            select: {
+              applications: true,
+              events: true
+            }
+          }
+        }
+      });
 
-      // Add distance if user location provided
-      let processedProjects = projects;
-      if (userLat && userLng) {
-        processedProjects = projects.map(project => {
-          if (project.latitude && project.longitude) {
-            const distance = getDistance(
-              { latitude: parseFloat(userLat), longitude: parseFloat(userLng) },
-              { latitude: project.latitude, longitude: project.longitude }
-            ) / 1000; // Convert to km
-
-            return { ...project, distance: Math.round(distance * 10) / 10 };
+      // Keep the database order and add the distance (km) from the search origin and the search relevance
+      const projectsById = new Map(projects.map(project => [project.id, project]));
+      const processedProjects = pageResults
+        .filter(result => projectsById.has(result.id))
+        .map(result => {
+          const project = { ...projectsById.get(result.id) };
+          if (origin) {
+            project.distance = result.distance === null ? null : Math.round(result.distance * 10) / 10;
+          }
+          if (search) {
+            project.relevance = Math.round(result.relevance * 1000) / 1000;
           }
           return project;
         });
 
-        // Filter by radius if specified
-        if (radius) {
-          processedProjects = processedProjects.filter(
-            project => !project.distance || project.distance <= parseInt(radius)
-          );
-        }
-      }
-
-      const totalPages = Math.ceil(totalCount / parseInt(limit));
-
       res.json({
         success: true,
         data: {
           projects: processedProjects,
-          pagination: {
-            currentPage: parseInt(page),
-            totalPages,
-            totalItems: totalCount,
-            itemsPerPage: parseInt(limit),
-            hasNext: parseInt(page) < totalPages,
-            hasPrev: parseInt(page) > 1
-          }
+          ...(origin && { origin }),
+          ...(facetCounts && { facets: facetCounts }),
+          pagination
         }
       });
 
     } catch (error) {
       next(error);
     }
-  }
+  };
 
   // Get single project
-  async getProject(req, res, next) {
+  getProject = async (req, res, next) => {
     try {
       const { id } = req.params;
 
@@ -149,23 +205,34 @@ class ProjectController {
           creator: {
             select: {
               id: true,
-              firstName: true,
-              lastName: true,
+              firstname: true,
+              lastname: true,
               avatar: true,
               organizationProfile: true
             }
           },
+          organization: {
+            select: {
+              id: true,
+              organizationName: true,
+              organizationType: true,
+              isVerified: true
+            }
+          },
           requiredSkills: {
             include: { skill: true }
           },
+          screeningQuestions: {
+            orderBy: { position: 'asc' }
+          },
           applications: {
             where: { status: 'ACCEPTED' },
             include: {
               volunteer: {
                 select: {
                   id: true,
-                  firstName: true,
-                  lastName: true,
+                  firstname: true,
+                  lastname: true,
                   avatar: true
                 }
               }
@@ -191,6 +258,12 @@ class ProjectController {
         throw new AppError('Project not found', 404);
       }
 
+      // Drafts and projects under review are only visible to their team and admins
+      const canManage = await canOnProject(project, req.user, PERMISSIONS.REVIEW_VOLUNTEERS);
+      if (!isPublicStatus(project.status) && !canManage) {
+        throw new AppError('Project not found', 404);
+      }
+
       // Check if current user has applied (if authenticated)
       let hasApplied = false;
       if (req.user && req.user.role === 'VOLUNTEER') {
@@ -209,17 +282,19 @@ class ProjectController {
         success: true,
         data: {
           ...project,
-          hasApplied
+          thumbnails: project.images.map(getThumbnailUrl),
+          hasApplied,
+          ...(canManage && { allowedTransitions: await allowedTransitions(project, req.user) })
         }
       });
 
     } catch (error) {
       next(error);
     }
-  }
+  };
 
   // Create new project
-  async createProject(req, res, next) {
+  createProject = async (req, res, next) => {
     try {
       const {
         title,
@@ -235,11 +310,33 @@ class ProjectController {
         estimatedHours,
         priority = 'MEDIUM',
         requiredSkills = [],
-        tags = []
+        tags = [],
+        status = 'DRAFT'
       } = req.body;
 
       const creatorId = req.user.id;
 
+      // The project belongs to the creator's organization and the NGO record linked to it. Only projects of
+      // verified organizations can be approved, so there is no creating them outside one.
+      const membership = await findMembership(creatorId);
+      if (!membership) {
+        throw new AppError('Create or join an organization before creating projects', 403);
+      }
+      if (!roleHas(membership.role, PERMISSIONS.MANAGE_PROJECTS)) {
+        throw new AppError(`Your role (${membership.role}) does not allow creating projects`, 403);
+      }
+      const { organization } = membership;
+
+      // Without explicit coordinates, place the project from its location text
+      const coordinates = latitude !== undefined && latitude !== null
+        ? { latitude: parseFloat(latitude), longitude: parseFloat(longitude) }
+        : this.coordinatesFor(location);
+
+      // Handle image uploads if provided
+      const images = req.files && req.files.length > 0
+        ? await uploadImages(req.files, 'projects')
+        : [];
+
       // Create project
       const project = await prisma.project.create({
         data: {
@@ -248,15 +345,17 @@ class ProjectController {
           shortDescription,
           category,
           location,
-          latitude: latitude ? parseFloat(latitude) : null,
-          longitude: longitude ? parseFloat(longitude) : null,
+          ...coordinates,
           startDate: new Date(startDate),
           endDate: endDate ? new Date(endDate) : null,
           volunteersNeeded: parseInt(volunteersNeeded),
           estimatedHours: estimatedHours ? parseInt(estimatedHours) : null,
           priority,
           tags,
+          images,
           creatorId,
+          organizationId: organization.id,
+          ngoId: organization.ngoId,
           requiredSkills: {
             create: requiredSkills.map(skill => ({
               skillId: skill.skillId,
@@ -268,8 +367,8 @@ class ProjectController {
         include: {
           creator: {
             select: {
-              firstName: true,
-              lastName: true,
+              firstname: true,
+              lastname: true,
               organizationProfile: true
             }
           },
@@ -277,34 +376,32 @@ class ProjectController {
             include: { skill: true }
           }
         }
+      }).catch(async (error) => {
+        // Don't leave uploaded images behind if the project could not be saved
+        await deleteImages(images);
+        throw error;
       });
 
-      // Handle image uploads if provided
-      if (req.files && req.files.length > 0) {
-        const imageUrls = await uploadImages(req.files, 'projects');
-        await prisma.project.update({
-          where: { id: project.id },
-          data: { images: imageUrls }
-        });
-        project.images = imageUrls;
-      }
-
-      // Send notifications to relevant volunteers
-      await this.notifyRelevantVolunteers(project);
+      // Projects start as drafts; submitting right away sends them to review
+      const createdProject = status === 'PENDING_REVIEW'
+        ? await transitionProject(project, 'PENDING_REVIEW', { user: req.user })
+        : project;
 
       res.status(201).json({
         success: true,
-        message: 'Project created successfully',
-        data: project
+        message: status === 'PENDING_REVIEW'
+          ? 'Project created and submitted for review'
+          : 'Project created as a draft',
+        data: createdProject
       });
 
     } catch (error) {
       next(error);
     }
-  }
+  };
 
   // Update project
-  async updateProject(req, res, next) {
+  updateProject = async (req, res, next) => {
     try {
       const { id } = req.params;
       const updates = req.body;
@@ -319,16 +416,15 @@ class ProjectController {
         throw new AppError('Project not found', 404);
       }
 
-      if (existingProject.creatorId !== req.user.id && req.user.role !== 'ADMIN') {
-        throw new AppError('Access denied. You can only update your own projects.', 403);
-      }
+      await assertProjectPermission(existingProject, req.user, PERMISSIONS.MANAGE_PROJECTS,
+        'Access denied. You can only update your organization\'s projects.');
 
       // Prepare update data
       const updateData = {};
       const allowedFields = [
         'title', 'description', 'shortDescription', 'category', 'location',
         'latitude', 'longitude', 'startDate', 'endDate', 'volunteersNeeded',
-        'estimatedHours', 'priority', 'tags', 'status'
+        'estimatedHours', 'priority', 'tags'
       ];
 
       allowedFields.forEach(field => {
@@ -345,14 +441,42 @@ class ProjectController {
         }
       });
 
+      // Drop images the client asked to remove and append newly uploaded ones
+      const removedImages = existingProject.images.filter(url => (updates.removeImages || []).includes(url));
+
+      if (isPublicStatus(existingProject.status) && req.user.role !== 'ADMIN') {
+        this.assertModeratedContentUnchanged(existingProject, updateData,
+          removedImages.length > 0 || (req.files && req.files.length > 0));
+      }
+
+      // A new location without new coordinates moves the project to wherever the text geocodes to
+      if (updates.location !== undefined && updates.latitude === undefined) {
+        Object.assign(updateData, this.coordinatesFor(updates.location));
+      }
+
+      const newImages = req.files && req.files.length > 0
+        ? await uploadImages(req.files, 'projects')
+        : [];
+
+      if (removedImages.length > 0 || newImages.length > 0) {
+        updateData.images = existingProject.images
+          .filter(url => !removedImages.includes(url))
+          .concat(newImages);
+
+        if (updateData.images.length > MAX_PROJECT_IMAGES) {
+          await deleteImages(newImages);
+          throw new AppError(`A project can have at most ${MAX_PROJECT_IMAGES} images`, 400);
+        }
+      }
+
       const updatedProject = await prisma.project.update({
         where: { id },
         data: updateData,
         include: {
           creator: {
             select: {
-              firstName: true,
-              lastName: true,
+              firstname: true,
+              lastname: true,
               organizationProfile: true
             }
           },
@@ -360,8 +484,19 @@ class ProjectController {
             include: { skill: true }
           }
         }
+      }).catch(async (error) => {
+        await deleteImages(newImages);
+        throw error;
       });
 
+      await deleteImages(removedImages);
+
+      // More places go to the waitlist first; more or fewer places can fill or reopen the project
+      if (updateData.volunteersNeeded !== undefined) {
+        await applicationService.promoteFromWaitlist(updatedProject);
+        updatedProject.status = (await syncProjectCapacity(id)).status;
+      }
+
       res.json({
         success: true,
         message: 'Project updated successfully',
@@ -371,10 +506,10 @@ class ProjectController {
     } catch (error) {
       next(error);
     }
-  }
+  };
 
   // Delete project
-  async deleteProject(req, res, next) {
+  deleteProject = async (req, res, next) => {
     try {
       const { id } = req.params;
 
@@ -387,8 +522,15 @@ class ProjectController {
         throw new AppError('Project not found', 404);
       }
 
-      if (project.creatorId !== req.user.id && req.user.role !== 'ADMIN') {
-        throw new AppError('Access denied. You can only delete your own projects.', 403);
+      await assertProjectPermission(project, req.user, PERMISSIONS.MANAGE_PROJECTS,
+        'Access denied. You can only delete your organization\'s projects.');
+
+      // Deleting would take approved hours off the volunteers' records
+      const approvedEntries = await prisma.hourEntry.count({
+        where: { projectId: id, status: 'APPROVED' }
+      });
+      if (approvedEntries > 0) {
+        throw new AppError('Volunteers have approved hours on this project, so it cannot be deleted. Cancel it instead.', 400);
       }
 
       // Notify applied volunteers about project deletion
@@ -396,11 +538,15 @@ class ProjectController {
         where: { projectId: id },
         include: { volunteer: true }
       });
+      const answerFiles = await answerFileUrls({ question: { projectId: id } });
 
       await prisma.project.delete({
         where: { id }
       });
 
+      await deleteImages(project.images);
+      await deleteDocuments(answerFiles);
+
       // Send deletion notifications
       for (const application of applications) {
         await sendNotification({
@@ -420,13 +566,78 @@ class ProjectController {
     } catch (error) {
       next(error);
     }
-  }
+  };
+
+  // Move a project through its lifecycle
+  changeProjectStatus = async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const { status, reason } = req.body;
+
+      const project = await prisma.project.findUnique({
+        where: { id }
+      });
+
+      if (!project) {
+        throw new AppError('Project not found', 404);
+      }
+
+      await assertProjectPermission(project, req.user, PERMISSIONS.MANAGE_PROJECTS);
+
+      const updatedProject = await transitionProject(project, status, { user: req.user, reason });
+
+      res.json({
+        success: true,
+        message: `Project status changed to ${status}`,
+        data: {
+          ...updatedProject,
+          allowedTransitions: await allowedTransitions(updatedProject, req.user)
+        }
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Replace the project's screening questions
+  setScreeningQuestions = async (req, res, next) => {
+    try {
+      const { id } = req.params;
+
+      const project = await prisma.project.findUnique({
+        where: { id }
+      });
+
+      if (!project) {
+        throw new AppError('Project not found', 404);
+      }
+
+      await assertProjectPermission(project, req.user, PERMISSIONS.MANAGE_PROJECTS,
+        'Access denied. You can only update your organization\'s projects.');
+
+      if (['COMPLETED', 'CANCELLED'].includes(project.status)) {
+        throw new AppError(`Screening questions cannot be changed on a ${project.status.toLowerCase()} project`, 400);
+      }
+
+      const questions = await saveQuestions(id, req.body.questions);
+
+      res.json({
+        success: true,
+        message: 'Screening questions saved',
+        data: questions
+      });
+
+    } catch (error) {
+      next(error);
+    }
+  };
 
   // Apply for project
-  async applyForProject(req, res, next) {
+  applyForProject = async (req, res, next) => {
     try {
       const { id: projectId } = req.params;
-      const { message, estimatedHours } = req.body;
+      const { message, estimatedHours, answers } = req.body;
       const volunteerId = req.user.id;
 
       if (req.user.role !== 'VOLUNTEER') {
@@ -436,15 +647,22 @@ class ProjectController {
       // Check if project exists and is active
       const project = await prisma.project.findUnique({
         where: { id: projectId },
-        include: { creator: true }
+        include: {
+          creator: true,
+          screeningQuestions: { orderBy: { position: 'asc' } }
+        }
       });
 
       if (!project) {
         throw new AppError('Project not found', 404);
       }
 
+      if (project.status === 'FULL') {
+        throw new AppError('This project already has all the volunteers it needs', 400);
+      }
+
       if (project.status !== 'ACTIVE') {
-        throw new AppError('This project is no longer accepting applications', 400);
+        throw new AppError('This project is not accepting applications', 400);
       }
 
       // Check if already applied
@@ -461,19 +679,24 @@ class ProjectController {
         throw new AppError('You have already applied for this project', 400);
       }
 
+      // Check the screening answers before storing any uploaded files
+      const answerRows = await storeAnswerFiles(parseAnswers(project.screeningQuestions, answers, req.files));
+
       // Create application
       const application = await prisma.application.create({
         data: {
           volunteerId,
           projectId,
           message,
-          estimatedHours: estimatedHours ? parseInt(estimatedHours) : null
+          estimatedHours: estimatedHours ? parseInt(estimatedHours) : null,
+          answers: { create: answerRows }
         },
         include: {
+          ...answersInclude,
           volunteer: {
             select: {
-              firstName: true,
-              lastName: true,
+              firstname: true,
+              lastname: true,
               avatar: true,
               volunteerProfile: {
                 include: {
@@ -491,6 +714,9 @@ class ProjectController {
             }
           }
         }
+      }).catch(async (error) => {
+        await deleteDocuments(answerRows.map(row => row.fileUrl).filter(Boolean));
+        throw error;
       });
 
       // Update project application count
@@ -503,18 +729,20 @@ class ProjectController {
         }
       });
 
-      // Notify project creator
-      await sendNotification({
-        userId: project.creatorId,
-        type: 'NEW_APPLICATION',
-        title: 'New Volunteer Application',
-        message: `${application.volunteer.firstName} ${application.volunteer.lastName} has applied for your project "${project.title}"`,
-        data: {
-          projectId,
-          applicationId: application.id,
-          volunteerId
-        }
-      });
+      // Notify the project's reviewers
+      for (const userId of await projectTeamIds(project, PERMISSIONS.REVIEW_VOLUNTEERS)) {
+        await sendNotification({
+          userId,
+          type: 'NEW_APPLICATION',
+          title: 'New Volunteer Application',
+          message: `${application.volunteer.firstname} ${application.volunteer.lastname} has applied for your project "${project.title}"`,
+          data: {
+            projectId,
+            applicationId: application.id,
+            volunteerId
+          }
+        });
+      }
 
       res.status(201).json({
         success: true,
@@ -525,13 +753,41 @@ class ProjectController {
     } catch (error) {
       next(error);
     }
-  }
+  };
+
+  // Download the file answering a screening question, for the applicant and the project's team
+  downloadAnswerFile = async (req, res, next) => {
+    try {
+      const answer = await prisma.screeningAnswer.findUnique({
+        where: {
+          applicationId_questionId: { applicationId: req.params.applicationId, questionId: req.params.questionId }
+        },
+        include: { application: { include: { project: true } } }
+      });
+
+      const { application } = answer || {};
+      const allowed = application && (application.volunteerId === req.user.id ||
+        await canOnProject(application.project, req.user, PERMISSIONS.REVIEW_VOLUNTEERS));
+      if (!allowed || !answer.fileUrl) {
+        throw new AppError('File not found', 404);
+      }
+
+      const file = await readDocument(answer.fileUrl);
 
-  // Get project applications (for project creators)
-  async getProjectApplications(req, res, next) {
+      res.set('Cache-Control', 'private, no-store');
+      res.attachment(answer.fileName);
+      res.type(answer.contentType);
+      res.send(file);
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Get project applications (for the project's team)
+  getProjectApplications = async (req, res, next) => {
     try {
       const { id: projectId } = req.params;
-      const { status, page = 1, limit = 10 } = req.query;
+      const { status, answer } = req.query;
 
       const project = await prisma.project.findUnique({
         where: { id: projectId }
@@ -541,184 +797,173 @@ class ProjectController {
         throw new AppError('Project not found', 404);
       }
 
-      if (project.creatorId !== req.user.id && req.user.role !== 'ADMIN') {
-        throw new AppError('Access denied', 403);
-      }
+      await assertProjectPermission(project, req.user, PERMISSIONS.REVIEW_VOLUNTEERS);
+
+      const questions = await questionsOf(projectId);
 
       const where = { projectId };
       if (status) {
         where.status = status;
       }
+      if (answer) {
+        where.AND = answerFilters(questions, answer);
+      }
 
-      const skip = (parseInt(page) - 1) * parseInt(limit);
-
-      const [applications, totalCount] = await Promise.all([
-        prisma.application.findMany({
-          where,
-          include: {
-            volunteer: {
-              select: {
-                id: true,
-                firstName: true,
-                lastName: true,
-                email: true,
-                avatar: true,
-                volunteerProfile: {
-                  include: {
-                    skills: {
-                      include: { skill: true }
-                    }
+      const { items: applications, pagination } = await findPage(prisma.application, {
+        where,
+        include: {
+          volunteer: {
+            select: {
+              id: true,
+              firstname: true,
+              lastname: true,
+              email: true,
+              avatar: true,
+              volunteerProfile: {
+                include: {
+                  skills: {
+                    include: { skill: true }
                   }
                 }
               }
             }
           },
-          orderBy: { appliedAt: 'desc' },
-          skip,
-          take: parseInt(limit)
-        }),
-        prisma.application.count({ where })
-      ]);
+          ...answersInclude
+        },
+        sort: { sortBy: 'appliedAt', sortOrder: 'desc' },
+        query: req.query
+      });
 
       res.json({
         success: true,
         data: {
+          questions,
           applications,
-          pagination: {
-            currentPage: parseInt(page),
-            totalPages: Math.ceil(totalCount / parseInt(limit)),
-            totalItems: totalCount,
-            itemsPerPage: parseInt(limit)
-          }
+          pagination
         }
       });
 
     } catch (error) {
       next(error);
     }
-  }
+  };
 
-  // Respond to application
-  async respondToApplication(req, res, next) {
+  // Respond to application (accepting once the project is full puts the volunteer on the waitlist)
+  respondToApplication = async (req, res, next) => {
     try {
       const { applicationId } = req.params;
       const { status, message } = req.body;
 
       const application = await prisma.application.findUnique({
         where: { id: applicationId },
-        include: {
-          project: true,
-          volunteer: {
-            select: {
-              firstName: true,
-              lastName: true
-            }
-          }
-        }
+        include: { project: true }
       });
 
       if (!application) {
         throw new AppError('Application not found', 404);
       }
 
-      if (application.project.creatorId !== req.user.id && req.user.role !== 'ADMIN') {
-        throw new AppError('Access denied', 403);
-      }
+      await assertProjectPermission(application.project, req.user, PERMISSIONS.REVIEW_VOLUNTEERS);
 
-      // Update application status
-      const updatedApplication = await prisma.application.update({
-        where: { id: applicationId },
-        data: {
-          status,
-          reviewedAt: new Date()
-        }
+      const result = await applicationService.reviewApplications(application.project, [applicationId], status, { message });
+
+      const updatedApplication = await prisma.application.findUnique({
+        where: { id: applicationId }
       });
 
-      // Send notification to volunteer
-      const notificationTitle = status === 'ACCEPTED' ? 'Application Accepted!' : 'Application Update';
-      const notificationMessage = status === 'ACCEPTED' 
-        ? `Congratulations! Your application for "${application.project.title}" has been accepted.`
-        : `Your application for "${application.project.title}" has been ${status.toLowerCase()}.`;
+      res.json({
+        success: true,
+        message: `Application ${updatedApplication.status.toLowerCase()} successfully`,
+        data: { ...updatedApplication, promoted: result.promoted }
+      });
 
-      await sendNotification({
-        userId: application.volunteerId,
-        type: 'APPLICATION_UPDATE',
-        title: notificationTitle,
-        message: notificationMessage + (message ? ` Message: ${message}` : ''),
-        data: {
-          projectId: application.projectId,
-          applicationId,
-          status
-        }
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Accept or reject many applications of a project at once, with a shared message
+  reviewApplications = async (req, res, next) => {
+    try {
+      const { id: projectId } = req.params;
+      const { applicationIds, status, message } = req.body;
+
+      const project = await prisma.project.findUnique({
+        where: { id: projectId }
       });
 
+      if (!project) {
+        throw new AppError('Project not found', 404);
+      }
+
+      await assertProjectPermission(project, req.user, PERMISSIONS.REVIEW_VOLUNTEERS);
+
+      const result = await applicationService.reviewApplications(project, applicationIds, status, { message });
+
+      const summary = [
+        result.accepted.length && `${result.accepted.length} accepted`,
+        result.waitlisted.length && `${result.waitlisted.length} waitlisted`,
+        result.rejected.length && `${result.rejected.length} rejected`,
+        result.unchanged.length && `${result.unchanged.length} unchanged`
+      ].filter(Boolean).join(', ');
+
       res.json({
         success: true,
-        message: `Application ${status.toLowerCase()} successfully`,
-        data: updatedApplication
+        message: `Applications reviewed: ${summary}`,
+        data: result
       });
 
     } catch (error) {
       next(error);
     }
-  }
+  };
 
   // Get my projects (for organizations)
-  async getMyProjects(req, res, next) {
+  getMyProjects = async (req, res, next) => {
     try {
-      const { status, page = 1, limit = 10 } = req.query;
-      const creatorId = req.user.id;
+      const { status } = req.query;
 
-      const where = { creatorId };
+      // Members see their organization's projects; accounts outside an organization see the ones they created
+      const membership = await findMembership(req.user.id);
+      const where = membership ? { organizationId: membership.organizationId } : { creatorId: req.user.id };
       if (status) {
         where.status = status;
       }
 
-      const skip = (parseInt(page) - 1) * parseInt(limit);
-
-      const [projects, totalCount] = await Promise.all([
-        prisma.project.findMany({
-          where,
-          include: {
-            requiredSkills: {
-              include: { skill: true }
-            },
-            _count: {
-              select: {
-                applications: true,
-                events: true
-              }
-            }
+      const { items: projects, pagination } = await findPage(prisma.project, {
+        where,
+        include: {
+          requiredSkills: {
+            include: { skill: true }
           },
-          orderBy: { createdAt: 'desc' },
-          skip,
-          take: parseInt(limit)
-        }),
-        prisma.project.count({ where })
-      ]);
+          _count: {
+            select: {
+              applications: true,
+              events: true
+            }
+          }
+        },
+        sort: { sortBy: 'createdAt', sortOrder: 'desc' },
+        query: req.query
+      });
 
       res.json({
         success: true,
         data: {
           projects,
-          pagination: {
-            currentPage: parseInt(page),
-            totalPages: Math.ceil(totalCount / parseInt(limit)),
-            totalItems: totalCount,
-            itemsPerPage: parseInt(limit)
-          }
+          pagination
         }
       });
 
     } catch (error) {
       next(error);
     }
-  }
+  };
 
   // Get my applications (for volunteers)
-  async getMyApplications(req, res, next) {
+  getMyApplications = async (req, res, next) => {
     try {
-      const { status, page = 1, limit = 10 } = req.query;
+      const { status } = req.query;
       const volunteerId = req.user.id;
 
       if (req.user.role !== 'VOLUNTEER') {
@@ -730,51 +975,40 @@ class ProjectController {
         where.status = status;
       }
 
-      const skip = (parseInt(page) - 1) * parseInt(limit);
-
-      const [applications, totalCount] = await Promise.all([
-        prisma.application.findMany({
-          where,
-          include: {
-            project: {
-              include: {
-                creator: {
-                  select: {
-                    firstName: true,
-                    lastName: true,
-                    organizationProfile: true
-                  }
+      const { items: applications, pagination } = await findPage(prisma.application, {
+        where,
+        include: {
+          project: {
+            include: {
+              creator: {
+                select: {
+                  firstname: true,
+                  lastname: true,
+                  organizationProfile: true
                 }
               }
             }
-          },
-          orderBy: { appliedAt: 'desc' },
-          skip,
-          take: parseInt(limit)
-        }),
-        prisma.application.count({ where })
-      ]);
+          }
+        },
+        sort: { sortBy: 'appliedAt', sortOrder: 'desc' },
+        query: req.query
+      });
 
       res.json({
         success: true,
         data: {
           applications,
-          pagination: {
-            currentPage: parseInt(page),
-            totalPages: Math.ceil(totalCount / parseInt(limit)),
-            totalItems: totalCount,
-            itemsPerPage: parseInt(limit)
-          }
+          pagination
         }
       });
 
     } catch (error) {
       next(error);
     }
-  }
+  };
 
   // Withdraw application
-  async withdrawApplication(req, res, next) {
+  withdrawApplication = async (req, res, next) => {
     try {
       const { applicationId } = req.params;
       const volunteerId = req.user.id;
@@ -796,36 +1030,30 @@ class ProjectController {
         throw new AppError('Access denied', 403);
       }
 
-      if (application.status === 'ACCEPTED') {
-        throw new AppError('Cannot withdraw an accepted application. Please contact the organization.', 400);
+      if (application.status === 'ACCEPTED' && application.project.status === 'COMPLETED') {
+        throw new AppError('This project has been completed, so your application can no longer be withdrawn', 400);
       }
 
-      // Delete application
-      await prisma.application.delete({
-        where: { id: applicationId }
-      });
+      const answerFiles = await answerFileUrls({ applicationId });
 
-      // Update project application count
-      await prisma.project.update({
-        where: { id: application.projectId },
-        data: {
-          volunteersApplied: {
-            decrement: 1
-          }
-        }
-      });
+      // An accepted volunteer's place goes to the first person on the waitlist
+      await applicationService.withdrawApplication(application);
 
-      // Notify project creator
-      await sendNotification({
-        userId: application.project.creatorId,
-        type: 'APPLICATION_WITHDRAWN',
-        title: 'Application Withdrawn',
-        message: `A volunteer has withdrawn their application for "${application.project.title}"`,
-        data: {
-          projectId: application.projectId,
-          applicationId
-        }
-      });
+      await deleteDocuments(answerFiles);
+
+      // Notify the project's reviewers
+      for (const userId of await projectTeamIds(application.project, PERMISSIONS.REVIEW_VOLUNTEERS)) {
+        await sendNotification({
+          userId,
+          type: 'APPLICATION_WITHDRAWN',
+          title: 'Application Withdrawn',
+          message: `A volunteer has withdrawn their application for "${application.project.title}"`,
+          data: {
+            projectId: application.projectId,
+            applicationId
+          }
+        });
+      }
 
       res.json({
         success: true,
@@ -835,10 +1063,10 @@ class ProjectController {
     } catch (error) {
       next(error);
     }
-  }
+  };
 
   // Get project statistics
-  async getProjectStats(req, res, next) {
+  getProjectStats = async (req, res, next) => {
     try {
       const { id: projectId } = req.params;
 
@@ -850,14 +1078,13 @@ class ProjectController {
         throw new AppError('Project not found', 404);
       }
 
-      if (project.creatorId !== req.user.id && req.user.role !== 'ADMIN') {
-        throw new AppError('Access denied', 403);
-      }
+      await assertProjectPermission(project, req.user, PERMISSIONS.REVIEW_VOLUNTEERS);
 
       const stats = await prisma.$transaction([
         prisma.application.count({ where: { projectId } }),
         prisma.application.count({ where: { projectId, status: 'PENDING' } }),
         prisma.application.count({ where: { projectId, status: 'ACCEPTED' } }),
+        prisma.application.count({ where: { projectId, status: 'WAITLISTED' } }),
         prisma.application.count({ where: { projectId, status: 'REJECTED' } }),
         prisma.event.count({ where: { projectId } }),
         prisma.impactMetric.findMany({ 
@@ -865,11 +1092,13 @@ class ProjectController {
           orderBy: { recordedAt: 'desc' }
         })
       ]);
+      const hours = await hoursService.getProjectHourTotals(projectId);
 
       const [
         totalApplications,
         pendingApplications,
         acceptedApplications,
+        waitlistedApplications,
         rejectedApplications,
         totalEvents,
         impactMetrics
@@ -882,11 +1111,13 @@ class ProjectController {
             total: totalApplications,
             pending: pendingApplications,
             accepted: acceptedApplications,
+            waitlisted: waitlistedApplications,
             rejected: rejectedApplications
           },
           events: {
             total: totalEvents
           },
+          hours,
           impact: {
             metrics: impactMetrics
           },
@@ -902,34 +1133,27 @@ class ProjectController {
     } catch (error) {
       next(error);
     }
-  }
+  };
 
-  // Helper method to notify relevant volunteers about new projects
-  async notifyRelevantVolunteers(project) {
-    try {
-      // Use AI service to find potential matches
-      const potentialVolunteers = await aiService.recommendVolunteers(project.id, 20);
-      
-      // Send notifications to top matches
-      const topMatches = potentialVolunteers.slice(0, 5);
-      
-      for (const match of topMatches) {
-        await sendNotification({
-          userId: match.volunteer.userId,
-          type: 'NEW_PROJECT_MATCH',
-          title: 'New Project Match!',
-          message: `A new project "${project.title}" matches your skills and interests!`,
-          data: {
-            projectId: project.id,
-            matchScore: Math.round(match.score)
-          }
-        });
-      }
-    } catch (error) {
-      console.error('Error notifying volunteers:', error);
-      // Don't throw error as this is not critical
+  // Moderators approved what volunteers see, so editing it after approval would get around moderation
+  assertModeratedContentUnchanged = (project, updateData, imagesChanged) => {
+    const changed = MODERATED_FIELDS.filter(field =>
+      updateData[field] !== undefined && JSON.stringify(updateData[field]) !== JSON.stringify(project[field]));
+    if (imagesChanged) changed.push('images');
+
+    if (changed.length > 0) {
+      throw new AppError(`The ${changed.join(', ')} of an approved project cannot be changed`, 400);
     }
-  }
+  };
+
+  // Coordinates of a free-text location, or nulls if it can't be placed
+  coordinatesFor = (location) => {
+    const place = geocode(location);
+    return {
+      latitude: place ? place.latitude : null,
+      longitude: place ? place.longitude : null
+    };
+  };
 }
 
 module.exports = new ProjectController();
\ No newline at end of file
@@ -0,0 +1,100 @@
+const { PrismaClient } = require('@prisma/client');
+const { AppError } = require('../utils/appError');
+
+const prisma = new PrismaClient();
+
+class SkillController {
+  // Skill catalogue, by category and name
+  getSkills = async (req, res, next) => {
+    try {
+      const { search, category } = req.query;
+
+      const where = {};
+      if (search) {
+        where.name = { contains: search, mode: 'insensitive' };
+      }
+      if (category) {
+        where.category = { equals: category, mode: 'insensitive' };
+      }
+
+      const skills = await prisma.skill.findMany({
+        where,
+        include: {
+          _count: {
+            select: { volunteerSkills: true, projectSkills: true }
+          }
+        },
+        orderBy: [{ category: 'asc' }, { name: 'asc' }]
+      });
+
+      res.json({
+        success: true,
+        data: skills
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Add a skill to the catalogue
+  createSkill = async (req, res, next) => {
+    try {
+      await this.assertUniqueName(req.body.name);
+
+      const skill = await prisma.skill.create({
+        data: req.body
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Skill created successfully',
+        data: skill
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Rename or recategorize a skill
+  updateSkill = async (req, res, next) => {
+    try {
+      const skill = await prisma.skill.findUnique({
+        where: { id: req.params.skillId }
+      });
+
+      if (!skill) {
+        throw new AppError('Skill not found', 404);
+      }
+
+      if (req.body.name) {
+        await this.assertUniqueName(req.body.name, skill.id);
+      }
+
+      const updatedSkill = await prisma.skill.update({
+        where: { id: skill.id },
+        data: req.body
+      });
+
+      res.json({
+        success: true,
+        message: 'Skill updated successfully',
+        data: updatedSkill
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Skill names are unique regardless of case, so "First aid" and "First Aid" can't both exist
+  assertUniqueName = async (name, skillId = null) => {
+    const existing = await prisma.skill.findFirst({
+      where: { name: { equals: name, mode: 'insensitive' } }
+    });
+
+    if (existing && existing.id !== skillId) {
+      throw new AppError(`The skill "${existing.name}" already exists`, 400);
+    }
+  };
+}
+
+module.exports = new SkillController();
@@ -0,0 +1,282 @@
+const { PrismaClient } = require('@prisma/client');
+const { AppError } = require('../utils/appError');
+const { sendNotification } = require('../services/notificationService');
+const { normalizeSlots } = require('../services/availabilityService');
+const { PERMISSIONS, requireMembership } = require('../services/organizationAccessService');
+
+const prisma = new PrismaClient();
+
+const profileInclude = {
+  user: {
+    select: {
+      id: true,
+      firstname: true,
+      lastname: true,
+      avatar: true
+    }
+  },
+  skills: {
+    include: {
+      skill: true,
+      endorsements: {
+        include: {
+          organization: {
+            select: { id: true, organizationName: true, isVerified: true }
+          },
+          endorsedBy: {
+            select: { firstname: true, lastname: true }
+          }
+        },
+        orderBy: { createdAt: 'desc' }
+      }
+    },
+    orderBy: { skill: { name: 'asc' } }
+  },
+  availability: {
+    orderBy: [{ day: 'asc' }, { startTime: 'asc' }]
+  }
+};
+
+class VolunteerController {
+  // My volunteer profile with skills, endorsements and weekly availability
+  getMyProfile = async (req, res, next) => {
+    try {
+      const profile = await this.findOrCreateProfile(req.user.id);
+
+      res.json({
+        success: true,
+        data: profile
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Update my bio, location, phone, interests and status
+  updateMyProfile = async (req, res, next) => {
+    try {
+      const profile = await prisma.volunteerProfile.upsert({
+        where: { userId: req.user.id },
+        update: req.body,
+        create: { ...req.body, userId: req.user.id },
+        include: profileInclude
+      });
+
+      res.json({
+        success: true,
+        message: 'Profile updated successfully',
+        data: profile
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Add a catalogue skill to my profile, or change its level (endorsements are kept)
+  setMySkill = async (req, res, next) => {
+    try {
+      const { skillId } = req.params;
+      const { level, yearsOfExperience } = req.body;
+
+      const skill = await prisma.skill.findUnique({ where: { id: skillId } });
+      if (!skill) {
+        throw new AppError('Skill not found', 404);
+      }
+
+      const profile = await this.findOrCreateProfile(req.user.id);
+
+      const volunteerSkill = await prisma.volunteerSkill.upsert({
+        where: { volunteerId_skillId: { volunteerId: profile.id, skillId } },
+        update: { level, yearsOfExperience },
+        create: { volunteerId: profile.id, skillId, level, yearsOfExperience },
+        include: { skill: true }
+      });
+
+      res.json({
+        success: true,
+        message: `${skill.name} saved as ${level.toLowerCase()}`,
+        data: volunteerSkill
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Remove a skill (and its endorsements) from my profile
+  removeMySkill = async (req, res, next) => {
+    try {
+      const profile = await this.findOrCreateProfile(req.user.id);
+
+      const { count } = await prisma.volunteerSkill.deleteMany({
+        where: { volunteerId: profile.id, skillId: req.params.skillId }
+      });
+
+      if (count === 0) {
+        throw new AppError('This skill is not on your profile', 404);
+      }
+
+      res.json({
+        success: true,
+        message: 'Skill removed from your profile'
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Replace my weekly availability calendar
+  setMyAvailability = async (req, res, next) => {
+    try {
+      const slots = normalizeSlots(req.body.slots);
+      const profile = await this.findOrCreateProfile(req.user.id);
+
+      await prisma.$transaction([
+        prisma.volunteerAvailability.deleteMany({ where: { volunteerId: profile.id } }),
+        prisma.volunteerAvailability.createMany({
+          data: slots.map(slot => ({ ...slot, volunteerId: profile.id }))
+        })
+      ]);
+
+      res.json({
+        success: true,
+        message: 'Availability updated successfully',
+        data: slots
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // A volunteer's profile, for organizations reviewing them (contact details stay private)
+  getVolunteer = async (req, res, next) => {
+    try {
+      const { volunteerId } = req.params;
+
+      if (volunteerId !== req.user.id && !['NGO', 'GOVERNMENT', 'ADMIN'].includes(req.user.role)) {
+        throw new AppError('Access denied', 403);
+      }
+
+      const profile = await prisma.volunteerProfile.findUnique({
+        where: { userId: volunteerId },
+        include: profileInclude
+      });
+
+      if (!profile) {
+        throw new AppError('Volunteer not found', 404);
+      }
+
+      const { phone, ...publicProfile } = profile;
+
+      res.json({
+        success: true,
+        data: volunteerId === req.user.id || req.user.role === 'ADMIN' ? profile : publicProfile
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Endorse a volunteer's skill on behalf of my organization
+  endorseSkill = async (req, res, next) => {
+    try {
+      const { volunteerId, skillId } = req.params;
+      const { organization } = await requireMembership(req.user.id, PERMISSIONS.REVIEW_VOLUNTEERS);
+
+      if (organization.verificationStatus !== 'APPROVED') {
+        throw new AppError('Only verified organizations can endorse skills', 400);
+      }
+
+      const volunteerSkill = await this.findVolunteerSkill(volunteerId, skillId);
+
+      // Organizations vouch only for volunteers they have worked with
+      const workedTogether = await prisma.application.findFirst({
+        where: { volunteerId, status: 'ACCEPTED', project: { organizationId: organization.id } },
+        select: { id: true }
+      });
+      if (!workedTogether) {
+        throw new AppError('You can only endorse volunteers who have been accepted on your organization\'s projects', 403);
+      }
+
+      const existing = await prisma.skillEndorsement.findUnique({
+        where: {
+          volunteerSkillId_organizationId: { volunteerSkillId: volunteerSkill.id, organizationId: organization.id }
+        }
+      });
+      if (existing) {
+        throw new AppError('Your organization has already endorsed this skill', 400);
+      }
+
+      const endorsement = await prisma.skillEndorsement.create({
+        data: {
+          volunteerSkillId: volunteerSkill.id,
+          organizationId: organization.id,
+          endorsedById: req.user.id,
+          comment: req.body.comment || null
+        }
+      });
+
+      await sendNotification({
+        userId: volunteerId,
+        type: 'SKILL_ENDORSED',
+        title: 'Skill Endorsed',
+        message: `${organization.organizationName} endorsed your ${volunteerSkill.skill.name} skill.`,
+        data: { skillId, organizationId: organization.id, endorsementId: endorsement.id }
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Skill endorsed successfully',
+        data: endorsement
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Withdraw my organization's endorsement of a volunteer's skill
+  removeEndorsement = async (req, res, next) => {
+    try {
+      const { volunteerId, skillId } = req.params;
+      const { organization } = await requireMembership(req.user.id, PERMISSIONS.REVIEW_VOLUNTEERS);
+      const volunteerSkill = await this.findVolunteerSkill(volunteerId, skillId);
+
+      const { count } = await prisma.skillEndorsement.deleteMany({
+        where: { volunteerSkillId: volunteerSkill.id, organizationId: organization.id }
+      });
+
+      if (count === 0) {
+        throw new AppError('Endorsement not found', 404);
+      }
+
+      res.json({
+        success: true,
+        message: 'Endorsement withdrawn'
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Helper methods
+  // Volunteers who registered before profiles existed get one the first time they need it
+  findOrCreateProfile = (userId) => prisma.volunteerProfile.upsert({
+    where: { userId },
+    update: {},
+    create: { userId },
+    include: profileInclude
+  });
+
+  findVolunteerSkill = async (volunteerId, skillId) => {
+    const volunteerSkill = await prisma.volunteerSkill.findFirst({
+      where: { skillId, volunteer: { userId: volunteerId } },
+      include: { skill: true }
+    });
+
+    if (!volunteerSkill) {
+      throw new AppError('This volunteer has not listed this skill', 404);
+    }
+    return volunteerSkill;
+  };
+}
+
+module.exports = new VolunteerController();
@@ -0,0 +1,166 @@
+// src/data/rwandaLocations.js
+// Offline gazetteer of Rwandan administrative areas with approximate centroids (WGS84).
+// Districts are complete; sectors cover the City of Kigali and the main secondary towns.
+// Add sectors to a district's `sectors` list to make them geocodable.
+
+const provinces = [
+  { name: 'Kigali', aliases: ['Kigali City', 'City of Kigali', 'Umujyi wa Kigali'], latitude: -1.9441, longitude: 30.0619 },
+  { name: 'Northern', aliases: ['Northern Province', 'Amajyaruguru'], latitude: -1.6000, longitude: 29.8500 },
+  { name: 'Southern', aliases: ['Southern Province', 'Amajyepfo'], latitude: -2.4000, longitude: 29.7000 },
+  { name: 'Eastern', aliases: ['Eastern Province', 'Iburasirazuba'], latitude: -1.8500, longitude: 30.4000 },
+  { name: 'Western', aliases: ['Western Province', 'Iburengerazuba'], latitude: -2.0500, longitude: 29.3500 }
+];
+
+const districts = [
+  // City of Kigali
+  {
+    name: 'Gasabo',
+    province: 'Kigali',
+    latitude: -1.8800,
+    longitude: 30.1300,
+    sectors: [
+      { name: 'Bumbogo', latitude: -1.8800, longitude: 30.1400 },
+      { name: 'Gatsata', latitude: -1.9200, longitude: 30.0600 },
+      { name: 'Gikomero', latitude: -1.8600, longitude: 30.2200 },
+      { name: 'Gisozi', latitude: -1.9200, longitude: 30.0700 },
+      { name: 'Jabana', latitude: -1.8700, longitude: 30.0500 },
+      { name: 'Jali', latitude: -1.8900, longitude: 30.0200 },
+      { name: 'Kacyiru', latitude: -1.9400, longitude: 30.0800 },
+      { name: 'Kimihurura', latitude: -1.9500, longitude: 30.0900 },
+      { name: 'Kimironko', latitude: -1.9400, longitude: 30.1300 },
+      { name: 'Kinyinya', latitude: -1.9100, longitude: 30.1000 },
+      { name: 'Ndera', latitude: -1.9300, longitude: 30.1800 },
+      { name: 'Nduba', latitude: -1.8300, longitude: 30.0800 },
+      { name: 'Remera', latitude: -1.9550, longitude: 30.1100 },
+      { name: 'Rusororo', latitude: -1.9600, longitude: 30.1900 },
+      { name: 'Rutunga', latitude: -1.8000, longitude: 30.1600 }
+    ]
+  },
+  {
+    name: 'Kicukiro',
+    province: 'Kigali',
+    latitude: -2.0000,
+    longitude: 30.1400,
+    sectors: [
+      { name: 'Gahanga', latitude: -2.0300, longitude: 30.1000 },
+      { name: 'Gatenga', latitude: -1.9900, longitude: 30.0800 },
+      { name: 'Gikondo', latitude: -1.9800, longitude: 30.0700 },
+      { name: 'Kagarama', latitude: -2.0000, longitude: 30.1100 },
+      { name: 'Kanombe', latitude: -1.9700, longitude: 30.1500 },
+      { name: 'Kicukiro', latitude: -1.9700, longitude: 30.1000 },
+      { name: 'Kigarama', latitude: -1.9900, longitude: 30.1000 },
+      { name: 'Masaka', latitude: -2.0000, longitude: 30.1900 },
+      { name: 'Niboye', latitude: -1.9800, longitude: 30.1100 },
+      { name: 'Nyarugunga', latitude: -1.9600, longitude: 30.1300 }
+    ]
+  },
+  {
+    name: 'Nyarugenge',
+    province: 'Kigali',
+    latitude: -1.9700,
+    longitude: 30.0400,
+    sectors: [
+      { name: 'Gitega', latitude: -1.9550, longitude: 30.0500 },
+      { name: 'Kanyinya', latitude: -1.9300, longitude: 29.9900 },
+      { name: 'Kigali', latitude: -1.9600, longitude: 30.0100 },
+      { name: 'Kimisagara', latitude: -1.9500, longitude: 30.0400 },
+      { name: 'Mageragere', latitude: -2.0300, longitude: 30.0000 },
+      { name: 'Muhima', latitude: -1.9400, longitude: 30.0500 },
+      { name: 'Nyakabanda', latitude: -1.9600, longitude: 30.0450 },
+      { name: 'Nyamirambo', latitude: -1.9800, longitude: 30.0400 },
+      { name: 'Nyarugenge', latitude: -1.9500, longitude: 30.0600 },
+      { name: 'Rwezamenyo', latitude: -1.9620, longitude: 30.0520 }
+    ]
+  },
+
+  // Northern Province
+  { name: 'Burera', province: 'Northern', latitude: -1.4700, longitude: 29.8300, sectors: [] },
+  { name: 'Gakenke', province: 'Northern', latitude: -1.7000, longitude: 29.7800, sectors: [] },
+  { name: 'Gicumbi', province: 'Northern', aliases: ['Byumba'], latitude: -1.5800, longitude: 30.0700, sectors: [] },
+  {
+    name: 'Musanze',
+    province: 'Northern',
+    aliases: ['Ruhengeri'],
+    latitude: -1.5000,
+    longitude: 29.6000,
+    sectors: [
+      { name: 'Muhoza', latitude: -1.4990, longitude: 29.6340 }
+    ]
+  },
+  { name: 'Rulindo', province: 'Northern', latitude: -1.7300, longitude: 30.0000, sectors: [] },
+
+  // Southern Province
+  { name: 'Gisagara', province: 'Southern', latitude: -2.6000, longitude: 29.8300, sectors: [] },
+  {
+    name: 'Huye',
+    province: 'Southern',
+    aliases: ['Butare'],
+    latitude: -2.6000,
+    longitude: 29.7400,
+    sectors: [
+      { name: 'Ngoma', latitude: -2.5960, longitude: 29.7390 },
+      { name: 'Tumba', latitude: -2.6150, longitude: 29.7350 }
+    ]
+  },
+  { name: 'Kamonyi', province: 'Southern', latitude: -2.0000, longitude: 29.9000, sectors: [] },
+  {
+    name: 'Muhanga',
+    province: 'Southern',
+    aliases: ['Gitarama'],
+    latitude: -2.0800,
+    longitude: 29.7500,
+    sectors: [
+      { name: 'Nyamabuye', latitude: -2.0800, longitude: 29.7400 }
+    ]
+  },
+  { name: 'Nyamagabe', province: 'Southern', aliases: ['Gikongoro'], latitude: -2.4500, longitude: 29.4800, sectors: [] },
+  { name: 'Nyanza', province: 'Southern', latitude: -2.3500, longitude: 29.7500, sectors: [] },
+  { name: 'Nyaruguru', province: 'Southern', latitude: -2.7300, longitude: 29.5300, sectors: [] },
+  { name: 'Ruhango', province: 'Southern', latitude: -2.2200, longitude: 29.7800, sectors: [] },
+
+  // Eastern Province
+  { name: 'Bugesera', province: 'Eastern', aliases: ['Nyamata'], latitude: -2.2300, longitude: 30.1500, sectors: [] },
+  { name: 'Gatsibo', province: 'Eastern', latitude: -1.5800, longitude: 30.4500, sectors: [] },
+  { name: 'Kayonza', province: 'Eastern', latitude: -1.9000, longitude: 30.5100, sectors: [] },
+  { name: 'Kirehe', province: 'Eastern', latitude: -2.2200, longitude: 30.7200, sectors: [] },
+  { name: 'Ngoma', province: 'Eastern', aliases: ['Kibungo'], latitude: -2.1500, longitude: 30.4700, sectors: [] },
+  {
+    name: 'Nyagatare',
+    province: 'Eastern',
+    latitude: -1.3000,
+    longitude: 30.3300,
+    sectors: [
+      { name: 'Nyagatare', latitude: -1.2970, longitude: 30.3260 }
+    ]
+  },
+  { name: 'Rwamagana', province: 'Eastern', latitude: -1.9500, longitude: 30.4300, sectors: [] },
+
+  // Western Province
+  { name: 'Karongi', province: 'Western', aliases: ['Kibuye'], latitude: -2.0800, longitude: 29.3500, sectors: [] },
+  { name: 'Ngororero', province: 'Western', latitude: -1.8700, longitude: 29.6000, sectors: [] },
+  { name: 'Nyabihu', province: 'Western', latitude: -1.6500, longitude: 29.5000, sectors: [] },
+  { name: 'Nyamasheke', province: 'Western', latitude: -2.3300, longitude: 29.1000, sectors: [] },
+  {
+    name: 'Rubavu',
+    province: 'Western',
+    aliases: ['Gisenyi'],
+    latitude: -1.7000,
+    longitude: 29.3000,
+    sectors: [
+      { name: 'Gisenyi', latitude: -1.7020, longitude: 29.2560 }
+    ]
+  },
+  {
+    name: 'Rusizi',
+    province: 'Western',
+    aliases: ['Cyangugu'],
+    latitude: -2.4800,
+    longitude: 28.9000,
+    sectors: [
+      { name: 'Kamembe', latitude: -2.4780, longitude: 28.9080 }
+    ]
+  },
+  { name: 'Rutsiro', province: 'Western', latitude: -1.9300, longitude: 29.3300, sectors: [] }
+];
+
+module.exports = { provinces, districts };
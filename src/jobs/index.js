@@ -0,0 +1,18 @@
+// src/jobs/index.js
+// Background jobs run by the in-process scheduler
+const { registerJob, startScheduler } = require('../services/scheduler');
+const { syncEventStatuses } = require('../services/eventService');
+const { geocodeMissingProjects } = require('../services/geocoder');
+const { syncProjectStatuses } = require('../services/projectLifecycleService');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+const startJobs = () => {
+  registerJob('sync-event-statuses', MINUTE, syncEventStatuses);
+  registerJob('sync-project-statuses', 5 * MINUTE, syncProjectStatuses);
+  registerJob('geocode-projects', HOUR, geocodeMissingProjects);
+  startScheduler();
+};
+
+module.exports = { startJobs };
@@ -0,0 +1,99 @@
+const { PrismaClient, Role } = require('@prisma/client');
+const { AppError } = require('../utils/appError');
+const { verifyToken } = require('../utils/helper');
+const { isSessionActive } = require('../services/tokenService');
+
+const prisma = new PrismaClient();
+
+// Extract the token from an "Authorization: Bearer <token>" header
+const getBearerToken = (req) => {
+  const header = req.headers.authorization;
+  if (!header) return null;
+
+  const [scheme, token] = header.split(' ');
+  if (scheme !== 'Bearer' || !token) {
+    throw new AppError('Authorization header must be in the format "Bearer <token>"', 401);
+  }
+  return token;
+};
+
+// Verify the token and load the user it belongs to
+const authenticate = async (token) => {
+  let decoded;
+  try {
+    decoded = verifyToken(token);
+  } catch (error) {
+    throw new AppError(error.name === 'TokenExpiredError' ? 'Token has expired' : 'Invalid token', 401);
+  }
+
+  const user = await prisma.user.findUnique({
+    where: { id: decoded.id },
+    select: {
+      id: true,
+      email: true,
+      firstname: true,
+      lastname: true,
+      role: true,
+      isVerified: true,
+      passwordChangedAt: true
+    }
+  });
+
+  if (!user) throw new AppError('User no longer exists', 401);
+
+  // Tokens issued before the last password change are no longer valid
+  if (user.passwordChangedAt && decoded.iat < Math.floor(user.passwordChangedAt.getTime() / 1000)) {
+    throw new AppError('Password was changed. Please log in again.', 401);
+  }
+
+  // Access tokens die with the session they were issued for
+  if (decoded.sid && !(await isSessionActive(decoded.sid))) {
+    throw new AppError('Session has been revoked. Please log in again.', 401);
+  }
+
+  const { passwordChangedAt, ...currentUser } = user;
+  return { ...currentUser, sid: decoded.sid };
+};
+
+// Require a valid access token and attach the current user to req.user
+const authMiddleware = async (req, res, next) => {
+  try {
+    const token = getBearerToken(req);
+    if (!token) throw new AppError('Authentication required', 401);
+
+    req.user = await authenticate(token);
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Attach req.user when a valid token is sent, but let anonymous requests through
+const optionalAuth = async (req, res, next) => {
+  try {
+    const token = getBearerToken(req);
+    req.user = token ? await authenticate(token) : null;
+  } catch (error) {
+    req.user = null;
+  }
+  next();
+};
+
+// Only let users with one of the given roles through (use after authMiddleware)
+const requireRole = (roles) => {
+  const allowed = Array.isArray(roles) ? roles : [roles];
+  const unknown = allowed.filter(role => !Object.values(Role).includes(role));
+  if (unknown.length > 0) {
+    throw new Error(`requireRole: unknown role(s) ${unknown.join(', ')}`);
+  }
+
+  return (req, res, next) => {
+    if (!req.user) return next(new AppError('Authentication required', 401));
+    if (!allowed.includes(req.user.role)) {
+      return next(new AppError('Access denied. Insufficient permissions.', 403));
+    }
+    next();
+  };
+};
+
+module.exports = { authMiddleware, optionalAuth, requireRole };
@@ -1,12 +0,0 @@
-const jwt = require("jsonwebtoken");
-
-module.exports = (req, res, next) => {
-  const token = req.headers["authorization"];
-  if (!token) return res.status(403).json({ message: "No token provided" });
-
-  jwt.verify(token.split(" ")[1], process.env.JWT_SECRET, (err, decoded) => {
-    if (err) return res.status(401).json({ message: "Unauthorized" });
-    req.user = decoded;
-    next();
-  });
-};
@@ -0,0 +1,88 @@
+const { Prisma } = require('@prisma/client');
+const { AppError } = require('../utils/appError');
+
+// Translate Prisma known request errors into operational errors
+const fromPrismaError = (error) => {
+  switch (error.code) {
+    case 'P2002': {
+      const fields = [].concat(error.meta?.target || []).join(', ');
+      return new AppError(fields ? `A record with this ${fields} already exists` : 'Record already exists', 409);
+    }
+    case 'P2025':
+      return new AppError(error.meta?.cause || 'Record not found', 404);
+    case 'P2003':
+      return new AppError('Related record not found', 400);
+    // A serializable transaction kept conflicting with concurrent ones
+    case 'P2034':
+      return new AppError('The record was changed by someone else at the same time. Please try again.', 409);
+    default:
+      return null;
+  }
+};
+
+// Turn any thrown error into an AppError-like { statusCode, message, isOperational }
+const normalizeError = (error) => {
+  if (error instanceof AppError || error.isOperational) return error;
+
+  if (error instanceof Prisma.PrismaClientKnownRequestError) {
+    return fromPrismaError(error) || error;
+  }
+  if (error instanceof Prisma.PrismaClientValidationError) {
+    return new AppError('Invalid request data', 400);
+  }
+
+  if (error.name === 'MulterError') {
+    return new AppError(
+      error.code === 'LIMIT_FILE_SIZE' ? 'File is too large' : `Upload error: ${error.message}`,
+      error.code === 'LIMIT_FILE_SIZE' ? 413 : 400
+    );
+  }
+
+  if (error.name === 'TokenExpiredError') return new AppError('Token has expired', 401);
+  if (error.name === 'JsonWebTokenError' || error.name === 'NotBeforeError') {
+    return new AppError('Invalid token', 401);
+  }
+
+  // Errors raised by Express and body-parser (e.g. malformed JSON, payload too large)
+  const status = error.status || error.statusCode;
+  if (status >= 400 && status < 500) {
+    return new AppError(error.type === 'entity.parse.failed' ? 'Malformed JSON in request body' : error.message, status);
+  }
+
+  return error;
+};
+
+// 404 for routes that do not exist
+const notFound = (req, res, next) => {
+  next(new AppError(`Route ${req.method} ${req.originalUrl} not found`, 404));
+};
+
+// Central error handler: renders every error as { success: false, message, requestId }.
+// Express recognizes error handlers by their four arguments, so `next` stays even though it is unused.
+const errorHandler = (err, req, res, next) => {
+  const error = normalizeError(err);
+  const isOperational = !!error.isOperational;
+  const statusCode = isOperational ? error.statusCode || 500 : 500;
+  const isProduction = process.env.NODE_ENV === 'production';
+
+  if (!isOperational || statusCode >= 500) {
+    console.error(`[${req.id}]`, err);
+  }
+
+  const body = {
+    success: false,
+    message: isOperational || !isProduction ? error.message : 'Something went wrong',
+    requestId: req.id
+  };
+
+  if (error.errors) {
+    body.errors = error.errors;
+  }
+  if (!isProduction) {
+    body.stack = err.stack;
+  }
+
+  res.status(statusCode).json(body);
+};
+
+module.exports = { errorHandler, notFound };
@@ -0,0 +1,9 @@
+const crypto = require('crypto');
+
+// Tag every request with an ID (reusing a valid incoming X-Request-Id) and echo it in the response
+module.exports = (req, res, next) => {
+  const incoming = req.get('x-request-id');
+  req.id = incoming && /^[\w-]{1,128}$/.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  next();
+};
@@ -0,0 +1,17 @@
+const { AppError } = require('../utils/appError');
+
+// Actions that need a verified email, from REQUIRE_VERIFIED_EMAIL_FOR (e.g. "login,apply")
+const isVerificationRequired = (action) => (process.env.REQUIRE_VERIFIED_EMAIL_FOR || '')
+  .split(',')
+  .map(value => value.trim().toLowerCase())
+  .includes(action);
+
+// Block an action until the current user has verified their email, when configured to (use after authMiddleware)
+const requireVerifiedEmail = (action) => (req, res, next) => {
+  if (isVerificationRequired(action) && !req.user.isVerified) {
+    return next(new AppError('Please verify your email address first', 403));
+  }
+  next();
+};
+
+module.exports = { isVerificationRequired, requireVerifiedEmail };
@@ -0,0 +1,70 @@
+const multer = require('multer');
+const { AppError } = require('../utils/appError');
+
+const ALLOWED_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+const ALLOWED_DOCUMENT_TYPES = ['application/pdf', 'image/jpeg', 'image/png'];
+
+// Largest accepted image, in megabytes
+const MAX_IMAGE_SIZE_MB = parseInt(process.env.MAX_IMAGE_SIZE_MB) || 5;
+
+// Largest accepted verification document, in megabytes
+const MAX_DOCUMENT_SIZE_MB = parseInt(process.env.MAX_DOCUMENT_SIZE_MB) || 10;
+
+// Most files an application can attach, one per file upload screening question
+const MAX_SCREENING_FILES = 5;
+
+// Images are kept in memory and handed to uploadService, which resizes and stores them
+const uploadMiddleware = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_IMAGE_SIZE_MB * 1024 * 1024,
+    files: 5
+  },
+  fileFilter: (req, file, cb) => {
+    if (!ALLOWED_IMAGE_TYPES.includes(file.mimetype)) {
+      return cb(new AppError(`Unsupported file type ${file.mimetype}. Allowed: JPEG, PNG, WebP`, 400));
+    }
+    cb(null, true);
+  }
+});
+
+// Verification documents (one per request) are stored as uploaded, so scans stay legible
+const documentUploadMiddleware = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_DOCUMENT_SIZE_MB * 1024 * 1024,
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    if (!ALLOWED_DOCUMENT_TYPES.includes(file.mimetype)) {
+      return cb(new AppError(`Unsupported file type ${file.mimetype}. Allowed: PDF, JPEG, PNG`, 400));
+    }
+    cb(null, true);
+  }
+});
+
+// Files answering screening questions, uploaded with the application under "question-<questionId>"
+const screeningUploadMiddleware = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_DOCUMENT_SIZE_MB * 1024 * 1024,
+    files: MAX_SCREENING_FILES
+  },
+  fileFilter: (req, file, cb) => {
+    if (!ALLOWED_DOCUMENT_TYPES.includes(file.mimetype)) {
+      return cb(new AppError(`Unsupported file type ${file.mimetype}. Allowed: PDF, JPEG, PNG`, 400));
+    }
+    cb(null, true);
+  }
+});
+
+module.exports = {
+  uploadMiddleware,
+  documentUploadMiddleware,
+  screeningUploadMiddleware,
+  ALLOWED_IMAGE_TYPES,
+  ALLOWED_DOCUMENT_TYPES,
+  MAX_IMAGE_SIZE_MB,
+  MAX_DOCUMENT_SIZE_MB,
+  MAX_SCREENING_FILES
+};
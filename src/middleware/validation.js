@@ -0,0 +1,665 @@
+const Joi = require('joi');
+const {
+  Priority,
+  ProjectStatus,
+  SkillLevel,
+  HourEntryStatus,
+  ApplicationStatus,
+  VerificationStatus,
+  ReportTarget,
+  ReportReason,
+  ReportStatus,
+  OrganizationDocumentType,
+  OrganizationRole,
+  VolunteerStatus,
+  EventStatus,
+  Weekday,
+  ScreeningQuestionType
+} = require('@prisma/client');
+const { AppError } = require('../utils/appError');
+const { MAX_SCREENING_FILES } = require('./upload');
+
+const PROJECT_PRIORITIES = Object.values(Priority);
+const PROJECT_STATUSES = Object.values(ProjectStatus);
+const SKILL_LEVELS = Object.values(SkillLevel);
+const HOUR_ENTRY_STATUSES = Object.values(HourEntryStatus);
+const APPLICATION_STATUSES = Object.values(ApplicationStatus);
+const VERIFICATION_STATUSES = Object.values(VerificationStatus);
+const REPORT_TARGETS = Object.values(ReportTarget);
+const REPORT_REASONS = Object.values(ReportReason);
+const REPORT_STATUSES = Object.values(ReportStatus);
+const DOCUMENT_TYPES = Object.values(OrganizationDocumentType);
+const ORGANIZATION_ROLES = Object.values(OrganizationRole);
+const VOLUNTEER_STATUSES = Object.values(VolunteerStatus);
+const EVENT_STATUSES = Object.values(EventStatus);
+const WEEKDAYS = Object.values(Weekday);
+const SCREENING_QUESTION_TYPES = Object.values(ScreeningQuestionType);
+const REGISTRATION_ROLES = ['VOLUNTEER', 'NGO'];
+
+// Roles an administrator can give an account; government accounts are vetted, so not self-registered
+const ASSIGNABLE_ROLES = [...REGISTRATION_ROLES, 'GOVERNMENT'];
+
+// Most screening questions a project can ask
+const MAX_SCREENING_QUESTIONS = 20;
+
+// Fields a project listing may be sorted by
+const PROJECT_SORT_FIELDS = ['createdAt', 'startDate', 'endDate', 'title', 'volunteersNeeded', 'priority'];
+
+const options = {
+  abortEarly: false,
+  stripUnknown: true,
+  convert: true,
+  errors: { wrap: { label: false } }
+};
+
+// Multipart forms send arrays as JSON strings ('["a","b"]') or comma lists ('a,b')
+const parseArrayFields = (body, fields) => {
+  for (const field of fields) {
+    const value = body[field];
+    if (typeof value !== 'string') continue;
+    try {
+      body[field] = JSON.parse(value);
+    } catch (error) {
+      body[field] = value.split(',').map(item => item.trim()).filter(Boolean);
+    }
+  }
+  return body;
+};
+
+// Object-level rules (e.g. "radius requires userLat") have no path, so fall back to the key they concern
+const toFieldErrors = (error) => error.details.map(detail => ({
+  field: detail.path.join('.') || detail.context.main || (detail.context.missing || detail.context.peers || []).join(','),
+  message: detail.message
+}));
+
+// Validate req[source] against a schema and replace it with the coerced value
+const validate = (schema, source = 'body') => (req, res, next) => {
+  const input = source === 'body' ? parseArrayFields({ ...req.body }, ['requiredSkills', 'tags', 'removeImages', 'answers']) : req[source];
+  const { error, value } = schema.validate(input || {}, options);
+
+  if (error) {
+    return next(new AppError('Validation failed', 400, toFieldErrors(error)));
+  }
+
+  // req.query is a getter in Express 5, so shadow it with the validated copy
+  Object.defineProperty(req, source, { value, writable: true, configurable: true, enumerable: true });
+  next();
+};
+
+const projectFields = {
+  title: Joi.string().trim().min(3).max(200),
+  description: Joi.string().trim().min(10),
+  shortDescription: Joi.string().trim().max(300).allow(''),
+  category: Joi.string().trim().max(100),
+  location: Joi.string().trim().max(200),
+  latitude: Joi.number().min(-90).max(90).allow(null),
+  longitude: Joi.number().min(-180).max(180).allow(null),
+  startDate: Joi.date().iso(),
+  endDate: Joi.date().iso().allow(null),
+  volunteersNeeded: Joi.number().integer().min(1),
+  estimatedHours: Joi.number().integer().min(0).allow(null),
+  priority: Joi.string().uppercase().valid(...PROJECT_PRIORITIES),
+  tags: Joi.array().items(Joi.string().trim().max(50)).max(20),
+  requiredSkills: Joi.array().items(Joi.object({
+    skillId: Joi.number().integer().required(),
+    level: Joi.string().uppercase().valid(...SKILL_LEVELS),
+    isRequired: Joi.boolean()
+  }))
+};
+
+const createProjectSchema = Joi.object({
+  ...projectFields,
+  title: projectFields.title.required(),
+  description: projectFields.description.required(),
+  category: projectFields.category.required(),
+  location: projectFields.location.required(),
+  startDate: projectFields.startDate.required(),
+  endDate: projectFields.endDate.greater(Joi.ref('startDate')).messages({
+    'date.greater': 'endDate must be after startDate'
+  }),
+  volunteersNeeded: projectFields.volunteersNeeded.required(),
+  priority: projectFields.priority.default('MEDIUM'),
+  tags: projectFields.tags.default([]),
+  requiredSkills: projectFields.requiredSkills.default([]),
+  // Save as a draft, or submit for review straight away
+  status: Joi.string().uppercase().valid('DRAFT', 'PENDING_REVIEW').default('DRAFT')
+}).and('latitude', 'longitude');
+
+const updateProjectSchema = Joi.object({
+  ...projectFields,
+  endDate: projectFields.endDate.when('startDate', {
+    is: Joi.exist(),
+    then: Joi.date().greater(Joi.ref('startDate')).messages({ 'date.greater': 'endDate must be after startDate' })
+  }),
+  status: Joi.any().forbidden().messages({
+    'any.unknown': 'Use PATCH /api/projects/:id/status to change the project status'
+  }),
+  removeImages: Joi.array().items(Joi.string())
+});
+
+const projectStatusSchema = Joi.object({
+  status: Joi.string().uppercase().valid(...PROJECT_STATUSES).required(),
+  reason: Joi.string().trim().max(1000).allow('')
+});
+
+const applicationSchema = Joi.object({
+  message: Joi.string().trim().max(2000).allow(''),
+  estimatedHours: Joi.number().integer().min(0).max(1000),
+  // Answers to the project's screening questions; file answers are uploaded as question-<questionId>
+  answers: Joi.array().items(Joi.object({
+    questionId: Joi.number().integer().min(1).required(),
+    value: Joi.alternatives(
+      Joi.string().trim().max(1000).allow(''),
+      Joi.boolean(),
+      Joi.array().items(Joi.string().trim().max(200)).max(20)
+    ).allow(null)
+  })).max(MAX_SCREENING_QUESTIONS).default([])
+});
+
+const applicationReviewFields = {
+  status: Joi.string().uppercase().valid('ACCEPTED', 'REJECTED').required(),
+  // Shared with every volunteer reviewed
+  message: Joi.string().trim().max(1000).allow('')
+};
+
+const applicationReviewSchema = Joi.object(applicationReviewFields);
+
+const bulkApplicationReviewSchema = Joi.object({
+  ...applicationReviewFields,
+  // Accepted in this order while places remain; the rest are waitlisted
+  applicationIds: Joi.array().items(Joi.number().integer().min(1)).min(1).max(500).unique().required()
+    .messages({ 'array.unique': 'Each application can only be listed once' })
+});
+
+const screeningQuestionSchema = Joi.object({
+  // Existing question to update; questions without an id are added
+  id: Joi.number().integer().min(1),
+  type: Joi.string().uppercase().valid(...SCREENING_QUESTION_TYPES).required(),
+  prompt: Joi.string().trim().min(3).max(500).required(),
+  options: Joi.array().items(Joi.string().trim().min(1).max(200))
+    .unique((a, b) => a.toLowerCase() === b.toLowerCase())
+    .when('type', {
+      is: 'MULTIPLE_CHOICE',
+      then: Joi.array().min(2).max(20).required(),
+      otherwise: Joi.forbidden()
+    })
+    .messages({
+      'any.unknown': 'options are only allowed for MULTIPLE_CHOICE questions',
+      'array.unique': 'options must all be different'
+    }),
+  allowMultiple: Joi.boolean()
+    .when('type', { is: 'MULTIPLE_CHOICE', otherwise: Joi.forbidden() })
+    .messages({ 'any.unknown': 'allowMultiple is only allowed for MULTIPLE_CHOICE questions' }),
+  isRequired: Joi.boolean().default(false)
+});
+
+// The full, ordered list of a project's questions
+const screeningQuestionsSchema = Joi.object({
+  questions: Joi.array().items(screeningQuestionSchema)
+    .max(MAX_SCREENING_QUESTIONS)
+    .unique('id', { ignoreUndefined: true })
+    .custom((questions, helpers) => {
+      const fileQuestions = questions.filter(question => question.type === 'FILE_UPLOAD').length;
+      return fileQuestions > MAX_SCREENING_FILES ? helpers.error('questions.files') : questions;
+    })
+    .required()
+    .messages({
+      'array.unique': 'Each question can only be listed once',
+      'questions.files': `A project can ask for at most ${MAX_SCREENING_FILES} file uploads`
+    })
+});
+
+// List pagination: page mode (page, limit) or cursor mode (cursor, limit). Passing a cursor implies
+// cursor mode; start a cursor feed with paginate=cursor. The total count is opt-in for cursor mode.
+const paginationFields = {
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(10),
+  cursor: Joi.string().max(1000),
+  paginate: Joi.string().lowercase().valid('page', 'cursor')
+    .when('cursor', {
+      is: Joi.exist(),
+      then: Joi.valid(Joi.override, 'cursor').messages({ 'any.only': 'cursor can only be used with paginate=cursor' })
+    })
+    .default((parent) => (parent.cursor ? 'cursor' : 'page')),
+  includeCount: Joi.boolean().default((parent) => parent.paginate !== 'cursor')
+};
+
+// "minLng,minLat,maxLng,maxLat" (GeoJSON order) to { minLng, minLat, maxLng, maxLat }
+const parseBoundingBox = (value, helpers) => {
+  const parts = value.split(',').map(part => Number(part.trim()));
+  if (parts.length !== 4 || parts.some(Number.isNaN)) {
+    return helpers.error('bbox.format');
+  }
+
+  const [minLng, minLat, maxLng, maxLat] = parts;
+  const inRange = minLat >= -90 && maxLat <= 90 && minLng >= -180 && maxLng <= 180;
+  if (!inRange || minLat >= maxLat || minLng >= maxLng) {
+    return helpers.error('bbox.range');
+  }
+  return { minLng, minLat, maxLng, maxLat };
+};
+
+const projectQuerySchema = Joi.object({
+  ...paginationFields,
+  category: Joi.string().trim().max(100),
+  location: Joi.string().trim().max(200),
+  status: Joi.string().uppercase().valid(...PROJECT_STATUSES).default('ACTIVE'),
+  search: Joi.string().trim().max(200),
+  skills: Joi.string().pattern(/^\d+(,\d+)*$/).messages({
+    'string.pattern.base': 'skills must be a comma-separated list of skill IDs'
+  }),
+  // Best matches first when searching, newest first otherwise
+  sortBy: Joi.string().valid(...PROJECT_SORT_FIELDS, 'distance', 'relevance')
+    .default((parent) => (parent.search ? 'relevance' : 'createdAt')),
+  // Nearest first by default when sorting by distance
+  sortOrder: Joi.string().lowercase().valid('asc', 'desc')
+    .default((parent) => (parent.sortBy === 'distance' ? 'asc' : 'desc')),
+  // Category, location, priority and skill counts for the matching projects
+  facets: Joi.boolean().default(true),
+  userLat: Joi.number().min(-90).max(90),
+  userLng: Joi.number().min(-180).max(180),
+  // A place name ("Kimironko", "Musanze") to search around instead of userLat/userLng
+  near: Joi.string().trim().max(200),
+  radius: Joi.number().positive().max(1000),
+  bbox: Joi.string().custom(parseBoundingBox).messages({
+    'bbox.format': 'bbox must be minLng,minLat,maxLng,maxLat',
+    'bbox.range': 'bbox must have min values below max values and valid coordinates'
+  })
+})
+  .and('userLat', 'userLng')
+  .oxor('near', 'userLat')
+  .custom((value, helpers) => {
+    const hasOrigin = value.userLat !== undefined || value.near !== undefined;
+    if (!hasOrigin && (value.radius !== undefined || value.sortBy === 'distance')) {
+      return helpers.error('origin.required', { main: value.radius !== undefined ? 'radius' : 'sortBy' });
+    }
+    if (!value.search && value.sortBy === 'relevance') {
+      return helpers.error('search.required', { main: 'sortBy' });
+    }
+    return value;
+  })
+  .messages({
+    'object.oxor': 'Use either near or userLat/userLng, not both',
+    'origin.required': 'radius and sortBy=distance require userLat/userLng or near',
+    'search.required': 'sortBy=relevance requires search'
+  });
+
+const applicationQuerySchema = Joi.object({
+  ...paginationFields,
+  status: Joi.string().uppercase().valid(...APPLICATION_STATUSES)
+});
+
+// A project's applications can also be filtered on screening answers with answer=<questionId>:<value>
+// (repeat it to combine filters)
+const projectApplicationQuerySchema = applicationQuerySchema.keys({
+  answer: Joi.array().single().max(10).items(
+    Joi.string().trim().pattern(/^\d+:.+$/).max(300).custom((value) => {
+      const separator = value.indexOf(':');
+      return { questionId: Number(value.slice(0, separator)), value: value.slice(separator + 1).trim() };
+    })
+  ).messages({ 'string.pattern.base': 'answer must be <questionId>:<value>' })
+});
+
+const myProjectsQuerySchema = Joi.object({
+  ...paginationFields,
+  status: Joi.string().uppercase().valid(...PROJECT_STATUSES)
+});
+
+const endAfterStart = (field) => Joi.date().iso().greater(Joi.ref(field)).messages({
+  'date.greater': `endTime must be after ${field}`
+});
+
+// Meters around the project location within which volunteers can check in; null turns the geofence off
+const checkInRadius = Joi.number().integer().min(10).max(10000).allow(null);
+
+const eventSchema = Joi.object({
+  title: Joi.string().trim().min(3).max(200).required(),
+  description: Joi.string().trim().max(5000).allow(''),
+  location: Joi.string().trim().max(200),
+  startTime: Joi.date().iso().required(),
+  endTime: endAfterStart('startTime').required(),
+  capacity: Joi.number().integer().min(1).allow(null),
+  checkInRadius
+});
+
+const updateEventSchema = Joi.object({
+  title: Joi.string().trim().min(3).max(200),
+  description: Joi.string().trim().max(5000).allow(''),
+  location: Joi.string().trim().max(200),
+  startTime: Joi.date().iso(),
+  endTime: Joi.date().iso().when('startTime', { is: Joi.exist(), then: endAfterStart('startTime') }),
+  capacity: Joi.number().integer().min(1).allow(null),
+  checkInRadius,
+  // Other transitions happen automatically with time
+  status: Joi.string().uppercase().valid('CANCELLED')
+});
+
+const eventQuerySchema = Joi.object({
+  status: Joi.string().uppercase().valid(...EVENT_STATUSES)
+});
+
+const shiftSchema = Joi.object({
+  title: Joi.string().trim().max(200),
+  startTime: Joi.date().iso().required(),
+  endTime: endAfterStart('startTime').required(),
+  capacity: Joi.number().integer().min(1).allow(null)
+});
+
+const updateShiftSchema = Joi.object({
+  title: Joi.string().trim().max(200),
+  startTime: Joi.date().iso(),
+  endTime: Joi.date().iso().when('startTime', { is: Joi.exist(), then: endAfterStart('startTime') }),
+  capacity: Joi.number().integer().min(1).allow(null)
+});
+
+const checkInFields = {
+  code: Joi.string().trim().max(200).required(),
+  latitude: Joi.number().min(-90).max(90),
+  longitude: Joi.number().min(-180).max(180)
+};
+
+const checkInSchema = Joi.object(checkInFields).and('latitude', 'longitude');
+
+// Scans made offline, identified by the scanning device so that syncing again does not duplicate them
+const checkInSyncSchema = Joi.object({
+  checkIns: Joi.array().min(1).max(500).required().unique('clientId').items(
+    Joi.object({
+      ...checkInFields,
+      clientId: Joi.string().trim().max(100).required(),
+      scannedAt: Joi.date().iso().required()
+    }).and('latitude', 'longitude')
+  ).messages({ 'array.unique': 'clientId must be unique within a sync' })
+});
+
+const hourEntryFields = {
+  date: Joi.date().iso().max('now').messages({ 'date.max': 'Hours cannot be logged for a future date' }),
+  hours: Joi.number().positive().max(24).precision(2),
+  description: Joi.string().trim().min(3).max(2000),
+  eventId: Joi.number().integer().min(1).allow(null)
+};
+
+const hourEntrySchema = Joi.object({
+  ...hourEntryFields,
+  date: hourEntryFields.date.required(),
+  hours: hourEntryFields.hours.required(),
+  description: hourEntryFields.description.required()
+});
+
+const updateHourEntrySchema = Joi.object(hourEntryFields);
+
+const hourReviewSchema = Joi.object({
+  status: Joi.string().uppercase().valid('APPROVED', 'REJECTED').required(),
+  // Approve with different hours than submitted (an adjustment)
+  hours: Joi.number().positive().max(24).precision(2)
+    .when('status', { is: 'REJECTED', then: Joi.forbidden() }),
+  note: Joi.string().trim().max(1000).allow('')
+    .when('status', { is: 'REJECTED', then: Joi.required().invalid('') })
+    .when('hours', { is: Joi.exist(), then: Joi.required().invalid('') })
+    .messages({ 'any.invalid': 'note is required', 'any.required': 'note is required when rejecting or adjusting hours' })
+});
+
+const notificationQuerySchema = Joi.object({
+  page: paginationFields.page,
+  limit: paginationFields.limit.default(20),
+  unreadOnly: Joi.boolean().default(false),
+  type: Joi.string().trim().max(100)
+});
+
+const hourQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  status: Joi.string().uppercase().valid(...HOUR_ENTRY_STATUSES),
+  projectId: Joi.number().integer().min(1),
+  volunteerId: Joi.number().integer().min(1)
+});
+
+// A reason is required whenever something is rejected or taken down, and is shown to the affected user
+const moderationDecisionSchema = Joi.object({
+  decision: Joi.string().uppercase().valid('APPROVE', 'REJECT').required(),
+  reason: Joi.string().trim().max(1000).allow('')
+    .when('decision', { is: 'REJECT', then: Joi.required().invalid('') })
+    .messages({ 'any.invalid': 'reason is required', 'any.required': 'reason is required when rejecting' })
+});
+
+const reportSchema = Joi.object({
+  targetType: Joi.string().uppercase().valid(...REPORT_TARGETS).required(),
+  targetId: Joi.number().integer().min(1).required(),
+  reason: Joi.string().uppercase().valid(...REPORT_REASONS).required(),
+  details: Joi.string().trim().max(2000).allow('')
+    .when('reason', { is: 'OTHER', then: Joi.required().invalid('') })
+    .messages({ 'any.invalid': 'details are required', 'any.required': 'details are required when the reason is OTHER' })
+});
+
+const reportResolutionSchema = Joi.object({
+  // REMOVE takes the reported content down, DISMISS closes the report without action
+  decision: Joi.string().uppercase().valid('REMOVE', 'DISMISS').required(),
+  note: Joi.string().trim().max(1000).allow('')
+    .when('decision', { is: 'REMOVE', then: Joi.required().invalid('') })
+    .messages({ 'any.invalid': 'note is required', 'any.required': 'note is required when removing content' })
+});
+
+const moderationQueueQuerySchema = Joi.object(paginationFields);
+
+const organizationQuerySchema = Joi.object({
+  ...paginationFields,
+  status: Joi.string().uppercase().valid(...VERIFICATION_STATUSES).default('PENDING')
+});
+
+const reportQuerySchema = Joi.object({
+  ...paginationFields,
+  status: Joi.string().uppercase().valid(...REPORT_STATUSES).default('OPEN'),
+  targetType: Joi.string().uppercase().valid(...REPORT_TARGETS)
+});
+
+const auditLogQuerySchema = Joi.object({
+  ...paginationFields,
+  entityType: Joi.string().uppercase().valid('ORGANIZATION', 'PROJECT', 'REPORT', 'USER'),
+  moderatorId: Joi.number().integer().min(1)
+});
+
+const userRoleSchema = Joi.object({
+  role: Joi.string().uppercase().valid(...ASSIGNABLE_ROLES).required(),
+  reason: Joi.string().trim().max(1000).allow('')
+});
+
+const organizationFields = {
+  organizationName: Joi.string().trim().min(2).max(200),
+  organizationType: Joi.string().trim().min(2).max(100),
+  description: Joi.string().trim().max(5000).allow(''),
+  location: Joi.string().trim().max(200).allow(''),
+  website: Joi.string().trim().uri({ scheme: ['http', 'https'] }).max(300).allow(''),
+  phone: Joi.string().trim().pattern(/^\+?[0-9 ()-]{7,20}$/).allow('').messages({
+    'string.pattern.base': 'phone must be a valid phone number'
+  }),
+  registrationNumber: Joi.string().trim().max(100).allow(''),
+  // Claim an existing NGO record; null unlinks it
+  ngoId: Joi.number().integer().min(1).allow(null)
+};
+
+const createOrganizationSchema = Joi.object({
+  ...organizationFields,
+  organizationName: organizationFields.organizationName.required(),
+  organizationType: organizationFields.organizationType.required()
+});
+
+const updateOrganizationSchema = Joi.object(organizationFields).min(1);
+
+const organizationDocumentSchema = Joi.object({
+  type: Joi.string().uppercase().valid(...DOCUMENT_TYPES).required()
+});
+
+const organizationDirectoryQuerySchema = Joi.object({
+  ...paginationFields,
+  search: Joi.string().trim().max(200),
+  organizationType: Joi.string().trim().max(100)
+});
+
+const organizationInvitationSchema = Joi.object({
+  email: Joi.string().trim().lowercase().email().required(),
+  role: Joi.string().uppercase().valid(...ORGANIZATION_ROLES).required()
+});
+
+const memberRoleSchema = Joi.object({
+  role: Joi.string().uppercase().valid(...ORGANIZATION_ROLES).required()
+});
+
+const acceptInvitationSchema = Joi.object({
+  token: Joi.string().trim().required()
+});
+
+const ngoQuerySchema = Joi.object({
+  search: Joi.string().trim().max(200),
+  // Only NGO records no organization has claimed yet
+  unclaimed: Joi.boolean().default(true),
+  limit: Joi.number().integer().min(1).max(50).default(20)
+});
+
+const skillFields = {
+  name: Joi.string().trim().min(2).max(100),
+  category: Joi.string().trim().max(100).allow(null, ''),
+  description: Joi.string().trim().max(1000).allow(null, '')
+};
+
+const skillSchema = Joi.object({
+  ...skillFields,
+  name: skillFields.name.required()
+});
+
+const updateSkillSchema = Joi.object(skillFields).min(1);
+
+const skillQuerySchema = Joi.object({
+  search: Joi.string().trim().max(100),
+  category: Joi.string().trim().max(100)
+});
+
+const volunteerProfileSchema = Joi.object({
+  bio: Joi.string().trim().max(2000).allow(''),
+  location: Joi.string().trim().max(200).allow(''),
+  phone: Joi.string().trim().pattern(/^\+?[0-9 ()-]{7,20}$/).allow('').messages({
+    'string.pattern.base': 'phone must be a valid phone number'
+  }),
+  interests: Joi.array().items(Joi.string().trim().min(2).max(50)).max(20).unique((a, b) => a.toLowerCase() === b.toLowerCase()),
+  status: Joi.string().uppercase().valid(...VOLUNTEER_STATUSES)
+}).min(1);
+
+const volunteerSkillSchema = Joi.object({
+  level: Joi.string().uppercase().valid(...SKILL_LEVELS).default('BEGINNER'),
+  yearsOfExperience: Joi.number().integer().min(0).max(80).allow(null)
+});
+
+// "HH:MM" in Rwanda local time; "24:00" ends a slot at midnight
+const clockTime = Joi.string().trim().pattern(/^(([01]\d|2[0-3]):[0-5]\d|24:00)$/).messages({
+  'string.pattern.base': '{#label} must be a time between 00:00 and 24:00 (HH:MM)'
+});
+
+const availabilitySchema = Joi.object({
+  slots: Joi.array().items(Joi.object({
+    day: Joi.string().uppercase().valid(...WEEKDAYS).required(),
+    startTime: clockTime.required(),
+    endTime: clockTime.required()
+  }).custom((slot, helpers) => (slot.endTime > slot.startTime ? slot : helpers.error('slot.order')))
+    .messages({ 'slot.order': 'endTime must be after startTime' })).max(50).required()
+});
+
+const endorsementSchema = Joi.object({
+  comment: Joi.string().trim().max(500).allow('')
+});
+
+// Every password a user sets follows the same rule
+const passwordField = Joi.string().min(8).max(128);
+
+const registerSchema = Joi.object({
+  email: Joi.string().trim().lowercase().email().required(),
+  password: passwordField.required(),
+  firstname: Joi.string().trim().min(1).max(100).required(),
+  lastname: Joi.string().trim().min(1).max(100).required(),
+  role: Joi.string().uppercase().valid(...REGISTRATION_ROLES).default('VOLUNTEER')
+});
+
+const loginSchema = Joi.object({
+  email: Joi.string().trim().lowercase().email().required(),
+  password: Joi.string().required()
+});
+
+// Resending verification and password reset links
+const emailRequestSchema = Joi.object({
+  email: Joi.string().trim().lowercase().email().required()
+});
+
+const resetPasswordSchema = Joi.object({
+  token: Joi.string().trim().required(),
+  password: passwordField.required()
+});
+
+const changePasswordSchema = Joi.object({
+  currentPassword: Joi.string().required(),
+  newPassword: passwordField.invalid(Joi.ref('currentPassword')).required()
+    .messages({ 'any.invalid': 'newPassword must be different from currentPassword' })
+});
+
+// router.param handler: numeric route IDs are parsed to integers, anything else is a 400
+const parseIdParam = (req, res, next, value, name) => {
+  const id = Number(value);
+  if (!Number.isInteger(id) || id < 1) {
+    return next(new AppError(`Invalid ${name}`, 400));
+  }
+  req.params[name] = id;
+  next();
+};
+
+module.exports = {
+  validate,
+  parseIdParam,
+  validateCreateProject: validate(createProjectSchema),
+  validateUpdateProject: validate(updateProjectSchema),
+  validateProjectStatus: validate(projectStatusSchema),
+  validateApplication: validate(applicationSchema),
+  validateApplicationReview: validate(applicationReviewSchema),
+  validateBulkApplicationReview: validate(bulkApplicationReviewSchema),
+  validateQuery: validate(projectQuerySchema, 'query'),
+  validateApplicationQuery: validate(applicationQuerySchema, 'query'),
+  validateProjectApplicationQuery: validate(projectApplicationQuerySchema, 'query'),
+  validateScreeningQuestions: validate(screeningQuestionsSchema),
+  validateMyProjectsQuery: validate(myProjectsQuerySchema, 'query'),
+  validateEvent: validate(eventSchema),
+  validateUpdateEvent: validate(updateEventSchema),
+  validateEventQuery: validate(eventQuerySchema, 'query'),
+  validateShift: validate(shiftSchema),
+  validateUpdateShift: validate(updateShiftSchema),
+  validateCheckIn: validate(checkInSchema),
+  validateCheckInSync: validate(checkInSyncSchema),
+  validateHourEntry: validate(hourEntrySchema),
+  validateUpdateHourEntry: validate(updateHourEntrySchema),
+  validateHourReview: validate(hourReviewSchema),
+  validateHourQuery: validate(hourQuerySchema, 'query'),
+  validateNotificationQuery: validate(notificationQuerySchema, 'query'),
+  validateModerationDecision: validate(moderationDecisionSchema),
+  validateReport: validate(reportSchema),
+  validateReportResolution: validate(reportResolutionSchema),
+  validateModerationQueueQuery: validate(moderationQueueQuerySchema, 'query'),
+  validateOrganizationQuery: validate(organizationQuerySchema, 'query'),
+  validateReportQuery: validate(reportQuerySchema, 'query'),
+  validateAuditLogQuery: validate(auditLogQuerySchema, 'query'),
+  validateUserRole: validate(userRoleSchema),
+  validateCreateOrganization: validate(createOrganizationSchema),
+  validateUpdateOrganization: validate(updateOrganizationSchema),
+  validateOrganizationDocument: validate(organizationDocumentSchema),
+  validateOrganizationDirectoryQuery: validate(organizationDirectoryQuerySchema, 'query'),
+  validateNgoQuery: validate(ngoQuerySchema, 'query'),
+  validateOrganizationInvitation: validate(organizationInvitationSchema),
+  validateMemberRole: validate(memberRoleSchema),
+  validateAcceptInvitation: validate(acceptInvitationSchema),
+  validateSkill: validate(skillSchema),
+  validateUpdateSkill: validate(updateSkillSchema),
+  validateSkillQuery: validate(skillQuerySchema, 'query'),
+  validateVolunteerProfile: validate(volunteerProfileSchema),
+  validateVolunteerSkill: validate(volunteerSkillSchema),
+  validateAvailability: validate(availabilitySchema),
+  validateEndorsement: validate(endorsementSchema),
+  validateRegister: validate(registerSchema),
+  validateLogin: validate(loginSchema),
+  validateEmailRequest: validate(emailRequestSchema),
+  validateResetPassword: validate(resetPasswordSchema),
+  validateChangePassword: validate(changePasswordSchema),
+  PROJECT_SORT_FIELDS
+};
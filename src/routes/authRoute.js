@@ -1,8 +1,65 @@
 const express = require("express");
-const { register, login } = require("../controllers/authControllers");
+const rateLimit = require("express-rate-limit");
+const {
+  register,
+  login,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
+  refreshToken,
+  logout,
+  logoutAll,
+  getSessions,
+  revokeSession,
+  changePassword,
+  getMe,
+  deleteAccount
+} = require("../controllers/authControllers");
+const { authMiddleware } = require("../middleware/auth");
+const {
+  validateRegister,
+  validateLogin,
+  validateEmailRequest,
+  validateResetPassword,
+  validateChangePassword
+} = require("../middleware/validation");
 const router = express.Router();
 
-router.post("/register", register);
-router.post("/login", login);
+// At most 3 emails per address and IP every 15 minutes
+const emailLimiter = (message) => rateLimit({
+  windowMs: 15 * 60 * 1000,
+  limit: 3,
+  standardHeaders: "draft-7",
+  legacyHeaders: false,
+  keyGenerator: (req) => `${rateLimit.ipKeyGenerator(req.ip)}:${String(req.body?.email || "").toLowerCase()}`,
+  message: { success: false, message }
+});
+
+router.post("/register", validateRegister, register);
+router.post("/login", validateLogin, login);
+router.post("/verify-email", verifyEmail);
+router.post(
+  "/resend-verification",
+  emailLimiter("Too many verification requests. Please try again later."),
+  validateEmailRequest,
+  resendVerification
+);
+router.post(
+  "/forgot-password",
+  emailLimiter("Too many password reset requests. Please try again later."),
+  validateEmailRequest,
+  forgotPassword
+);
+router.post("/reset-password", validateResetPassword, resetPassword);
+router.post("/refresh-token", refreshToken);
+
+router.get("/me", authMiddleware, getMe);
+router.put("/change-password", authMiddleware, validateChangePassword, changePassword);
+router.delete("/account", authMiddleware, deleteAccount);
+router.post("/logout", authMiddleware, logout);
+router.post("/logout-all", authMiddleware, logoutAll);
+router.get("/sessions", authMiddleware, getSessions);
+router.delete("/sessions/:sessionId", authMiddleware, revokeSession);
 
 module.exports = router;
@@ -0,0 +1,30 @@
+const express = require('express');
+const certificateController = require('../controllers/certificateController');
+const { authMiddleware, requireRole } = require('../middleware/auth');
+const { parseIdParam } = require('../middleware/validation');
+
+const router = express.Router();
+
+router.param('projectId', parseIdParam);
+
+// @route   GET /api/certificates/verify/:code
+// @desc    Verify a certificate by its ID
+// @access  Public
+router.get('/verify/:code', certificateController.verifyCertificate);
+
+// @route   GET /api/certificates/my
+// @desc    Get my certificates and hour statements
+// @access  Private (Volunteers only)
+router.get('/my', authMiddleware, requireRole(['VOLUNTEER']), certificateController.getMyCertificates);
+
+// @route   GET /api/certificates/statement
+// @desc    Download a signed PDF statement of all my approved hours
+// @access  Private (Volunteers only)
+router.get('/statement', authMiddleware, requireRole(['VOLUNTEER']), certificateController.downloadHourStatement);
+
+// @route   GET /api/certificates/projects/:projectId
+// @desc    Download a signed PDF certificate for a project
+// @access  Private (Volunteers with approved hours on the project)
+router.get('/projects/:projectId', authMiddleware, requireRole(['VOLUNTEER']), certificateController.downloadProjectCertificate);
+
+module.exports = router;
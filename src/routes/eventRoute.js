@@ -0,0 +1,82 @@
+const express = require('express');
+const eventController = require('../controllers/eventController');
+const checkInController = require('../controllers/checkInController');
+const { authMiddleware, requireRole, optionalAuth } = require('../middleware/auth');
+const { validateUpdateEvent, validateShift, validateUpdateShift, validateCheckIn, validateCheckInSync, parseIdParam } = require('../middleware/validation');
+
+const router = express.Router();
+
+router.param('eventId', parseIdParam);
+router.param('shiftId', parseIdParam);
+
+// @route   POST /api/events/check-ins/sync
+// @desc    Sync check-in scans made offline (volunteers' own backdated scans are flagged as unverified)
+// @access  Private (Accepted volunteers, or the project's organization for volunteer codes)
+router.post('/check-ins/sync', authMiddleware, validateCheckInSync, checkInController.syncCheckIns);
+
+// @route   GET /api/events/:eventId
+// @desc    Get event with its shifts
+// @access  Public
+router.get('/:eventId', optionalAuth, eventController.getEvent);
+
+// @route   PUT /api/events/:eventId
+// @desc    Update event (or cancel an upcoming event and its shift sign-ups with status CANCELLED)
+// @access  Private (Organization owners and managers, or admin)
+router.put('/:eventId', authMiddleware, validateUpdateEvent, eventController.updateEvent);
+
+// @route   DELETE /api/events/:eventId
+// @desc    Delete event
+// @access  Private (Organization owners and managers, or admin)
+router.delete('/:eventId', authMiddleware, eventController.deleteEvent);
+
+// @route   POST /api/events/:eventId/shifts
+// @desc    Add a shift to an event (while the project is active)
+// @access  Private (Organization owners and managers, or admin)
+router.post('/:eventId/shifts', authMiddleware, validateShift, eventController.createShift);
+
+// @route   PUT /api/events/shifts/:shiftId
+// @desc    Update shift
+// @access  Private (Organization owners and managers, or admin)
+router.put('/shifts/:shiftId', authMiddleware, validateUpdateShift, eventController.updateShift);
+
+// @route   DELETE /api/events/shifts/:shiftId
+// @desc    Delete shift
+// @access  Private (Organization owners and managers, or admin)
+router.delete('/shifts/:shiftId', authMiddleware, eventController.deleteShift);
+
+// @route   GET /api/events/shifts/:shiftId/signups
+// @desc    Get confirmed volunteers and waitlist for a shift
+// @access  Private (Organization owners, managers and reviewers, or admin)
+router.get('/shifts/:shiftId/signups', authMiddleware, eventController.getShiftSignups);
+
+// @route   POST /api/events/shifts/:shiftId/signup
+// @desc    Sign up for a shift (waitlisted when full)
+// @access  Private (Accepted volunteers only)
+router.post('/shifts/:shiftId/signup', authMiddleware, requireRole(['VOLUNTEER']), eventController.signUpForShift);
+
+// @route   DELETE /api/events/shifts/:shiftId/signup
+// @desc    Cancel my shift sign-up
+// @access  Private (Volunteers only)
+router.delete('/shifts/:shiftId/signup', authMiddleware, requireRole(['VOLUNTEER']), eventController.cancelShiftSignup);
+
+// @route   GET /api/events/:eventId/check-in-code
+// @desc    Get the event's QR check-in code for volunteers to scan
+// @access  Private (Organization owners, managers and reviewers, or admin)
+router.get('/:eventId/check-in-code', authMiddleware, checkInController.getEventCode);
+
+// @route   GET /api/events/:eventId/my-check-in-code
+// @desc    Get my QR check-in code for coordinators to scan
+// @access  Private (Accepted volunteers only)
+router.get('/:eventId/my-check-in-code', authMiddleware, requireRole(['VOLUNTEER']), checkInController.getMyCode);
+
+// @route   POST /api/events/:eventId/check-ins
+// @desc    Check in with a scanned event or volunteer code (drafts the volunteer's hours)
+// @access  Private (Accepted volunteers, or the project's organization for volunteer codes)
+router.post('/:eventId/check-ins', authMiddleware, validateCheckIn, checkInController.checkIn);
+
+// @route   GET /api/events/:eventId/check-ins
+// @desc    Get an event's attendance
+// @access  Private (Organization owners, managers and reviewers, or admin)
+router.get('/:eventId/check-ins', authMiddleware, checkInController.getCheckIns);
+
+module.exports = router;
@@ -0,0 +1,37 @@
+const express = require('express');
+const hoursController = require('../controllers/hoursController');
+const { authMiddleware, requireRole } = require('../middleware/auth');
+const { validateUpdateHourEntry, validateHourReview, validateHourQuery, parseIdParam } = require('../middleware/validation');
+
+const router = express.Router();
+
+router.param('entryId', parseIdParam);
+
+router.use(authMiddleware);
+
+// @route   GET /api/hours/my
+// @desc    Get my hour entries with totals (optional ?status=&projectId=)
+// @access  Private (Volunteers only)
+router.get('/my', requireRole(['VOLUNTEER']), validateHourQuery, hoursController.getMyHours);
+
+// @route   PUT /api/hours/:entryId
+// @desc    Edit a draft, pending or rejected hour entry (submits drafts for review)
+// @access  Private (Entry owner)
+router.put('/:entryId', requireRole(['VOLUNTEER']), validateUpdateHourEntry, hoursController.updateHourEntry);
+
+// @route   DELETE /api/hours/:entryId
+// @desc    Delete a draft or pending hour entry
+// @access  Private (Entry owner)
+router.delete('/:entryId', requireRole(['VOLUNTEER']), hoursController.deleteHourEntry);
+
+// @route   PATCH /api/hours/:entryId/review
+// @desc    Approve, adjust (approve with different hours) or reject an hour entry
+// @access  Private (Organization team, or admin)
+router.patch('/:entryId/review', validateHourReview, hoursController.reviewHourEntry);
+
+// @route   GET /api/hours/:entryId/history
+// @desc    Get the audit trail of an hour entry
+// @access  Private (Entry owner, organization team or admin)
+router.get('/:entryId/history', hoursController.getHourEntryHistory);
+
+module.exports = router;
@@ -0,0 +1,16 @@
+const express = require('express');
+const locationController = require('../controllers/locationController');
+
+const router = express.Router();
+
+// @route   GET /api/locations
+// @desc    Get provinces, districts and known sectors of Rwanda
+// @access  Public
+router.get('/', locationController.getAreas);
+
+// @route   GET /api/locations/geocode?q=
+// @desc    Resolve a location (e.g. "Kimironko, Gasabo") to coordinates
+// @access  Public
+router.get('/geocode', locationController.geocodeLocation);
+
+module.exports = router;
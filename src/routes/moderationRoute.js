@@ -0,0 +1,77 @@
+const express = require('express');
+const moderationController = require('../controllers/moderationController');
+const { authMiddleware, requireRole } = require('../middleware/auth');
+const {
+  validateModerationDecision,
+  validateReport,
+  validateReportResolution,
+  validateModerationQueueQuery,
+  validateOrganizationQuery,
+  validateReportQuery,
+  validateAuditLogQuery,
+  validateUserRole,
+  parseIdParam
+} = require('../middleware/validation');
+
+const router = express.Router();
+
+router.param('organizationId', parseIdParam);
+router.param('projectId', parseIdParam);
+router.param('reportId', parseIdParam);
+router.param('userId', parseIdParam);
+
+router.use(authMiddleware);
+
+// @route   POST /api/moderation/reports
+// @desc    Report a project or organization to the moderators
+// @access  Private
+router.post('/reports', validateReport, moderationController.createReport);
+
+router.use(requireRole(['ADMIN']));
+
+// @route   GET /api/moderation/queue
+// @desc    Get the number of organizations, projects and reports waiting for a moderator
+// @access  Private (Admin only)
+router.get('/queue', moderationController.getQueue);
+
+// @route   GET /api/moderation/organizations
+// @desc    Get organizations by verification status (default PENDING)
+// @access  Private (Admin only)
+router.get('/organizations', validateOrganizationQuery, moderationController.getOrganizations);
+
+// @route   PATCH /api/moderation/organizations/:organizationId
+// @desc    Approve or reject an organization (rejecting cancels its live projects)
+// @access  Private (Admin only)
+router.patch('/organizations/:organizationId', validateModerationDecision, moderationController.reviewOrganization);
+
+// @route   GET /api/moderation/projects
+// @desc    Get projects awaiting review
+// @access  Private (Admin only)
+router.get('/projects', validateModerationQueueQuery, moderationController.getProjects);
+
+// @route   PATCH /api/moderation/projects/:projectId
+// @desc    Approve a project or return it to draft
+// @access  Private (Admin only)
+router.patch('/projects/:projectId', validateModerationDecision, moderationController.reviewProject);
+
+// @route   GET /api/moderation/reports
+// @desc    Get reports by status (default OPEN)
+// @access  Private (Admin only)
+router.get('/reports', validateReportQuery, moderationController.getReports);
+
+// @route   PATCH /api/moderation/reports/:reportId
+// @desc    Take reported content down or dismiss the report
+// @access  Private (Admin only)
+router.patch('/reports/:reportId', validateReportResolution, moderationController.resolveReport);
+
+// @route   PATCH /api/moderation/users/:userId/role
+// @desc    Change an account's role (government accounts are assigned here only)
+// @access  Private (Admin only)
+router.patch('/users/:userId/role', validateUserRole, moderationController.changeUserRole);
+
+// @route   GET /api/moderation/audit-log
+// @desc    Get the audit log of moderator actions
+// @access  Private (Admin only)
+router.get('/audit-log', validateAuditLogQuery, moderationController.getAuditLog);
+
+module.exports = router;
@@ -0,0 +1,42 @@
+const express = require('express');
+const notificationController = require('../controllers/notificationController');
+const { authMiddleware } = require('../middleware/auth');
+const { validateNotificationQuery, parseIdParam } = require('../middleware/validation');
+
+const router = express.Router();
+
+router.param('id', parseIdParam);
+
+router.use(authMiddleware);
+
+// @route   GET /api/notifications
+// @desc    Get my notifications (paginated, optional ?unreadOnly=true&type=)
+// @access  Private
+router.get('/', validateNotificationQuery, notificationController.getNotifications);
+
+// @route   GET /api/notifications/unread-count
+// @desc    Get my unread notification count
+// @access  Private
+router.get('/unread-count', notificationController.getUnreadCount);
+
+// @route   PATCH /api/notifications/read-all
+// @desc    Mark all my notifications as read
+// @access  Private
+router.patch('/read-all', notificationController.markAllAsRead);
+
+// @route   PATCH /api/notifications/:id/read
+// @desc    Mark a notification as read
+// @access  Private
+router.patch('/:id/read', notificationController.markAsRead);
+
+// @route   PATCH /api/notifications/:id/unread
+// @desc    Mark a notification as unread
+// @access  Private
+router.patch('/:id/unread', notificationController.markAsUnread);
+
+// @route   DELETE /api/notifications/:id
+// @desc    Delete a notification
+// @access  Private
+router.delete('/:id', notificationController.deleteNotification);
+
+module.exports = router;
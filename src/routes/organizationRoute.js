@@ -0,0 +1,124 @@
+const express = require('express');
+const organizationController = require('../controllers/organizationController');
+const organizationMemberController = require('../controllers/organizationMemberController');
+const { authMiddleware, requireRole, optionalAuth } = require('../middleware/auth');
+const {
+  validateCreateOrganization,
+  validateUpdateOrganization,
+  validateOrganizationDocument,
+  validateOrganizationDirectoryQuery,
+  validateNgoQuery,
+  validateOrganizationInvitation,
+  validateMemberRole,
+  validateAcceptInvitation,
+  parseIdParam
+} = require('../middleware/validation');
+const { documentUploadMiddleware } = require('../middleware/upload');
+
+const router = express.Router();
+
+router.param('organizationId', parseIdParam);
+router.param('documentId', parseIdParam);
+router.param('memberId', parseIdParam);
+router.param('invitationId', parseIdParam);
+
+// Accounts that run an organization: NGOs and government agencies
+const organizationRoles = requireRole(['NGO', 'GOVERNMENT']);
+
+// @route   GET /api/organizations
+// @desc    Get verified organizations (optional ?search=&organizationType=)
+// @access  Public
+router.get('/', validateOrganizationDirectoryQuery, organizationController.getOrganizations);
+
+// @route   GET /api/organizations/ngos
+// @desc    Find NGO records to link an organization profile to
+// @access  Private (NGOs and government agencies)
+router.get('/ngos', authMiddleware, organizationRoles, validateNgoQuery, organizationController.getNgos);
+
+// @route   GET /api/organizations/my
+// @desc    Get my organization profile with verification status, documents and my role
+// @access  Private (Organization members)
+router.get('/my', authMiddleware, organizationRoles, organizationController.getMyOrganization);
+
+// @route   POST /api/organizations
+// @desc    Create an organization with me as its owner (ngoId claims an NGO record, linked once verified)
+// @access  Private (NGOs and government agencies outside an organization)
+router.post('/', authMiddleware, organizationRoles, validateCreateOrganization, organizationController.createOrganization);
+
+// @route   PUT /api/organizations/my
+// @desc    Update my organization profile (changing verified details requires verification again)
+// @access  Private (Organization owners and managers)
+router.put('/my', authMiddleware, organizationRoles, validateUpdateOrganization, organizationController.updateOrganization);
+
+// @route   DELETE /api/organizations/my
+// @desc    Delete my organization profile and its documents
+// @access  Private (Organization owners)
+router.delete('/my', authMiddleware, organizationRoles, organizationController.deleteOrganization);
+
+// @route   POST /api/organizations/my/documents
+// @desc    Upload a registration document (PDF, JPEG or PNG) for verification
+// @access  Private (Organization owners and managers)
+router.post('/my/documents',
+  authMiddleware,
+  organizationRoles,
+  documentUploadMiddleware.single('document'),
+  validateOrganizationDocument,
+  organizationController.uploadDocument
+);
+
+// @route   GET /api/organizations/:organizationId/documents/:documentId
+// @desc    Download a verification document
+// @access  Private (Members of the organization, or admin)
+router.get('/:organizationId/documents/:documentId', authMiddleware, organizationController.downloadDocument);
+
+// @route   DELETE /api/organizations/my/documents/:documentId
+// @desc    Delete one of my organization's documents
+// @access  Private (Organization owners and managers)
+router.delete('/my/documents/:documentId', authMiddleware, organizationRoles, organizationController.deleteDocument);
+
+// @route   GET /api/organizations/my/members
+// @desc    Get the members of my organization and their roles
+// @access  Private (Organization members)
+router.get('/my/members', authMiddleware, organizationRoles, organizationMemberController.getMembers);
+
+// @route   PATCH /api/organizations/my/members/:memberId
+// @desc    Change a member's role (OWNER, MANAGER or REVIEWER)
+// @access  Private (Organization owners)
+router.patch('/my/members/:memberId', authMiddleware, organizationRoles, validateMemberRole, organizationMemberController.updateMemberRole);
+
+// @route   DELETE /api/organizations/my/members/:memberId
+// @desc    Remove a member from my organization
+// @access  Private (Organization owners)
+router.delete('/my/members/:memberId', authMiddleware, organizationRoles, organizationMemberController.removeMember);
+
+// @route   POST /api/organizations/my/leave
+// @desc    Leave my organization (the last owner has to hand over ownership first)
+// @access  Private (Organization members)
+router.post('/my/leave', authMiddleware, organizationRoles, organizationMemberController.leaveOrganization);
+
+// @route   GET /api/organizations/my/invitations
+// @desc    Get my organization's pending invitations
+// @access  Private (Organization owners)
+router.get('/my/invitations', authMiddleware, organizationRoles, organizationMemberController.getInvitations);
+
+// @route   POST /api/organizations/my/invitations
+// @desc    Invite someone to my organization by email with a role
+// @access  Private (Organization owners)
+router.post('/my/invitations', authMiddleware, organizationRoles, validateOrganizationInvitation, organizationMemberController.inviteMember);
+
+// @route   DELETE /api/organizations/my/invitations/:invitationId
+// @desc    Revoke a pending invitation
+// @access  Private (Organization owners)
+router.delete('/my/invitations/:invitationId', authMiddleware, organizationRoles, organizationMemberController.revokeInvitation);
+
+// @route   POST /api/organizations/invitations/accept
+// @desc    Join an organization with the token from an invitation email
+// @access  Private (NGOs and government agencies invited by email)
+router.post('/invitations/accept', authMiddleware, organizationRoles, validateAcceptInvitation, organizationMemberController.acceptInvitation);
+
+// @route   GET /api/organizations/:organizationId
+// @desc    Get an organization's public profile with its open projects
+// @access  Public (unverified organizations: members or admin)
+router.get('/:organizationId', optionalAuth, organizationController.getOrganization);
+
+module.exports = router;
@@ -1,25 +1,49 @@
 const express = require('express');
 const projectController = require('../controllers/projectController');
+const eventController = require('../controllers/eventController');
+const hoursController = require('../controllers/hoursController');
 const { authMiddleware, requireRole, optionalAuth } = require('../middleware/auth');
-const { validateCreateProject, validateUpdateProject, validateApplication, validateQuery } = require('../middleware/validation');
-const { uploadMiddleware } = require('../middleware/upload');
+const {
+  validateCreateProject,
+  validateUpdateProject,
+  validateProjectStatus,
+  validateApplication,
+  validateApplicationReview,
+  validateBulkApplicationReview,
+  validateQuery,
+  validateApplicationQuery,
+  validateProjectApplicationQuery,
+  validateScreeningQuestions,
+  validateMyProjectsQuery,
+  validateEvent,
+  validateEventQuery,
+  validateHourEntry,
+  validateHourQuery,
+  parseIdParam
+} = require('../middleware/validation');
+const { uploadMiddleware, screeningUploadMiddleware } = require('../middleware/upload');
+const { requireVerifiedEmail } = require('../middleware/requireVerifiedEmail');
 
 const router = express.Router();
 
+router.param('id', parseIdParam);
+router.param('applicationId', parseIdParam);
+router.param('questionId', parseIdParam);
+
 // @route   GET /api/projects
-// @desc    Get all projects with filtering and pagination
+// @desc    Get all projects with filtering and pagination (page or cursor mode)
 // @access  Public
 router.get('/', optionalAuth, validateQuery, projectController.getAllProjects);
 
 // @route   GET /api/projects/my
 // @desc    Get my projects (for organizations)
 // @access  Private (Organizations only)
-router.get('/my', authMiddleware, requireRole(['NGO', 'GOVERNMENT']), projectController.getMyProjects);
+router.get('/my', authMiddleware, requireRole(['NGO', 'GOVERNMENT']), validateMyProjectsQuery, projectController.getMyProjects);
 
 // @route   GET /api/projects/applications/my
 // @desc    Get my applications (for volunteers)
 // @access  Private (Volunteers only)
-router.get('/applications/my', authMiddleware, requireRole(['VOLUNTEER']), projectController.getMyApplications);
+router.get('/applications/my', authMiddleware, requireRole(['VOLUNTEER']), validateApplicationQuery, projectController.getMyApplications);
 
 // @route   GET /api/projects/:id
 // @desc    Get single project
@@ -27,8 +51,8 @@ router.get('/applications/my', authMiddleware, requireRole(['VOLUNTEER']), proje
 router.get('/:id', optionalAuth, projectController.getProject);
 
 // @route   POST /api/projects
-// @desc    Create new project
-// @access  Private (Organizations only)
+// @desc    Create new project (as a draft, or submitted for review with status=PENDING_REVIEW)
+// @access  Private (Organization owners and managers)
 router.post('/', 
   authMiddleware, 
   requireRole(['NGO', 'GOVERNMENT']),
@@ -38,32 +62,84 @@ router.post('/',
 );
 
 // @route   PUT /api/projects/:id
-// @desc    Update project
-// @access  Private (Project creator or admin)
-router.put('/:id', authMiddleware, validateUpdateProject, projectController.updateProject);
+// @desc    Update project (title, descriptions, category, location, tags and images are fixed once approved)
+// @access  Private (Organization owners and managers, or admin)
+router.put('/:id', authMiddleware, uploadMiddleware.array('images', 5), validateUpdateProject, projectController.updateProject);
+
+// @route   PATCH /api/projects/:id/status
+// @desc    Move project through its lifecycle (submit, approve, return to draft, complete, cancel)
+// @access  Private (Organization owners and managers, or admin, depending on the transition)
+router.patch('/:id/status', authMiddleware, validateProjectStatus, projectController.changeProjectStatus);
 
 // @route   DELETE /api/projects/:id
-// @desc    Delete project
-// @access  Private (Project creator or admin)
+// @desc    Delete project (not once volunteers have approved hours on it; cancel it instead)
+// @access  Private (Organization owners and managers, or admin)
 router.delete('/:id', authMiddleware, projectController.deleteProject);
 
+// @route   PUT /api/projects/:id/questions
+// @desc    Replace the project's screening questions (removing a question deletes its answers)
+// @access  Private (Organization owners and managers, or admin)
+router.put('/:id/questions', authMiddleware, validateScreeningQuestions, projectController.setScreeningQuestions);
+
 // @route   POST /api/projects/:id/apply
-// @desc    Apply for project
+// @desc    Apply for project, answering its screening questions (multipart when uploading files)
 // @access  Private (Volunteers only)
-router.post('/:id/apply', authMiddleware, requireRole(['VOLUNTEER']), validateApplication, projectController.applyForProject);
+router.post('/:id/apply',
+  authMiddleware,
+  requireRole(['VOLUNTEER']),
+  requireVerifiedEmail('apply'),
+  screeningUploadMiddleware.any(),
+  validateApplication,
+  projectController.applyForProject
+);
+
+// @route   GET /api/projects/:id/events
+// @desc    Get project events with shifts (optional ?status=)
+// @access  Public
+router.get('/:id/events', optionalAuth, validateEventQuery, eventController.getProjectEvents);
+
+// @route   POST /api/projects/:id/events
+// @desc    Create project event (while the project is active)
+// @access  Private (Organization owners and managers, or admin)
+router.post('/:id/events', authMiddleware, validateEvent, eventController.createEvent);
+
+// @route   GET /api/projects/:id/stats
+// @desc    Get project statistics (applications, events, approved hours)
+// @access  Private (Organization team, or admin)
+router.get('/:id/stats', authMiddleware, projectController.getProjectStats);
+
+// @route   POST /api/projects/:id/hours
+// @desc    Log volunteer hours for a project
+// @access  Private (Accepted volunteers only)
+router.post('/:id/hours', authMiddleware, requireRole(['VOLUNTEER']), validateHourEntry, hoursController.logHours);
+
+// @route   GET /api/projects/:id/hours
+// @desc    Get hour entries of a project (optional ?status=&volunteerId=)
+// @access  Private (Organization team, or admin; volunteers see their own)
+router.get('/:id/hours', authMiddleware, validateHourQuery, hoursController.getProjectHours);
 
 // @route   GET /api/projects/:id/applications
-// @desc    Get project applications (for project creators)
-// @access  Private (Project creator or admin)
-router.get('/:id/applications', authMiddleware, projectController.getProjectApplications);
+// @desc    Get project applications with screening answers (optional ?status=&answer=<questionId>:<value>)
+// @access  Private (Organization team, or admin)
+router.get('/:id/applications', authMiddleware, validateProjectApplicationQuery, projectController.getProjectApplications);
+
+// @route   POST /api/projects/:id/applications/review
+// @desc    Accept or reject applications in bulk with a shared message (waitlisted once the project is full)
+// @access  Private (Organization team, or admin)
+router.post('/:id/applications/review', authMiddleware, validateBulkApplicationReview, projectController.reviewApplications);
 
 // @route   PUT /api/projects/applications/:applicationId/respond
-// @desc    Respond to application
-// @access  Private (Project creator or admin)
-router.put('/applications/:applicationId/respond', authMiddleware, projectController.respondToApplication);
+// @desc    Respond to application (waitlisted if accepted once the project is full)
+// @access  Private (Organization team, or admin)
+router.put('/applications/:applicationId/respond', authMiddleware, validateApplicationReview, projectController.respondToApplication);
+
+// @route   GET /api/projects/applications/:applicationId/answers/:questionId/file
+// @desc    Download the file an applicant uploaded to answer a screening question
+// @access  Private (The applicant, the organization team, or admin)
+router.get('/applications/:applicationId/answers/:questionId/file', authMiddleware, projectController.downloadAnswerFile);
 
 // @route   DELETE /api/projects/applications/:applicationId/withdraw
-// @desc    Withdraw application
+// @desc    Withdraw application (an accepted volunteer's place goes to the waitlist)
 // @access  Private (Application owner)
 router.delete('/applications/:applicationId/withdrawal', authMiddleware, projectController.withdrawApplication);
 
@@ -0,0 +1,30 @@
+const express = require('express');
+const skillController = require('../controllers/skillController');
+const { authMiddleware, requireRole } = require('../middleware/auth');
+const {
+  validateSkill,
+  validateUpdateSkill,
+  validateSkillQuery,
+  parseIdParam
+} = require('../middleware/validation');
+
+const router = express.Router();
+
+router.param('skillId', parseIdParam);
+
+// @route   GET /api/skills
+// @desc    Get the skill catalogue (optional ?search=&category=)
+// @access  Public
+router.get('/', validateSkillQuery, skillController.getSkills);
+
+// @route   POST /api/skills
+// @desc    Add a skill to the catalogue
+// @access  Private (Admin)
+router.post('/', authMiddleware, requireRole(['ADMIN']), validateSkill, skillController.createSkill);
+
+// @route   PUT /api/skills/:skillId
+// @desc    Rename or recategorize a skill
+// @access  Private (Admin)
+router.put('/:skillId', authMiddleware, requireRole(['ADMIN']), validateUpdateSkill, skillController.updateSkill);
+
+module.exports = router;
@@ -0,0 +1,71 @@
+const express = require('express');
+const volunteerController = require('../controllers/volunteerController');
+const { authMiddleware, requireRole } = require('../middleware/auth');
+const {
+  validateVolunteerProfile,
+  validateVolunteerSkill,
+  validateAvailability,
+  validateEndorsement,
+  parseIdParam
+} = require('../middleware/validation');
+
+const router = express.Router();
+
+router.param('volunteerId', parseIdParam);
+router.param('skillId', parseIdParam);
+
+const volunteersOnly = requireRole(['VOLUNTEER']);
+const organizationRoles = requireRole(['NGO', 'GOVERNMENT']);
+
+// @route   GET /api/volunteers/me
+// @desc    Get my volunteer profile with skills, endorsements and weekly availability
+// @access  Private (Volunteers)
+router.get('/me', authMiddleware, volunteersOnly, volunteerController.getMyProfile);
+
+// @route   PUT /api/volunteers/me
+// @desc    Update my bio, location, phone, interests and status
+// @access  Private (Volunteers)
+router.put('/me', authMiddleware, volunteersOnly, validateVolunteerProfile, volunteerController.updateMyProfile);
+
+// @route   PUT /api/volunteers/me/skills/:skillId
+// @desc    Add a catalogue skill to my profile or change my level
+// @access  Private (Volunteers)
+router.put('/me/skills/:skillId', authMiddleware, volunteersOnly, validateVolunteerSkill, volunteerController.setMySkill);
+
+// @route   DELETE /api/volunteers/me/skills/:skillId
+// @desc    Remove a skill from my profile
+// @access  Private (Volunteers)
+router.delete('/me/skills/:skillId', authMiddleware, volunteersOnly, volunteerController.removeMySkill);
+
+// @route   PUT /api/volunteers/me/availability
+// @desc    Replace my weekly availability calendar (Rwanda local time)
+// @access  Private (Volunteers)
+router.put('/me/availability', authMiddleware, volunteersOnly, validateAvailability, volunteerController.setMyAvailability);
+
+// @route   GET /api/volunteers/:volunteerId
+// @desc    Get a volunteer's profile
+// @access  Private (The volunteer, organizations, or admin)
+router.get('/:volunteerId', authMiddleware, volunteerController.getVolunteer);
+
+// @route   POST /api/volunteers/:volunteerId/skills/:skillId/endorsements
+// @desc    Endorse a volunteer's skill on behalf of my organization
+// @access  Private (Verified organization team that accepted the volunteer)
+router.post(
+  '/:volunteerId/skills/:skillId/endorsements',
+  authMiddleware,
+  organizationRoles,
+  validateEndorsement,
+  volunteerController.endorseSkill
+);
+
+// @route   DELETE /api/volunteers/:volunteerId/skills/:skillId/endorsements
+// @desc    Withdraw my organization's endorsement of a volunteer's skill
+// @access  Private (Organization team)
+router.delete(
+  '/:volunteerId/skills/:skillId/endorsements',
+  authMiddleware,
+  organizationRoles,
+  volunteerController.removeEndorsement
+);
+
+module.exports = router;
@@ -0,0 +1,422 @@
+// src/services/aiService.js
+// Deterministic, in-process matching between volunteers and projects, engagement scoring and community needs.
+// Every factor is expressed in points so that the factors add up to the score (0-100).
+const { PrismaClient } = require('@prisma/client');
+const { calendarCoverage } = require('./availabilityService');
+
+const prisma = new PrismaClient();
+
+// Maximum points each factor can contribute to the match score
+const WEIGHTS = {
+  skills: 35,
+  location: 25,
+  interests: 15,
+  availability: 15,
+  experience: 10
+};
+
+// Maximum points each signal can contribute to a volunteer's engagement score
+const ENGAGEMENT_WEIGHTS = {
+  recency: 40,
+  attendance: 30,
+  hours: 30
+};
+
+// Period the engagement signals look back over, and the attendance and approved hours that max them out
+const ENGAGEMENT_WINDOW_DAYS = 90;
+const ENGAGEMENT_CHECK_IN_CAP = 6;
+const ENGAGEMENT_HOURS_CAP = 20;
+
+// Engagement scores from which a volunteer counts as highly or moderately engaged
+const ENGAGEMENT_LEVELS = [[70, 'HIGH'], [40, 'MEDIUM'], [0, 'LOW']];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Ratio used when there is nothing to compare against (e.g. no listed requirements)
+const NEUTRAL = 0.5;
+
+// Past volunteering hours at which the experience factor is maxed out
+const EXPERIENCE_CAP_HOURS = 100;
+
+// Skill levels from lowest to highest
+const SKILL_LEVELS = ['BEGINNER', 'INTERMEDIATE', 'ADVANCED', 'EXPERT'];
+
+// Credit for a required skill the volunteer has, but below the required level
+const BELOW_LEVEL_CREDIT = 0.5;
+
+// Participation statuses that no longer tie up a volunteer's time
+const INACTIVE_PARTICIPATION_STATUSES = ['cancelled', 'withdrawn', 'rejected'];
+
+const normalize = (value) => (value || '').toString().trim().toLowerCase();
+
+const tokenize = (value) => normalize(value).split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+
+const toSet = (values = []) => new Set(values.map(normalize).filter(Boolean));
+
+// Free text describing the project, used when it lists no explicit requirements
+const projectText = (project) => normalize([
+  project.title,
+  project.description,
+  project.category,
+  ...(project.tags || [])
+].join(' '));
+
+// Skills (with self-rated levels), interests, location and weekly calendar from the volunteer profile
+const volunteerTraits = (user) => {
+  const profile = user.volunteerProfile;
+  return {
+    skills: (profile?.skills || []).map(vs => ({ name: vs.skill.name, level: vs.level })),
+    interests: profile?.interests || [],
+    location: profile?.location || user.location,
+    status: profile?.status,
+    availability: profile?.availability || [],
+    participations: user.participations
+  };
+};
+
+const levelRank = (level) => Math.max(0, SKILL_LEVELS.indexOf(level));
+
+const overlaps = (a, b) => {
+  if (!a.startDate || !b.startDate) return false;
+  const aEnd = a.endDate || a.startDate;
+  const bEnd = b.endDate || b.startDate;
+  return new Date(a.startDate) <= new Date(bEnd) && new Date(b.startDate) <= new Date(aEnd);
+};
+
+const isActiveParticipation = (participation) =>
+  !INACTIVE_PARTICIPATION_STATUSES.includes(normalize(participation.status));
+
+// Share of the project's required skills the volunteer has, with partial credit below the required level
+const skillsRatio = (project, volunteer) => {
+  const levels = new Map(volunteer.skills.map(skill => [normalize(skill.name), skill.level]));
+  const required = (project.requiredSkills || []).filter(rs => rs.skill);
+
+  if (required.length > 0) {
+    const credit = required.reduce((sum, rs) => {
+      const name = normalize(rs.skill.name);
+      if (!levels.has(name)) return sum;
+      return sum + (levelRank(levels.get(name)) >= levelRank(rs.requiredLevel) ? 1 : BELOW_LEVEL_CREDIT);
+    }, 0);
+    return credit / required.length;
+  }
+
+  if (levels.size === 0) return NEUTRAL;
+  const text = projectText(project);
+  const mentioned = [...levels.keys()].some(skill => text.includes(skill));
+  return mentioned ? 1 : NEUTRAL;
+};
+
+// How many of the volunteer's interests show up in the project
+const interestsRatio = (project, volunteer) => {
+  const interests = [...toSet(volunteer.interests)];
+  if (interests.length === 0) return NEUTRAL;
+
+  const text = projectText(project);
+  const matched = interests.filter(interest => text.includes(interest)).length;
+  return Math.min(1, matched / Math.min(interests.length, 2));
+};
+
+// Exact location match, shared place names (e.g. "Kigali, Gasabo" and "Gasabo"), or nothing
+const locationRatio = (project, volunteer) => {
+  const projectLocation = normalize(project.location);
+  const volunteerLocation = normalize(volunteer.location);
+  if (!projectLocation || !volunteerLocation) return NEUTRAL / 2;
+  if (projectLocation === volunteerLocation) return 1;
+
+  const projectTokens = new Set(tokenize(projectLocation));
+  const shared = tokenize(volunteerLocation).some(token => projectTokens.has(token));
+  return shared ? 0.7 : 0;
+};
+
+// Completed volunteering hours, capped at EXPERIENCE_CAP_HOURS
+const experienceRatio = (volunteer) => {
+  const totalHours = (volunteer.participations || []).reduce((sum, p) => sum + (p.hours || 0), 0);
+  return Math.min(1, totalHours / EXPERIENCE_CAP_HOURS);
+};
+
+// Fewer overlapping commitments during the project's dates means more availability, scaled by how much
+// of the project's upcoming events the volunteer's weekly calendar covers
+const availabilityRatio = (project, volunteer) => {
+  if (volunteer.status === 'INACTIVE') return 0;
+
+  const commitments = (volunteer.participations || []).filter(p =>
+    isActiveParticipation(p) && p.project && p.projectId !== project.id && overlaps(p.project, project)
+  ).length;
+  const coverage = calendarCoverage(volunteer.availability, project.events);
+  const ratio = (1 / (1 + commitments)) * (coverage ?? 1);
+  return volunteer.status === 'BUSY' ? ratio / 2 : ratio;
+};
+
+// Score a single volunteer/project pair (volunteer is a user row, optionally with its volunteerProfile)
+const scoreMatch = (project, user) => {
+  const volunteer = volunteerTraits(user);
+  const ratios = {
+    skills: skillsRatio(project, volunteer),
+    location: locationRatio(project, volunteer),
+    interests: interestsRatio(project, volunteer),
+    availability: availabilityRatio(project, volunteer),
+    experience: experienceRatio(volunteer)
+  };
+
+  const factors = {};
+  let score = 0;
+  for (const [factor, weight] of Object.entries(WEIGHTS)) {
+    factors[factor] = ratios[factor] * weight;
+    score += factors[factor];
+  }
+
+  return { score, factors };
+};
+
+// Shape a User row like the volunteer profile the AI controller renders
+const toVolunteerProfile = (user) => {
+  const profile = user.volunteerProfile;
+
+  return {
+    userId: user.id,
+    user: {
+      id: user.id,
+      firstname: user.firstname,
+      lastname: user.lastname,
+      avatar: user.avatar
+    },
+    location: profile?.location || user.location,
+    bio: profile?.bio || null,
+    totalHours: profile?.totalHours ?? (user.participations || []).reduce((sum, p) => sum + (p.hours || 0), 0),
+    impactScore: profile?.impactScore ?? null,
+    level: profile?.level ?? null,
+    status: profile?.status || 'AVAILABLE',
+    skills: (profile?.skills || []).map(({ _count, ...vs }) => ({ ...vs, endorsements: _count?.endorsements ?? 0 })),
+    availability: profile?.availability || [],
+    badges: []
+  };
+};
+
+const volunteerInclude = {
+  participations: {
+    include: {
+      project: { select: { id: true, startDate: true, endDate: true } }
+    }
+  },
+  applications: { select: { projectId: true } },
+  volunteerProfile: {
+    include: {
+      skills: {
+        include: {
+          skill: true,
+          _count: { select: { endorsements: true } }
+        }
+      },
+      availability: true
+    }
+  }
+};
+
+// Upcoming events, which the volunteer's weekly calendar is checked against
+const upcomingEvents = {
+  where: { status: 'UPCOMING' },
+  select: { startTime: true, endTime: true }
+};
+
+// Find the best project matches for a volunteer
+const findMatches = async (volunteerId, limit = 10) => {
+  const volunteer = await prisma.user.findUnique({
+    where: { id: parseInt(volunteerId) },
+    include: volunteerInclude
+  });
+
+  if (!volunteer) return [];
+
+  const joinedProjectIds = [
+    ...volunteer.participations.map(p => p.projectId),
+    ...volunteer.applications.map(a => a.projectId)
+  ];
+  const projects = await prisma.project.findMany({
+    where: {
+      id: { notIn: joinedProjectIds },
+      status: 'ACTIVE'
+    },
+    include: {
+      creator: {
+        select: {
+          id: true,
+          firstname: true,
+          lastname: true,
+          organizationProfile: true
+        }
+      },
+      requiredSkills: {
+        include: { skill: true }
+      },
+      events: upcomingEvents
+    }
+  });
+
+  return projects
+    .map(project => ({ project, ...scoreMatch(project, volunteer) }))
+    .sort((a, b) => b.score - a.score
+      || new Date(a.project.startDate) - new Date(b.project.startDate)
+      || a.project.id - b.project.id)
+    .slice(0, limit);
+};
+
+// Recommend the best volunteers for a project
+const recommendVolunteers = async (projectId, limit = 10) => {
+  const project = await prisma.project.findUnique({
+    where: { id: parseInt(projectId) },
+    include: {
+      requiredSkills: { include: { skill: true } },
+      events: upcomingEvents,
+      participations: { select: { userId: true } },
+      applications: { select: { volunteerId: true } }
+    }
+  });
+
+  if (!project) return [];
+
+  const volunteers = await prisma.user.findMany({
+    where: {
+      role: 'VOLUNTEER',
+      id: {
+        notIn: [
+          ...project.participations.map(p => p.userId),
+          ...project.applications.map(a => a.volunteerId)
+        ]
+      }
+    },
+    include: volunteerInclude
+  });
+
+  return volunteers
+    .map(volunteer => ({ volunteer: toVolunteerProfile(volunteer), ...scoreMatch(project, volunteer) }))
+    .sort((a, b) => b.score - a.score || a.volunteer.userId - b.volunteer.userId)
+    .slice(0, limit);
+};
+
+// Predict how engaged a volunteer will stay from how recently they were active, how often they attended
+// events and how many hours were approved for them over the last ENGAGEMENT_WINDOW_DAYS.
+// Resolves with null for an unknown volunteer.
+const predictVolunteerEngagement = async (volunteerId, now = new Date()) => {
+  const since = new Date(now.getTime() - ENGAGEMENT_WINDOW_DAYS * DAY_MS);
+  const volunteer = await prisma.user.findUnique({
+    where: { id: parseInt(volunteerId) },
+    include: {
+      volunteerProfile: { select: { status: true } },
+      applications: { select: { appliedAt: true }, orderBy: { appliedAt: 'desc' }, take: 1 },
+      checkIns: { where: { checkedInAt: { gte: since } }, select: { checkedInAt: true } },
+      hourEntries: {
+        where: { status: 'APPROVED', date: { gte: since } },
+        select: { date: true, approvedHours: true, hours: true }
+      }
+    }
+  });
+
+  if (!volunteer) return null;
+
+  const activity = [
+    ...volunteer.applications.map(application => application.appliedAt),
+    ...volunteer.checkIns.map(checkIn => checkIn.checkedInAt),
+    ...volunteer.hourEntries.map(entry => entry.date)
+  ].map(date => new Date(date).getTime());
+  const lastActiveAt = activity.length > 0 ? new Date(Math.max(...activity)) : null;
+  const idleDays = lastActiveAt ? Math.max(0, (now - lastActiveAt) / DAY_MS) : ENGAGEMENT_WINDOW_DAYS;
+  const approvedHours = volunteer.hourEntries.reduce((sum, entry) => sum + (entry.approvedHours ?? entry.hours), 0);
+
+  const ratios = {
+    recency: Math.max(0, 1 - idleDays / ENGAGEMENT_WINDOW_DAYS),
+    attendance: Math.min(1, volunteer.checkIns.length / ENGAGEMENT_CHECK_IN_CAP),
+    hours: Math.min(1, approvedHours / ENGAGEMENT_HOURS_CAP)
+  };
+
+  const factors = {};
+  let score = 0;
+  for (const [factor, weight] of Object.entries(ENGAGEMENT_WEIGHTS)) {
+    factors[factor] = ratios[factor] * weight;
+    score += factors[factor];
+  }
+
+  // A volunteer who marked themselves inactive is not expected to take part, whatever their history
+  const inactive = volunteer.volunteerProfile?.status === 'INACTIVE';
+  const level = inactive ? 'LOW' : ENGAGEMENT_LEVELS.find(([min]) => score >= min)[1];
+
+  const recommendations = [];
+  if (ratios.recency < 0.5) recommendations.push('Reach out with projects that match their skills and interests');
+  if (ratios.attendance < 0.5) recommendations.push('Invite them to upcoming events and shifts');
+  if (ratios.hours < 0.5) recommendations.push('Encourage them to log the hours they volunteer');
+
+  return {
+    volunteerId: volunteer.id,
+    score: Math.round(score),
+    level,
+    factors,
+    lastActiveAt,
+    activity: {
+      checkIns: volunteer.checkIns.length,
+      approvedHours
+    },
+    recommendations
+  };
+};
+
+// Where volunteers are needed most: open places on active projects by category and location, and the
+// skills those projects require that few available volunteers have
+const analyzeCommunityNeeds = async () => {
+  const projects = await prisma.project.findMany({
+    where: { status: 'ACTIVE' },
+    select: {
+      category: true,
+      location: true,
+      volunteersNeeded: true,
+      requiredSkills: { where: { isRequired: true }, select: { skill: true } },
+      _count: { select: { applications: { where: { status: 'ACCEPTED' } } } }
+    }
+  });
+
+  const tally = (key) => {
+    const totals = new Map();
+    for (const project of projects) {
+      const name = project[key] || 'Unspecified';
+      const total = totals.get(name) || { name, projects: 0, openPlaces: 0 };
+      total.projects++;
+      total.openPlaces += Math.max(0, project.volunteersNeeded - project._count.applications);
+      totals.set(name, total);
+    }
+    return [...totals.values()].sort((a, b) => b.openPlaces - a.openPlaces || a.name.localeCompare(b.name));
+  };
+
+  const skills = new Map();
+  for (const project of projects) {
+    for (const { skill } of project.requiredSkills) {
+      const entry = skills.get(skill.id) || { skillId: skill.id, name: skill.name, projects: 0 };
+      entry.projects++;
+      skills.set(skill.id, entry);
+    }
+  }
+
+  const volunteerCounts = await prisma.volunteerSkill.groupBy({
+    by: ['skillId'],
+    where: { skillId: { in: [...skills.keys()] }, volunteer: { status: { not: 'INACTIVE' } } },
+    _count: { _all: true }
+  });
+  const volunteersBySkill = new Map(volunteerCounts.map(count => [count.skillId, count._count._all]));
+
+  const skillGaps = [...skills.values()]
+    .map(entry => ({ ...entry, volunteers: volunteersBySkill.get(entry.skillId) || 0 }))
+    .sort((a, b) => (b.projects / (b.volunteers + 1)) - (a.projects / (a.volunteers + 1)) || a.name.localeCompare(b.name));
+
+  return {
+    byCategory: tally('category'),
+    byLocation: tally('location'),
+    skillGaps
+  };
+};
+
+module.exports = {
+  WEIGHTS,
+  ENGAGEMENT_WEIGHTS,
+  scoreMatch,
+  findMatches,
+  recommendVolunteers,
+  predictVolunteerEngagement,
+  analyzeCommunityNeeds
+};
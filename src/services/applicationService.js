@@ -0,0 +1,245 @@
+// src/services/applicationService.js
+// Application review: accepting fills a project up to volunteersNeeded and waitlists everyone after that,
+// and places freed by withdrawals or un-accepted volunteers go to the waitlist, longest waiting first.
+const { PrismaClient } = require('@prisma/client');
+const { AppError } = require('../utils/appError');
+const { sendNotification } = require('./notificationService');
+const { sendEmail } = require('./emailService');
+const { promoteFromWaitlist: promoteShiftWaitlist } = require('./eventService');
+const { OPEN_STATUSES, syncProjectCapacity } = require('./projectLifecycleService');
+const { serializableTransaction } = require('../utils/transaction');
+
+const prisma = new PrismaClient();
+
+const acceptedCount = (tx, projectId) => tx.application.count({ where: { projectId, status: 'ACCEPTED' } });
+
+// Accepted volunteers get a participation record that their hours are logged against
+const addParticipations = async (tx, projectId, volunteerIds) => {
+  if (volunteerIds.length === 0) return;
+
+  const existing = await tx.volunteerParticipation.findMany({
+    where: { projectId, userId: { in: volunteerIds } },
+    select: { userId: true }
+  });
+  const existingIds = existing.map(participation => participation.userId);
+
+  await tx.volunteerParticipation.createMany({
+    data: volunteerIds.filter(userId => !existingIds.includes(userId)).map(userId => ({ userId, projectId }))
+  });
+};
+
+// Notify (and for decisions, email) volunteers whose application changed status
+const notifyApplicants = async (project, applications, status, { message = null, promoted = false } = {}) => {
+  if (applications.length === 0) return;
+
+  const volunteers = await prisma.user.findMany({
+    where: { id: { in: applications.map(application => application.volunteerId) } },
+    select: { id: true, email: true, firstname: true }
+  });
+  const volunteersById = new Map(volunteers.map(volunteer => [volunteer.id, volunteer]));
+
+  const texts = {
+    ACCEPTED: promoted
+      ? ['You are off the waitlist!', `A place opened up on "${project.title}" and your application has been accepted.`]
+      : ['Application Accepted!', `Congratulations! Your application for "${project.title}" has been accepted.`],
+    WAITLISTED: ['You are on the Waitlist',
+      `"${project.title}" has all the volunteers it needs for now, so your application has been waitlisted. We will let you know if a place opens up.`],
+    REJECTED: ['Application Update', `Your application for "${project.title}" has been rejected.`]
+  };
+  const [title, text] = texts[status];
+  const templates = { ACCEPTED: 'application-accepted', REJECTED: 'application-rejected' };
+
+  for (const application of applications) {
+    await sendNotification({
+      userId: application.volunteerId,
+      type: 'APPLICATION_UPDATE',
+      title,
+      message: text + (message ? ` Message: ${message}` : ''),
+      data: {
+        projectId: project.id,
+        applicationId: application.id,
+        status
+      }
+    });
+
+    const volunteer = volunteersById.get(application.volunteerId);
+    if (!templates[status] || !volunteer) continue;
+
+    // Like notifications, a failed email must not undo the decision
+    try {
+      await sendEmail({
+        to: volunteer.email,
+        template: templates[status],
+        context: { name: volunteer.firstname, projectTitle: project.title, message }
+      });
+    } catch (error) {
+      console.error('Error sending application email:', error);
+    }
+  }
+};
+
+// Fill free places on a project from its waitlist, longest waiting first, then sync FULL/ACTIVE
+const promoteFromWaitlist = async (project) => {
+  const promoted = await serializableTransaction(prisma, async (tx) => {
+    // Capacity may have changed since the caller loaded the project
+    const current = await tx.project.findUnique({ where: { id: project.id } });
+    if (!current || !OPEN_STATUSES.includes(current.status)) return [];
+
+    const freePlaces = current.volunteersNeeded - await acceptedCount(tx, project.id);
+    if (freePlaces <= 0) return [];
+
+    // Waitlisted applications keep the time they were waitlisted as reviewedAt
+    const waitlisted = await tx.application.findMany({
+      where: { projectId: project.id, status: 'WAITLISTED' },
+      orderBy: [{ reviewedAt: 'asc' }, { appliedAt: 'asc' }],
+      take: freePlaces
+    });
+
+    await tx.application.updateMany({
+      where: { id: { in: waitlisted.map(application => application.id) } },
+      data: { status: 'ACCEPTED', reviewedAt: new Date() }
+    });
+    await addParticipations(tx, project.id, waitlisted.map(application => application.volunteerId));
+    return waitlisted;
+  });
+
+  await syncProjectCapacity(project.id);
+  await notifyApplicants(project, promoted, 'ACCEPTED', { promoted: true });
+  return promoted;
+};
+
+// Accept or reject applications of a project in one go, with an optional message for the volunteers.
+// Accepted applications take the free places in the order given and the rest are waitlisted; rejecting
+// accepted volunteers frees their places for the waitlist. Resolves with the application IDs by outcome.
+const reviewApplications = async (project, applicationIds, status, { message = null } = {}) => {
+  if (status === 'ACCEPTED' && !OPEN_STATUSES.includes(project.status)) {
+    throw new AppError(`Volunteers cannot be accepted on a ${project.status.toLowerCase()} project`, 400);
+  }
+
+  const { changes, unchanged } = await serializableTransaction(prisma, async (tx) => {
+    const applications = await tx.application.findMany({
+      where: { id: { in: applicationIds }, projectId: project.id }
+    });
+    const applicationsById = new Map(applications.map(application => [application.id, application]));
+
+    const missing = applicationIds.filter(id => !applicationsById.has(id));
+    if (missing.length > 0) {
+      throw new AppError(`Applications not found on this project: ${missing.join(', ')}`, 404);
+    }
+
+    const changes = { ACCEPTED: [], WAITLISTED: [], REJECTED: [] };
+    const unchanged = [];
+    const { volunteersNeeded } = await tx.project.findUnique({ where: { id: project.id } });
+    let freePlaces = volunteersNeeded - await acceptedCount(tx, project.id);
+
+    for (const id of applicationIds) {
+      const application = applicationsById.get(id);
+      let next = status;
+
+      if (status === 'ACCEPTED' && application.status !== 'ACCEPTED') {
+        if (freePlaces > 0) {
+          freePlaces--;
+        } else {
+          next = 'WAITLISTED';
+        }
+      }
+
+      if (next === application.status) {
+        unchanged.push(application);
+      } else {
+        changes[next].push(application);
+      }
+    }
+
+    const reviewedAt = new Date();
+    for (const [next, changed] of Object.entries(changes)) {
+      if (changed.length === 0) continue;
+      await tx.application.updateMany({
+        where: { id: { in: changed.map(application => application.id) } },
+        data: { status: next, reviewedAt }
+      });
+    }
+    await addParticipations(tx, project.id, changes.ACCEPTED.map(application => application.volunteerId));
+
+    return { changes, unchanged };
+  });
+
+  for (const [next, changed] of Object.entries(changes)) {
+    await notifyApplicants(project, changed, next, { message });
+  }
+
+  // Un-accepted volunteers free places for the waitlist; either way the project may fill up or reopen
+  let promoted = [];
+  if (changes.REJECTED.some(application => application.status === 'ACCEPTED')) {
+    promoted = await promoteFromWaitlist(project);
+  } else {
+    await syncProjectCapacity(project.id);
+  }
+
+  const ids = (applications) => applications.map(application => application.id);
+  return {
+    accepted: ids(changes.ACCEPTED),
+    waitlisted: ids(changes.WAITLISTED),
+    rejected: ids(changes.REJECTED),
+    unchanged: ids(unchanged),
+    promoted: ids(promoted)
+  };
+};
+
+// Withdraw an application. An accepted volunteer also leaves the project and their upcoming shifts, all in
+// one transaction, and their places go to the waitlists. A participation that already has approved hours is
+// kept (as withdrawn) so the volunteer's record of them stays.
+const withdrawApplication = async (application) => {
+  const accepted = application.status === 'ACCEPTED';
+
+  const freedShifts = await serializableTransaction(prisma, async (tx) => {
+    await tx.application.delete({
+      where: { id: application.id }
+    });
+
+    await tx.project.update({
+      where: { id: application.projectId },
+      data: {
+        volunteersApplied: {
+          decrement: 1
+        }
+      }
+    });
+
+    if (!accepted) return [];
+
+    const participation = { userId: application.volunteerId, projectId: application.projectId };
+    await tx.volunteerParticipation.deleteMany({ where: { ...participation, hours: { lte: 0 } } });
+    await tx.volunteerParticipation.updateMany({ where: participation, data: { status: 'withdrawn' } });
+
+    const signups = await tx.shiftSignup.findMany({
+      where: {
+        volunteerId: application.volunteerId,
+        status: { in: ['CONFIRMED', 'WAITLISTED'] },
+        shift: { startTime: { gt: new Date() }, event: { projectId: application.projectId } }
+      },
+      include: { shift: { include: { event: true } } }
+    });
+    await tx.shiftSignup.updateMany({
+      where: { id: { in: signups.map(signup => signup.id) } },
+      data: { status: 'CANCELLED' }
+    });
+
+    // Only confirmed places free a spot for the shift's waitlist
+    return signups.filter(signup => signup.status === 'CONFIRMED').map(signup => signup.shift);
+  });
+
+  if (!accepted) return [];
+
+  for (const shift of freedShifts) {
+    await promoteShiftWaitlist(shift);
+  }
+
+  return promoteFromWaitlist(application.project);
+};
+
+module.exports = {
+  reviewApplications,
+  promoteFromWaitlist,
+  withdrawApplication
+};
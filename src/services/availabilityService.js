@@ -0,0 +1,73 @@
+// src/services/availabilityService.js
+// Weekly availability calendars: volunteers list the weekly slots they are usually free, in Rwanda local
+// time (CAT, UTC+2, no daylight saving), and matching checks how much of a project's events they cover.
+const { AppError } = require('../utils/appError');
+
+const RWANDA_UTC_OFFSET_MS = 2 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// In calendar order; JavaScript's getUTCDay() counts from Sunday
+const WEEKDAYS = ['MONDAY', 'TUESDAY', 'WEDNESDAY', 'THURSDAY', 'FRIDAY', 'SATURDAY', 'SUNDAY'];
+const weekdayOf = (date) => WEEKDAYS[(date.getUTCDay() + 6) % 7];
+
+// "HH:MM" to minutes since midnight ("24:00" is the end of the day)
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Sort a calendar by day and start time, rejecting slots that overlap on the same day
+const normalizeSlots = (slots) => {
+  const sorted = [...slots].sort((a, b) =>
+    WEEKDAYS.indexOf(a.day) - WEEKDAYS.indexOf(b.day) || toMinutes(a.startTime) - toMinutes(b.startTime));
+
+  sorted.forEach((slot, i) => {
+    const previous = sorted[i - 1];
+    if (previous && previous.day === slot.day && toMinutes(slot.startTime) < toMinutes(previous.endTime)) {
+      throw new AppError(
+        `${slot.day} ${slot.startTime}-${slot.endTime} overlaps ${previous.startTime}-${previous.endTime}`, 400);
+    }
+  });
+  return sorted;
+};
+
+// Share (0-1) of the events' time that falls within the weekly slots, or null when there is nothing to
+// compare (no calendar or no events)
+const calendarCoverage = (slots = [], events = []) => {
+  if (slots.length === 0 || events.length === 0) return null;
+
+  const slotsByDay = {};
+  for (const slot of slots) {
+    (slotsByDay[slot.day] ||= []).push([toMinutes(slot.startTime), toMinutes(slot.endTime)]);
+  }
+
+  let total = 0;
+  let covered = 0;
+  for (const event of events) {
+    // Walk the event day by day in local time
+    let start = new Date(event.startTime).getTime() + RWANDA_UTC_OFFSET_MS;
+    const end = new Date(event.endTime).getTime() + RWANDA_UTC_OFFSET_MS;
+
+    while (start < end) {
+      const dayStart = start - (start % DAY_MS);
+      const segmentEnd = Math.min(end, dayStart + DAY_MS);
+      const from = (start - dayStart) / 60000;
+      const to = (segmentEnd - dayStart) / 60000;
+
+      total += to - from;
+      for (const [slotStart, slotEnd] of slotsByDay[weekdayOf(new Date(dayStart))] || []) {
+        covered += Math.max(0, Math.min(to, slotEnd) - Math.max(from, slotStart));
+      }
+      start = segmentEnd;
+    }
+  }
+
+  return total > 0 ? covered / total : null;
+};
+
+module.exports = {
+  WEEKDAYS,
+  toMinutes,
+  normalizeSlots,
+  calendarCoverage
+};
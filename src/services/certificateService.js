@@ -0,0 +1,298 @@
+// src/services/certificateService.js
+// Signed service certificates (per project) and cumulative hour statements.
+const crypto = require('crypto');
+const PDFDocument = require('pdfkit');
+const { PrismaClient } = require('@prisma/client');
+const { AppError } = require('../utils/appError');
+
+const prisma = new PrismaClient();
+
+const getSigningSecret = () => process.env.CERTIFICATE_SECRET || process.env.JWT_SECRET || 'secretkey';
+
+// Human-friendly public ID, e.g. RC-3F9A-01BC-77DE
+const generateCode = () => {
+  const hex = crypto.randomBytes(6).toString('hex').toUpperCase();
+  return `RC-${hex.slice(0, 4)}-${hex.slice(4, 8)}-${hex.slice(8)}`;
+};
+
+// JSON with sorted keys, so details read back from the database sign the same
+const stableStringify = (value) => {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+const signCertificate = (certificate) => crypto
+  .createHmac('sha256', getSigningSecret())
+  .update([
+    certificate.code,
+    certificate.type,
+    certificate.volunteerId,
+    certificate.projectId ?? '',
+    certificate.hours,
+    new Date(certificate.issuedAt).toISOString(),
+    stableStringify(certificate.details)
+  ].join('|'))
+  .digest('hex');
+
+const hasValidSignature = (certificate) => {
+  const expected = Buffer.from(signCertificate(certificate), 'hex');
+  const actual = Buffer.from(certificate.signature, 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+const verificationUrl = (code, baseUrl) => `${baseUrl}/api/certificates/verify/${code}`;
+
+const fullName = (user) => `${user.firstname} ${user.lastname}`;
+
+// Name of the organization running a project
+const organizationName = (project) =>
+  project.ngo?.name
+  || project.organization?.organizationName
+  || project.creator?.organizationProfile?.organizationName
+  || (project.creator ? fullName(project.creator) : 'Rwanda Cares');
+
+// First and last day with approved hours, as ISO strings so they sign the same before and after storage
+const approvedPeriod = async (where) => {
+  const { _min, _max } = await prisma.hourEntry.aggregate({
+    where: { ...where, status: 'APPROVED' },
+    _min: { date: true },
+    _max: { date: true }
+  });
+  return {
+    from: _min.date ? _min.date.toISOString() : null,
+    to: _max.date ? _max.date.toISOString() : null
+  };
+};
+
+// Reuse the latest certificate while the certified hours are unchanged, otherwise issue a new one
+const findOrCreateCertificate = async ({ type, volunteerId, projectId = null, hours, details }) => {
+  const existing = await prisma.certificate.findFirst({
+    where: { type, volunteerId, projectId, hours, revokedAt: null },
+    orderBy: { issuedAt: 'desc' }
+  });
+  if (existing) return existing;
+
+  const certificate = {
+    code: generateCode(),
+    type,
+    volunteerId,
+    projectId,
+    hours,
+    details,
+    issuedAt: new Date()
+  };
+
+  return prisma.certificate.create({
+    data: { ...certificate, signature: signCertificate(certificate) }
+  });
+};
+
+// Certificate for the approved hours a volunteer served on one project
+const issueProjectCertificate = async (volunteerId, projectId) => {
+  const participation = await prisma.volunteerParticipation.findFirst({
+    where: { userId: volunteerId, projectId },
+    include: {
+      user: { select: { firstname: true, lastname: true } },
+      project: {
+        include: {
+          ngo: true,
+          organization: { select: { organizationName: true } },
+          creator: {
+            select: {
+              firstname: true,
+              lastname: true,
+              organizationProfile: { select: { organizationName: true } }
+            }
+          }
+        }
+      }
+    }
+  });
+
+  if (!participation || participation.hours <= 0) {
+    throw new AppError('You have no approved hours on this project yet', 400);
+  }
+
+  const period = await approvedPeriod({ volunteerId, projectId });
+
+  return findOrCreateCertificate({
+    type: 'PROJECT',
+    volunteerId,
+    projectId,
+    hours: participation.hours,
+    details: {
+      volunteerName: fullName(participation.user),
+      projectTitle: participation.project.title,
+      organizationName: organizationName(participation.project),
+      from: period.from,
+      to: period.to
+    }
+  });
+};
+
+// Statement of all approved hours of a volunteer, broken down by project
+const issueHourStatement = async (volunteerId) => {
+  const volunteer = await prisma.user.findUnique({
+    where: { id: volunteerId },
+    include: {
+      participations: {
+        where: { hours: { gt: 0 } },
+        include: {
+          project: {
+            include: {
+              ngo: true,
+              organization: { select: { organizationName: true } },
+              creator: {
+                select: {
+                  firstname: true,
+                  lastname: true,
+                  organizationProfile: { select: { organizationName: true } }
+                }
+              }
+            }
+          }
+        },
+        orderBy: { projectId: 'asc' }
+      }
+    }
+  });
+
+  if (!volunteer || volunteer.participations.length === 0) {
+    throw new AppError('You have no approved hours yet', 400);
+  }
+
+  const hours = volunteer.participations.reduce((sum, p) => sum + p.hours, 0);
+  const period = await approvedPeriod({ volunteerId });
+
+  return findOrCreateCertificate({
+    type: 'HOUR_STATEMENT',
+    volunteerId,
+    hours,
+    details: {
+      volunteerName: fullName(volunteer),
+      from: period.from,
+      to: period.to,
+      projects: volunteer.participations.map(p => ({
+        projectTitle: p.project.title,
+        organizationName: organizationName(p.project),
+        hours: p.hours
+      }))
+    }
+  });
+};
+
+// Revoke the certificates vouching for a volunteer's hours on a project: their certificates for the project and
+// their hour statements. Used when approved hours are taken back, inside the caller's transaction.
+const revokeHourCertificates = async (client, volunteerId, projectId) => {
+  const { count } = await client.certificate.updateMany({
+    where: {
+      volunteerId,
+      revokedAt: null,
+      OR: [{ type: 'PROJECT', projectId }, { type: 'HOUR_STATEMENT' }]
+    },
+    data: { revokedAt: new Date() }
+  });
+  return count;
+};
+
+// Look up a certificate by its public code and check it is genuine
+const verifyCertificate = async (code) => {
+  const certificate = await prisma.certificate.findUnique({
+    where: { code: String(code).trim().toUpperCase() }
+  });
+
+  if (!certificate) {
+    throw new AppError('Certificate not found', 404);
+  }
+
+  let reason = null;
+  if (!hasValidSignature(certificate)) {
+    reason = 'The certificate signature does not match its contents';
+  } else if (certificate.revokedAt) {
+    reason = 'The certificate has been revoked';
+  }
+
+  return { valid: !reason, reason, certificate };
+};
+
+const formatDate = (date) => date
+  ? new Date(date).toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric', timeZone: 'UTC' })
+  : null;
+
+const formatHours = (hours) => `${Number(hours.toFixed(2))} hour${hours === 1 ? '' : 's'}`;
+
+const formatPeriod = ({ from, to }) => {
+  if (!from) return null;
+  return from === to
+    ? `on ${formatDate(from)}`
+    : `from ${formatDate(from)} to ${formatDate(to)}`;
+};
+
+const collectPdf = (doc) => new Promise((resolve, reject) => {
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+  doc.end();
+});
+
+const drawVerificationFooter = (doc, certificate, baseUrl) => {
+  doc.moveDown(2)
+    .fontSize(9)
+    .fillColor('#555555')
+    .text(`Certificate ID: ${certificate.code}`, { align: 'center' })
+    .text(`Issued on ${formatDate(certificate.issuedAt)}`, { align: 'center' })
+    .text(`Verify at: ${verificationUrl(certificate.code, baseUrl)}`, { align: 'center' })
+    .text(`Signature: ${certificate.signature}`, { align: 'center' });
+};
+
+// Render a certificate or hour statement as a PDF buffer
+const renderCertificatePdf = (certificate, baseUrl) => {
+  const { details } = certificate;
+  const isStatement = certificate.type === 'HOUR_STATEMENT';
+  const doc = new PDFDocument({
+    size: 'A4',
+    layout: isStatement ? 'portrait' : 'landscape',
+    margin: 50,
+    info: {
+      Title: isStatement ? 'Volunteer Hour Statement' : 'Certificate of Volunteer Service',
+      Author: 'Rwanda Cares',
+      Subject: certificate.code
+    }
+  });
+  const period = formatPeriod(details);
+
+  doc.fontSize(26).fillColor('#1a5632')
+    .text(isStatement ? 'Volunteer Hour Statement' : 'Certificate of Volunteer Service', { align: 'center' });
+  doc.moveDown().fontSize(13).fillColor('#000000')
+    .text(isStatement ? 'This statement confirms that' : 'This is to certify that', { align: 'center' });
+  doc.moveDown(0.5).fontSize(22).text(details.volunteerName, { align: 'center' });
+  doc.moveDown(0.5).fontSize(13);
+
+  if (isStatement) {
+    doc.text(`has completed ${formatHours(certificate.hours)} of approved volunteer service${period ? ` ${period}` : ''}:`, { align: 'center' });
+    doc.moveDown();
+    for (const project of details.projects) {
+      doc.fontSize(11).text(`${project.projectTitle} (${project.organizationName}): ${formatHours(project.hours)}`);
+    }
+  } else {
+    doc.text(`completed ${formatHours(certificate.hours)} of approved volunteer service${period ? ` ${period}` : ''} on`, { align: 'center' });
+    doc.moveDown(0.5).fontSize(18).text(details.projectTitle, { align: 'center' });
+    doc.moveDown(0.5).fontSize(13).text(`organized by ${details.organizationName}`, { align: 'center' });
+  }
+
+  drawVerificationFooter(doc, certificate, baseUrl);
+  return collectPdf(doc);
+};
+
+module.exports = {
+  issueProjectCertificate,
+  issueHourStatement,
+  revokeHourCertificates,
+  verifyCertificate,
+  renderCertificatePdf,
+  verificationUrl
+};
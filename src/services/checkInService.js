@@ -0,0 +1,305 @@
+// src/services/checkInService.js
+// Event attendance from signed QR codes. Volunteers scan the event's code, or coordinators scan the
+// volunteer's code; each check-in turns into draft hours the volunteer submits for review. Codes are
+// verified without a database lookup, so devices at sites without connectivity can scan and sync later.
+const crypto = require('crypto');
+const { PrismaClient } = require('@prisma/client');
+const { AppError } = require('../utils/appError');
+const { sendNotification } = require('./notificationService');
+const { recordHourActivity } = require('./hoursService');
+const { PERMISSIONS, canOnProject } = require('./organizationAccessService');
+
+const prisma = new PrismaClient();
+
+const getSigningSecret = () => process.env.CHECK_IN_SECRET || process.env.JWT_SECRET || 'secretkey';
+
+// Check-in opens this long before an event starts and closes when it ends
+const CHECK_IN_OPENS_MINUTES = 60;
+
+// Offline scans are accepted for this long after they were made
+const MAX_SYNC_DELAY_DAYS = 7;
+
+// Scanning devices' clocks may run this far ahead of the server's
+const CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+const EARTH_RADIUS_METERS = 6371000;
+
+// "RCE.<eventId>.<signature>" is shown by the event, "RCV.<eventId>.<volunteerId>.<signature>" by a volunteer
+const EVENT_PREFIX = 'RCE';
+const VOLUNTEER_PREFIX = 'RCV';
+
+const sign = (payload) => crypto.createHmac('sha256', getSigningSecret()).update(payload).digest('base64url');
+
+const eventCode = (eventId) => `${EVENT_PREFIX}.${eventId}.${sign(`${EVENT_PREFIX}.${eventId}`)}`;
+
+const volunteerCode = (eventId, volunteerId) =>
+  `${VOLUNTEER_PREFIX}.${eventId}.${volunteerId}.${sign(`${VOLUNTEER_PREFIX}.${eventId}.${volunteerId}`)}`;
+
+// Decode a scanned code into { eventId } or { eventId, volunteerId }, rejecting anything not signed by us
+const readCode = (code) => {
+  const parts = String(code).trim().split('.');
+  const signature = parts.pop();
+  const [prefix, ...ids] = parts;
+  const numbers = ids.map(Number);
+
+  const wellFormed = (prefix === EVENT_PREFIX && ids.length === 1) || (prefix === VOLUNTEER_PREFIX && ids.length === 2);
+  if (!wellFormed || !signature || numbers.some(id => !Number.isInteger(id) || id < 1)) {
+    throw new AppError('Invalid check-in code', 400);
+  }
+
+  const expected = Buffer.from(sign(parts.join('.')));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    throw new AppError('Invalid check-in code', 400);
+  }
+
+  const [eventId, volunteerId] = numbers;
+  return prefix === EVENT_PREFIX ? { eventId } : { eventId, volunteerId };
+};
+
+// Time window in which an event accepts check-ins
+const checkInWindow = (event) => ({
+  opensAt: new Date(event.startTime.getTime() - CHECK_IN_OPENS_MINUTES * 60 * 1000),
+  closesAt: event.endTime
+});
+
+// Great-circle distance in meters (haversine)
+const distanceInMeters = (from, to) => {
+  const toRadians = (degrees) => degrees * Math.PI / 180;
+  const dLat = toRadians(to.latitude - from.latitude);
+  const dLng = toRadians(to.longitude - from.longitude);
+  const a = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(a)));
+};
+
+// Geofence of an event: its radius around the project location, or null when either is missing
+const geofenceOf = (event) => {
+  const { latitude, longitude } = event.project;
+  if (!event.checkInRadius || latitude == null || longitude == null) return null;
+  return { latitude, longitude, radius: event.checkInRadius };
+};
+
+// Distance from the geofence center, or null when the event has no geofence
+const assertWithinGeofence = (event, { latitude, longitude }) => {
+  const geofence = geofenceOf(event);
+  if (!geofence) return null;
+
+  if (latitude === undefined || longitude === undefined) {
+    throw new AppError('This event requires your location to check in', 400);
+  }
+
+  const distance = Math.round(distanceInMeters(geofence, { latitude, longitude }));
+  if (distance > geofence.radius) {
+    throw new AppError(`Check-in is only possible within ${geofence.radius} m of the project site (you are ${distance} m away)`, 400);
+  }
+  return distance;
+};
+
+const assertScanTime = (event, scannedAt, now = new Date()) => {
+  if (scannedAt.getTime() > now.getTime() + CLOCK_SKEW_MS) {
+    throw new AppError('The scan time is in the future', 400);
+  }
+  if (now - scannedAt > MAX_SYNC_DELAY_DAYS * 24 * 60 * 60 * 1000) {
+    throw new AppError(`Scans must be synced within ${MAX_SYNC_DELAY_DAYS} days`, 400);
+  }
+
+  const { opensAt, closesAt } = checkInWindow(event);
+  if (scannedAt < opensAt || scannedAt > closesAt) {
+    throw new AppError(`Check-in for "${event.title}" is open from ${opensAt.toISOString()} until ${closesAt.toISOString()}`, 400);
+  }
+};
+
+// A scan ID only ever stands for one volunteer's check-in to one event
+const assertSameScan = (checkIn, eventId, volunteerId) => {
+  if (checkIn && (checkIn.eventId !== eventId || checkIn.volunteerId !== volunteerId)) {
+    throw new AppError('This scan ID has already been used for another check-in', 409);
+  }
+};
+
+const assertAcceptedVolunteer = async (volunteerId, projectId) => {
+  const application = await prisma.application.findUnique({
+    where: { volunteerId_projectId: { volunteerId, projectId } }
+  });
+
+  if (!application || application.status !== 'ACCEPTED') {
+    throw new AppError('Only volunteers accepted for this project can check in', 403);
+  }
+};
+
+// Hours from arrival (or the start, for early arrivals) to the end of the event, to the quarter hour
+const attendedHours = (event, checkedInAt) => {
+  const from = Math.max(checkedInAt.getTime(), event.startTime.getTime());
+  const hours = Math.round((event.endTime.getTime() - from) / (15 * 60 * 1000)) / 4;
+  return Math.min(24, Math.max(0.25, hours));
+};
+
+// Record attendance and draft its hours on the volunteer's participation, unless hours were already logged
+// for the event
+const createCheckIn = async (event, data) =>
+  prisma.$transaction(async (tx) => {
+    const checkIn = await tx.eventCheckIn.create({ data: { ...data, eventId: event.id } });
+
+    const logged = await tx.hourEntry.findFirst({
+      where: { volunteerId: data.volunteerId, eventId: event.id }
+    });
+    if (logged) return { checkIn, hourEntry: null };
+
+    const participation = await tx.volunteerParticipation.findFirst({
+      where: { userId: data.volunteerId, projectId: event.projectId }
+    });
+    const hours = attendedHours(event, data.checkedInAt);
+
+    const hourEntry = await tx.hourEntry.create({
+      data: {
+        volunteerId: data.volunteerId,
+        projectId: event.projectId,
+        eventId: event.id,
+        participationId: participation ? participation.id : null,
+        date: event.startTime,
+        hours,
+        description: `Attended "${event.title}"`,
+        status: 'DRAFT'
+      }
+    });
+
+    await recordHourActivity(tx, {
+      userId: data.recordedById || data.volunteerId,
+      action: 'HOURS_DRAFTED',
+      entryId: hourEntry.id,
+      details: { hours, eventId: event.id, checkInId: checkIn.id, timeVerified: checkIn.timeVerified }
+    });
+
+    return {
+      checkIn: await tx.eventCheckIn.update({ where: { id: checkIn.id }, data: { hourEntryId: hourEntry.id } }),
+      hourEntry
+    };
+  });
+
+// Check in from a scanned code. Volunteers scan event codes to check themselves in; the project's team
+// scans volunteer codes. Resolves with { checkIn, duplicate }; scanning again is not an error.
+// scannedAt comes with offline scans. A coordinator's device is trusted with it; a volunteer's own is not,
+// so unless it matches the server's clock their check-in is marked as having an unverified time for reviewers.
+const checkIn = async (user, { code, scannedAt, latitude, longitude, clientId = null }, expectedEventId = null) => {
+  const { eventId, volunteerId: codeVolunteerId } = readCode(code);
+
+  if (expectedEventId !== null && eventId !== expectedEventId) {
+    throw new AppError('This code belongs to a different event', 400);
+  }
+
+  const event = await prisma.event.findUnique({
+    where: { id: eventId },
+    include: { project: true }
+  });
+  if (!event) {
+    throw new AppError('Event not found', 404);
+  }
+  if (event.status === 'CANCELLED') {
+    throw new AppError('This event has been cancelled', 400);
+  }
+
+  let volunteerId;
+  let method;
+  if (codeVolunteerId) {
+    if (!await canOnProject(event.project, user, PERMISSIONS.REVIEW_VOLUNTEERS)) {
+      throw new AppError('Only the project\'s organization can scan volunteer codes', 403);
+    }
+    volunteerId = codeVolunteerId;
+    method = 'COORDINATOR_SCAN';
+  } else {
+    if (user.role !== 'VOLUNTEER') {
+      throw new AppError('Scan the volunteer\'s code to check them in', 400);
+    }
+    volunteerId = user.id;
+    method = 'SELF_SCAN';
+  }
+
+  // A scan synced before comes back as a duplicate, as long as it is the same volunteer at the same event
+  if (clientId) {
+    const synced = await prisma.eventCheckIn.findUnique({ where: { clientId } });
+    if (synced) {
+      assertSameScan(synced, eventId, volunteerId);
+      return { checkIn: synced, duplicate: true };
+    }
+  }
+
+  const checkedInAt = scannedAt ?? new Date();
+  assertScanTime(event, checkedInAt);
+  await assertAcceptedVolunteer(volunteerId, event.projectId);
+
+  const existing = await prisma.eventCheckIn.findUnique({
+    where: { eventId_volunteerId: { eventId, volunteerId } }
+  });
+  if (existing) return { checkIn: existing, duplicate: true };
+
+  const distance = assertWithinGeofence(event, { latitude, longitude });
+
+  let created;
+  try {
+    created = await createCheckIn(event, {
+      volunteerId,
+      method,
+      checkedInAt,
+      timeVerified: method === 'COORDINATOR_SCAN' || Math.abs(Date.now() - checkedInAt.getTime()) <= CLOCK_SKEW_MS,
+      recordedById: method === 'COORDINATOR_SCAN' ? user.id : null,
+      latitude: latitude ?? null,
+      longitude: longitude ?? null,
+      distance,
+      clientId
+    });
+  } catch (error) {
+    // The volunteer or the scan was recorded in the meantime (e.g. a batch synced twice at once)
+    if (error.code !== 'P2002') throw error;
+
+    const recorded = await prisma.eventCheckIn.findUnique({
+      where: { eventId_volunteerId: { eventId, volunteerId } }
+    });
+    if (recorded) return { checkIn: recorded, duplicate: true };
+
+    // Otherwise the scan ID is taken by someone else's check-in
+    if (clientId) {
+      assertSameScan(await prisma.eventCheckIn.findUnique({ where: { clientId } }), eventId, volunteerId);
+    }
+    throw error;
+  }
+
+  if (created.hourEntry) {
+    await sendNotification({
+      userId: volunteerId,
+      type: 'HOURS_DRAFTED',
+      title: 'Attendance Recorded',
+      message: `You checked in to "${event.title}". Review your ${created.hourEntry.hours} hours and submit them for approval.`,
+      data: { projectId: event.projectId, eventId, hourEntryId: created.hourEntry.id }
+    });
+  }
+
+  return { checkIn: created.checkIn, duplicate: false };
+};
+
+// Sync scans made offline. Each scan succeeds or fails on its own, so one bad code does not block the rest.
+const syncCheckIns = async (user, scans) => {
+  const results = [];
+
+  for (const scan of scans) {
+    try {
+      const { checkIn: recorded, duplicate } = await checkIn(user, scan);
+      results.push({ clientId: scan.clientId, status: duplicate ? 'DUPLICATE' : 'CHECKED_IN', checkInId: recorded.id });
+    } catch (error) {
+      if (!error.isOperational) throw error;
+      results.push({ clientId: scan.clientId, status: 'REJECTED', error: error.message });
+    }
+  }
+
+  return results;
+};
+
+module.exports = {
+  CHECK_IN_OPENS_MINUTES,
+  eventCode,
+  volunteerCode,
+  readCode,
+  checkInWindow,
+  geofenceOf,
+  checkIn,
+  syncCheckIns
+};
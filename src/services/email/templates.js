@@ -0,0 +1,114 @@
+// src/services/email/templates.js
+// Email template registry. Each template builds a subject, an HTML body and a plain-text body from a context.
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Wrap template content in the shared RwandaCares layout
+const layout = (title, body) => `<!DOCTYPE html>
+<html>
+  <head><meta charset="utf-8"><title>${escapeHtml(title)}</title></head>
+  <body style="font-family: Arial, sans-serif; color: #1f2933; line-height: 1.5;">
+    <div style="max-width: 600px; margin: 0 auto; padding: 24px;">
+      <h2 style="color: #00a1de;">RwandaCares</h2>
+      ${body}
+      <p style="color: #7b8794; font-size: 12px; margin-top: 32px;">
+        You are receiving this email because you have an account on RwandaCares.
+      </p>
+    </div>
+  </body>
+</html>`;
+
+const button = (url, label) =>
+  `<p><a href="${escapeHtml(url)}" style="background: #00a1de; color: #fff; padding: 10px 18px; border-radius: 4px; text-decoration: none;">${escapeHtml(label)}</a></p>`;
+
+const optionalMessage = (message) => (message ? `\n\nMessage from the organization:\n${message}` : '');
+
+const optionalMessageHtml = (message) =>
+  (message ? `<p><strong>Message from the organization:</strong><br>${escapeHtml(message)}</p>` : '');
+
+const templates = {
+  welcome: {
+    subject: () => 'Welcome to RwandaCares - Verify Your Email',
+    html: ({ name, verificationUrl }) => layout('Welcome', `
+      <p>Hello ${escapeHtml(name)},</p>
+      <p>Thank you for joining RwandaCares. Please confirm your email address to activate your account.</p>
+      ${button(verificationUrl, 'Verify my email')}
+      <p>If the button does not work, copy this link into your browser:<br>${escapeHtml(verificationUrl)}</p>`),
+    text: ({ name, verificationUrl }) =>
+      `Hello ${name},\n\nThank you for joining RwandaCares. Please confirm your email address to activate your account:\n${verificationUrl}`
+  },
+
+  'password-reset': {
+    subject: () => 'Reset your RwandaCares password',
+    html: ({ name, resetUrl, expiresInMinutes }) => layout('Password reset', `
+      <p>Hello ${escapeHtml(name)},</p>
+      <p>We received a request to reset your password. This link expires in ${escapeHtml(expiresInMinutes)} minutes and can only be used once.</p>
+      ${button(resetUrl, 'Reset my password')}
+      <p>If you did not request a password reset, you can ignore this email.</p>`),
+    text: ({ name, resetUrl, expiresInMinutes }) =>
+      `Hello ${name},\n\nWe received a request to reset your password. This link expires in ${expiresInMinutes} minutes and can only be used once:\n${resetUrl}\n\nIf you did not request a password reset, you can ignore this email.`
+  },
+
+  'organization-invitation': {
+    subject: ({ organizationName }) => `You have been invited to join ${organizationName} on RwandaCares`,
+    html: ({ inviterName, organizationName, role, inviteUrl, expiresInDays }) => layout('Organization invitation', `
+      <p>Hello,</p>
+      <p>${escapeHtml(inviterName)} has invited you to join <strong>${escapeHtml(organizationName)}</strong> on RwandaCares as a ${escapeHtml(role)}.</p>
+      <p>Sign in with an organization account registered to this email address to accept. This invitation expires in ${escapeHtml(expiresInDays)} days.</p>
+      ${button(inviteUrl, 'Accept invitation')}
+      <p>If you were not expecting this invitation, you can ignore this email.</p>`),
+    text: ({ inviterName, organizationName, role, inviteUrl, expiresInDays }) =>
+      `Hello,\n\n${inviterName} has invited you to join ${organizationName} on RwandaCares as a ${role}.\n\nSign in with an organization account registered to this email address to accept. This invitation expires in ${expiresInDays} days:\n${inviteUrl}\n\nIf you were not expecting this invitation, you can ignore this email.`
+  },
+
+  'application-accepted': {
+    subject: ({ projectTitle }) => `Your application for "${projectTitle}" was accepted`,
+    html: ({ name, projectTitle, message }) => layout('Application accepted', `
+      <p>Hello ${escapeHtml(name)},</p>
+      <p>Congratulations! Your application for <strong>${escapeHtml(projectTitle)}</strong> has been accepted.</p>
+      ${optionalMessageHtml(message)}`),
+    text: ({ name, projectTitle, message }) =>
+      `Hello ${name},\n\nCongratulations! Your application for "${projectTitle}" has been accepted.${optionalMessage(message)}`
+  },
+
+  'application-rejected': {
+    subject: ({ projectTitle }) => `Update on your application for "${projectTitle}"`,
+    html: ({ name, projectTitle, message }) => layout('Application update', `
+      <p>Hello ${escapeHtml(name)},</p>
+      <p>Thank you for applying to <strong>${escapeHtml(projectTitle)}</strong>. Unfortunately your application was not accepted this time.</p>
+      ${optionalMessageHtml(message)}`),
+    text: ({ name, projectTitle, message }) =>
+      `Hello ${name},\n\nThank you for applying to "${projectTitle}". Unfortunately your application was not accepted this time.${optionalMessage(message)}`
+  },
+
+  'project-cancelled': {
+    subject: ({ projectTitle }) => `"${projectTitle}" has been cancelled`,
+    html: ({ name, projectTitle, reason }) => layout('Project cancelled', `
+      <p>Hello ${escapeHtml(name)},</p>
+      <p>The project <strong>${escapeHtml(projectTitle)}</strong> has been cancelled.</p>
+      ${reason ? `<p><strong>Reason:</strong> ${escapeHtml(reason)}</p>` : ''}`),
+    text: ({ name, projectTitle, reason }) =>
+      `Hello ${name},\n\nThe project "${projectTitle}" has been cancelled.${reason ? `\n\nReason: ${reason}` : ''}`
+  }
+};
+
+// Render a registered template into { subject, html, text }
+const renderTemplate = (name, context = {}) => {
+  const template = templates[name];
+  if (!template) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+
+  return {
+    subject: template.subject(context),
+    html: template.html(context),
+    text: template.text(context)
+  };
+};
+
+module.exports = { templates, renderTemplate, escapeHtml };
@@ -0,0 +1,99 @@
+// src/services/email/transports.js
+// Email transport adapters. Every transport exposes `send(message)` and resolves with a delivery info object.
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+
+// Log emails to the console (default for local development)
+const createConsoleTransport = () => ({
+  name: 'console',
+  send: async (message) => {
+    console.log(`
+    Sending email to: ${message.to}
+    Subject: ${message.subject}
+    Template: ${message.template || '-'}
+
+${message.text}
+  `);
+    return { messageId: crypto.randomUUID() };
+  }
+});
+
+// Write each email as a JSON file into an outbox directory, so tests can assert on what was sent
+const createFileTransport = ({ dir }) => ({
+  name: 'file',
+  dir,
+  send: async (message) => {
+    await fs.mkdir(dir, { recursive: true });
+    const messageId = crypto.randomUUID();
+    const file = path.join(dir, `${Date.now()}-${messageId}.json`);
+    await fs.writeFile(file, JSON.stringify({ messageId, sentAt: new Date().toISOString(), ...message }, null, 2));
+    return { messageId, file };
+  }
+});
+
+// Read every message from a file transport outbox, oldest first
+const readOutbox = async (dir) => {
+  let files;
+  try {
+    files = (await fs.readdir(dir)).filter(file => file.endsWith('.json')).sort();
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  return Promise.all(files.map(async file => JSON.parse(await fs.readFile(path.join(dir, file), 'utf8'))));
+};
+
+// Send real email through an SMTP server
+const createSmtpTransport = ({ host, port, secure, user, pass }) => {
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined
+  });
+
+  return {
+    name: 'smtp',
+    send: async (message) => {
+      const info = await transporter.sendMail({
+        from: message.from,
+        to: message.to,
+        subject: message.subject,
+        html: message.html,
+        text: message.text
+      });
+      return { messageId: info.messageId };
+    }
+  };
+};
+
+// Build the transport selected by EMAIL_TRANSPORT (console, file or smtp)
+const createTransportFromEnv = (env = process.env) => {
+  switch ((env.EMAIL_TRANSPORT || 'console').toLowerCase()) {
+    case 'smtp':
+      return createSmtpTransport({
+        host: env.SMTP_HOST,
+        port: parseInt(env.SMTP_PORT) || 587,
+        secure: env.SMTP_SECURE === 'true',
+        user: env.SMTP_USER,
+        pass: env.SMTP_PASS
+      });
+    case 'file':
+      return createFileTransport({ dir: env.EMAIL_OUTBOX_DIR || path.join(process.cwd(), 'outbox') });
+    case 'console':
+      return createConsoleTransport();
+    default:
+      throw new Error(`Unknown EMAIL_TRANSPORT: ${env.EMAIL_TRANSPORT}`);
+  }
+};
+
+module.exports = {
+  createConsoleTransport,
+  createFileTransport,
+  createSmtpTransport,
+  createTransportFromEnv,
+  readOutbox
+};
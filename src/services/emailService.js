@@ -1,12 +1,35 @@
 // src/services/emailService.js
-export const sendEmail = async ({ to, subject, template, context }) => {
-  // For now, just log the email
-  console.log(`
-    Sending email to: ${to}
-    Subject: ${subject}
-    Template: ${template}
-    Context: ${JSON.stringify(context)}
-  `);
-
-  // Later, you can integrate with a real email service like SendGrid, Mailgun, or nodemailer
+const { renderTemplate } = require('./email/templates');
+const { createTransportFromEnv } = require('./email/transports');
+
+let transport;
+
+// Transport in use, created from the environment on first use
+const getTransport = () => {
+  if (!transport) {
+    transport = createTransportFromEnv();
+  }
+  return transport;
+};
+
+// Replace the transport (e.g. with a file transport in tests)
+const setTransport = (newTransport) => {
+  transport = newTransport;
 };
+
+// Send an email, either from a registered template and context or with explicit html/text
+const sendEmail = async ({ to, subject, template, context = {}, html, text }) => {
+  const rendered = template ? renderTemplate(template, context) : { subject, html, text };
+
+  return getTransport().send({
+    from: process.env.EMAIL_FROM || 'RwandaCares <no-reply@rwandacares.org>',
+    to,
+    subject: subject || rendered.subject,
+    html: rendered.html,
+    text: rendered.text,
+    template,
+    context
+  });
+};
+
+module.exports = { sendEmail, getTransport, setTransport };
@@ -0,0 +1,130 @@
+// src/services/eventService.js
+const { PrismaClient } = require('@prisma/client');
+const { AppError } = require('../utils/appError');
+const { sendNotification } = require('./notificationService');
+const { serializableTransaction } = require('../utils/transaction');
+
+const prisma = new PrismaClient();
+
+// Move events along UPCOMING -> ONGOING -> COMPLETED based on the clock
+const syncEventStatuses = async (now = new Date()) => {
+  const completed = await prisma.event.updateMany({
+    where: { status: { in: ['UPCOMING', 'ONGOING'] }, endTime: { lte: now } },
+    data: { status: 'COMPLETED' }
+  });
+
+  const started = await prisma.event.updateMany({
+    where: { status: 'UPCOMING', startTime: { lte: now }, endTime: { gt: now } },
+    data: { status: 'ONGOING' }
+  });
+
+  return { started: started.count, completed: completed.count };
+};
+
+// Effective capacity of a shift: its own, else the event's, else unlimited (null)
+const shiftCapacity = (shift) => shift.capacity ?? shift.event?.capacity ?? null;
+
+// Sign a volunteer up for a shift, waitlisting them once the shift is full
+const signUpForShift = async (shift, volunteerId) => {
+  return serializableTransaction(prisma, async (tx) => {
+    const existing = await tx.shiftSignup.findUnique({
+      where: { shiftId_volunteerId: { shiftId: shift.id, volunteerId } }
+    });
+
+    if (existing && existing.status !== 'CANCELLED') {
+      throw new AppError('You have already signed up for this shift', 400);
+    }
+
+    const capacity = shiftCapacity(shift);
+    const confirmed = await tx.shiftSignup.count({
+      where: { shiftId: shift.id, status: 'CONFIRMED' }
+    });
+    const status = capacity === null || confirmed < capacity ? 'CONFIRMED' : 'WAITLISTED';
+
+    const data = { status, signedUpAt: new Date() };
+    return existing
+      ? tx.shiftSignup.update({ where: { id: existing.id }, data })
+      : tx.shiftSignup.create({ data: { ...data, shiftId: shift.id, volunteerId } });
+  });
+};
+
+// Fill free places on a shift from its waitlist, oldest sign-up first
+const promoteFromWaitlist = async (shift) => {
+  const capacity = shiftCapacity(shift);
+
+  const promoted = await serializableTransaction(prisma, async (tx) => {
+    const confirmed = await tx.shiftSignup.count({
+      where: { shiftId: shift.id, status: 'CONFIRMED' }
+    });
+    const freePlaces = capacity === null ? Infinity : capacity - confirmed;
+    if (freePlaces <= 0) return [];
+
+    const waitlisted = await tx.shiftSignup.findMany({
+      where: { shiftId: shift.id, status: 'WAITLISTED' },
+      orderBy: { signedUpAt: 'asc' },
+      take: Number.isFinite(freePlaces) ? freePlaces : undefined
+    });
+
+    await tx.shiftSignup.updateMany({
+      where: { id: { in: waitlisted.map(signup => signup.id) } },
+      data: { status: 'CONFIRMED' }
+    });
+    return waitlisted;
+  });
+
+  for (const signup of promoted) {
+    await sendNotification({
+      userId: signup.volunteerId,
+      type: 'SHIFT_CONFIRMED',
+      title: 'You are off the waitlist!',
+      message: `A place opened up and you are now confirmed for "${shift.title || shift.event.title}".`,
+      data: { eventId: shift.eventId, shiftId: shift.id }
+    });
+  }
+
+  return promoted;
+};
+
+// Cancel an upcoming event, with any other changes made to it, and every sign-up for its shifts.
+// Resolves with the cancelled event and the volunteers who were signed up.
+const cancelEvent = (event, updates = {}) => serializableTransaction(prisma, async (tx) => {
+  const where = { shift: { eventId: event.id }, status: { in: ['CONFIRMED', 'WAITLISTED'] } };
+  const signups = await tx.shiftSignup.findMany({ where, select: { volunteerId: true }, distinct: ['volunteerId'] });
+
+  await tx.shiftSignup.updateMany({ where, data: { status: 'CANCELLED' } });
+  const cancelled = await tx.event.update({
+    where: { id: event.id },
+    data: { ...updates, status: 'CANCELLED' }
+  });
+
+  return { event: cancelled, volunteerIds: signups.map(signup => signup.volunteerId) };
+});
+
+// Cancel a volunteer's sign-up and promote the next person on the waitlist
+const cancelShiftSignup = async (shift, volunteerId) => {
+  const signup = await prisma.shiftSignup.findUnique({
+    where: { shiftId_volunteerId: { shiftId: shift.id, volunteerId } }
+  });
+
+  if (!signup || signup.status === 'CANCELLED') {
+    throw new AppError('You are not signed up for this shift', 404);
+  }
+
+  await prisma.shiftSignup.update({
+    where: { id: signup.id },
+    data: { status: 'CANCELLED' }
+  });
+
+  if (signup.status === 'CONFIRMED') {
+    await promoteFromWaitlist(shift);
+  }
+};
+
+module.exports = {
+  syncEventStatuses,
+  shiftCapacity,
+  signUpForShift,
+  promoteFromWaitlist,
+  cancelEvent,
+  cancelShiftSignup
+};
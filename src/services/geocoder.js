@@ -0,0 +1,141 @@
+// src/services/geocoder.js
+// Offline geocoding of free-text Rwandan locations ("Kimironko, Gasabo") to sector, district or province centroids.
+const { PrismaClient } = require('@prisma/client');
+const { provinces, districts } = require('../data/rwandaLocations');
+
+const prisma = new PrismaClient();
+
+// Words that only describe the kind of area ("Gasabo District", "Umurenge wa Remera")
+const NOISE_WORDS = ['district', 'sector', 'province', 'city', 'of', 'akarere', 'umurenge', 'intara', 'wa', 'ka', 'rwanda'];
+
+const normalize = (value) => ` ${(value || '')
+  .toString()
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .split(/[^a-z0-9]+/)
+  .filter(word => word && !NOISE_WORDS.includes(word))
+  .join(' ')} `;
+
+// Position of a place name in normalized text, or -1
+const findName = (text, name) => text.indexOf(normalize(name));
+
+// Earliest position of any of an area's names
+const findArea = (text, area) => Math.min(...[area.name, ...(area.aliases || [])]
+  .map(name => findName(text, name))
+  .map(position => (position === -1 ? Infinity : position)));
+
+const mentioned = (position) => position !== Infinity;
+
+const areaNames = new Set([...provinces, ...districts]
+  .flatMap(area => [area.name, ...(area.aliases || [])])
+  .map(name => normalize(name)));
+
+const byPosition = (a, b) => a.position - b.position;
+
+// Resolve a free-text location to the most specific area it names, or null
+const geocode = (location) => {
+  const text = normalize(location);
+  if (!text.trim()) return null;
+
+  const districtMatches = districts
+    .map(district => ({ district, position: findArea(text, district) }))
+    .filter(match => mentioned(match.position))
+    .sort(byPosition);
+  const provinceMatches = provinces
+    .map(province => ({ province, position: findArea(text, province) }))
+    .filter(match => mentioned(match.position))
+    .sort(byPosition);
+  const mentionsDistrict = (district) => districtMatches.some(match => match.district === district);
+
+  // A sector sharing its name with a district or province ("Kicukiro", "Kigali") only counts
+  // when its own district is named separately
+  const sectorMatches = districts
+    .flatMap(district => district.sectors.map(sector => ({
+      sector,
+      district,
+      position: findName(text, sector.name)
+    })))
+    .filter(match => match.position !== -1)
+    .filter(match => !areaNames.has(normalize(match.sector.name))
+      || (normalize(match.district.name) !== normalize(match.sector.name) && mentionsDistrict(match.district)))
+    .sort((a, b) => Number(mentionsDistrict(b.district)) - Number(mentionsDistrict(a.district)) || byPosition(a, b));
+
+  if (sectorMatches.length > 0) {
+    const { sector, district } = sectorMatches[0];
+    return {
+      latitude: sector.latitude,
+      longitude: sector.longitude,
+      precision: 'sector',
+      sector: sector.name,
+      district: district.name,
+      province: district.province
+    };
+  }
+
+  if (districtMatches.length > 0) {
+    const provinceNames = provinceMatches.map(match => match.province.name);
+    const { district } = districtMatches.find(match => provinceNames.includes(match.district.province))
+      || districtMatches[0];
+    return {
+      latitude: district.latitude,
+      longitude: district.longitude,
+      precision: 'district',
+      district: district.name,
+      province: district.province
+    };
+  }
+
+  if (provinceMatches.length > 0) {
+    const { province } = provinceMatches[0];
+    return {
+      latitude: province.latitude,
+      longitude: province.longitude,
+      precision: 'province',
+      province: province.name
+    };
+  }
+
+  return null;
+};
+
+// Provinces with their districts and known sectors, for location pickers
+const listAreas = () => provinces.map(province => ({
+  name: province.name,
+  districts: districts
+    .filter(district => district.province === province.name)
+    .map(district => ({
+      name: district.name,
+      latitude: district.latitude,
+      longitude: district.longitude,
+      sectors: district.sectors.map(sector => sector.name)
+    }))
+}));
+
+// Fill in coordinates for projects that only have a free-text location
+const geocodeMissingProjects = async () => {
+  const projects = await prisma.project.findMany({
+    where: { latitude: null, location: { not: null } },
+    select: { id: true, location: true }
+  });
+
+  let geocoded = 0;
+  for (const project of projects) {
+    const place = geocode(project.location);
+    if (!place) continue;
+
+    await prisma.project.update({
+      where: { id: project.id },
+      data: { latitude: place.latitude, longitude: place.longitude }
+    });
+    geocoded++;
+  }
+
+  return { geocoded, unresolved: projects.length - geocoded };
+};
+
+module.exports = {
+  geocode,
+  listAreas,
+  geocodeMissingProjects
+};
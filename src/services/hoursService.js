@@ -0,0 +1,138 @@
+// src/services/hoursService.js
+// Volunteer hour entries: review workflow, audit trail and approved-hour totals.
+const { PrismaClient } = require('@prisma/client');
+const { revokeHourCertificates } = require('./certificateService');
+
+const prisma = new PrismaClient();
+
+// ActivityLog entity type used for the hour entry audit trail
+const HOUR_ENTRY_ENTITY = 'HOUR_ENTRY';
+
+// Append an entry to the audit trail of an hour entry
+const recordHourActivity = (client, { userId, action, entryId, details }) =>
+  client.activityLog.create({
+    data: {
+      userId,
+      action,
+      entityType: HOUR_ENTRY_ENTITY,
+      entityId: String(entryId),
+      details
+    }
+  });
+
+// Audit trail of an hour entry, oldest first
+const getHourEntryHistory = (entryId) =>
+  prisma.activityLog.findMany({
+    where: { entityType: HOUR_ENTRY_ENTITY, entityId: String(entryId) },
+    include: {
+      user: { select: { id: true, firstname: true, lastname: true, role: true } }
+    },
+    orderBy: { createdAt: 'asc' }
+  });
+
+const sumApproved = async (client, where) => {
+  const { _sum } = await client.hourEntry.aggregate({
+    where: { ...where, status: 'APPROVED' },
+    _sum: { approvedHours: true }
+  });
+  return _sum.approvedHours || 0;
+};
+
+// Recompute the approved totals on the volunteer's participation and profile from their entries
+const recalculateHours = async (client, volunteerId, projectId) => {
+  const projectHours = await sumApproved(client, { volunteerId, projectId });
+  const totalHours = await sumApproved(client, { volunteerId });
+
+  const { count } = await client.volunteerParticipation.updateMany({
+    where: { userId: volunteerId, projectId },
+    data: { hours: projectHours }
+  });
+  if (count === 0 && projectHours > 0) {
+    await client.volunteerParticipation.create({
+      data: { userId: volunteerId, projectId, hours: projectHours }
+    });
+  }
+
+  await client.volunteerProfile.upsert({
+    where: { userId: volunteerId },
+    update: { totalHours },
+    create: { userId: volunteerId, totalHours }
+  });
+
+  return { projectHours, totalHours };
+};
+
+// Approve (optionally with adjusted hours) or reject an entry, log it and refresh the totals. Certificates
+// issued for hours a review takes back are revoked, so they stop verifying.
+const reviewHourEntry = (entry, reviewerId, { status, hours, note }) =>
+  prisma.$transaction(async (tx) => {
+    const previousProjectHours = await sumApproved(tx, { volunteerId: entry.volunteerId, projectId: entry.projectId });
+    const approvedHours = status === 'APPROVED' ? hours ?? entry.hours : null;
+    const adjusted = status === 'APPROVED' && approvedHours !== entry.hours;
+
+    const updated = await tx.hourEntry.update({
+      where: { id: entry.id },
+      data: {
+        status,
+        approvedHours,
+        reviewNote: note || null,
+        reviewedById: reviewerId,
+        reviewedAt: new Date()
+      }
+    });
+
+    await recordHourActivity(tx, {
+      userId: reviewerId,
+      action: status === 'REJECTED' ? 'HOURS_REJECTED' : adjusted ? 'HOURS_ADJUSTED' : 'HOURS_APPROVED',
+      entryId: entry.id,
+      details: {
+        previousStatus: entry.status,
+        previousApprovedHours: entry.approvedHours,
+        submittedHours: entry.hours,
+        approvedHours,
+        note: note || null
+      }
+    });
+
+    const { projectHours } = await recalculateHours(tx, entry.volunteerId, entry.projectId);
+    const revokedCertificates = projectHours < previousProjectHours
+      ? await revokeHourCertificates(tx, entry.volunteerId, entry.projectId)
+      : 0;
+
+    return { entry: updated, adjusted, revokedCertificates };
+  });
+
+// Submitted, pending and approved hours of a project
+const getProjectHourTotals = async (projectId) => {
+  const [byStatus, volunteers] = await Promise.all([
+    prisma.hourEntry.groupBy({
+      by: ['status'],
+      where: { projectId },
+      _sum: { hours: true, approvedHours: true },
+      _count: { _all: true }
+    }),
+    prisma.hourEntry.findMany({
+      where: { projectId, status: 'APPROVED' },
+      select: { volunteerId: true },
+      distinct: ['volunteerId']
+    })
+  ]);
+
+  const forStatus = (status) => byStatus.find(group => group.status === status);
+
+  return {
+    approved: forStatus('APPROVED')?._sum.approvedHours || 0,
+    pending: forStatus('PENDING')?._sum.hours || 0,
+    entries: byStatus.reduce((sum, group) => sum + group._count._all, 0),
+    pendingEntries: forStatus('PENDING')?._count._all || 0,
+    volunteersWithApprovedHours: volunteers.length
+  };
+};
+
+module.exports = {
+  recordHourActivity,
+  getHourEntryHistory,
+  recalculateHours,
+  reviewHourEntry,
+  getProjectHourTotals
+};
@@ -0,0 +1,287 @@
+// src/services/moderationService.js
+// Admin moderation: verifying organizations, reviewing submitted projects, handling reported content,
+// and the audit log of moderator actions.
+const { PrismaClient } = require('@prisma/client');
+const { AppError } = require('../utils/appError');
+const { sendNotification } = require('./notificationService');
+const { PROJECT_ENTITY, transitionProject } = require('./projectLifecycleService');
+const { PERMISSIONS, organizationMemberIds } = require('./organizationAccessService');
+const { completeNgoClaim } = require('./ngoClaimService');
+
+const prisma = new PrismaClient();
+
+// ActivityLog entity types used by moderation
+const ORGANIZATION_ENTITY = 'ORGANIZATION';
+const REPORT_ENTITY = 'REPORT';
+const USER_ENTITY = 'USER';
+
+// ActivityLog actions that make up the moderation audit log
+const MODERATION_ACTIONS = [
+  'ORGANIZATION_APPROVED',
+  'ORGANIZATION_REJECTED',
+  'PROJECT_APPROVED',
+  'PROJECT_REJECTED',
+  'PROJECT_REMOVED',
+  'REPORT_RESOLVED',
+  'REPORT_DISMISSED',
+  'USER_ROLE_CHANGED'
+];
+
+// Project statuses a moderator can still take a project down from
+const REMOVABLE_PROJECT_STATUSES = ['DRAFT', 'PENDING_REVIEW', 'ACTIVE', 'FULL'];
+
+// Append a moderator action to the audit log
+const recordModeration = (client, { moderatorId, action, entityType, entityId, details }) =>
+  client.activityLog.create({
+    data: {
+      userId: moderatorId,
+      action,
+      entityType,
+      entityId: String(entityId),
+      details
+    }
+  });
+
+const adminIds = async () => {
+  const admins = await prisma.user.findMany({ where: { role: 'ADMIN' }, select: { id: true } });
+  return admins.map(admin => admin.id);
+};
+
+// Counts of everything waiting for a moderator
+const getQueueSummary = async () => {
+  const [organizations, projects, reports] = await Promise.all([
+    prisma.organizationProfile.count({ where: { verificationStatus: 'PENDING' } }),
+    prisma.project.count({ where: { status: 'PENDING_REVIEW' } }),
+    prisma.contentReport.count({ where: { status: 'OPEN' } })
+  ]);
+  return { organizations, projects, reports };
+};
+
+// Approve or reject an organization. Approving links the NGO record it claimed; rejecting takes its
+// live projects down, so an organization that turned out to be fake stops receiving applications.
+const reviewOrganization = async (organization, moderator, { decision, reason }) => {
+  const approved = decision === 'APPROVE';
+  let claimDropped = false;
+
+  const updated = await prisma.$transaction(async (tx) => {
+    if (approved && organization.claimedNgoId) {
+      claimDropped = !await completeNgoClaim(tx, organization);
+    }
+
+    const result = await tx.organizationProfile.update({
+      where: { id: organization.id },
+      data: {
+        verificationStatus: approved ? 'APPROVED' : 'REJECTED',
+        isVerified: approved,
+        verificationNote: reason || null,
+        reviewedAt: new Date()
+      }
+    });
+
+    await recordModeration(tx, {
+      moderatorId: moderator.id,
+      action: approved ? 'ORGANIZATION_APPROVED' : 'ORGANIZATION_REJECTED',
+      entityType: ORGANIZATION_ENTITY,
+      entityId: organization.id,
+      details: { from: organization.verificationStatus, reason: reason || null }
+    });
+
+    return result;
+  });
+
+  if (!approved) {
+    const liveProjects = await prisma.project.findMany({
+      where: { organizationId: organization.id, status: { in: ['ACTIVE', 'FULL'] } }
+    });
+    for (const project of liveProjects) {
+      await transitionProject(project, 'CANCELLED', { user: moderator, reason, action: 'PROJECT_REMOVED' });
+    }
+  }
+
+  for (const userId of await organizationMemberIds(organization.id, PERMISSIONS.MANAGE_ORGANIZATION)) {
+    await sendNotification({
+      userId,
+      type: 'ORGANIZATION_REVIEWED',
+      title: approved ? 'Organization Verified' : 'Organization Verification Rejected',
+      message: approved
+        ? `${organization.organizationName} has been verified. Your projects can now be approved and published.${
+          claimDropped ? ' The NGO record you claimed was linked to another organization in the meantime.' : ''}`
+        : `${organization.organizationName} could not be verified.${reason ? ` Reason: ${reason}` : ''}`,
+      data: { organizationId: organization.id, status: updated.verificationStatus }
+    });
+  }
+
+  return updated;
+};
+
+// Approve a project submitted for review, or send it back to its creator as a draft
+const reviewProject = async (project, moderator, { decision, reason }) => {
+  if (project.status !== 'PENDING_REVIEW') {
+    throw new AppError('This project is not awaiting review', 400);
+  }
+
+  return decision === 'APPROVE'
+    ? transitionProject(project, 'ACTIVE', { user: moderator, reason, action: 'PROJECT_APPROVED' })
+    : transitionProject(project, 'DRAFT', { user: moderator, reason, action: 'PROJECT_REJECTED' });
+};
+
+const findReportTarget = (targetType, targetId) => (targetType === 'PROJECT'
+  ? prisma.project.findUnique({ where: { id: targetId } })
+  : prisma.organizationProfile.findUnique({ where: { id: targetId } }));
+
+// Report a project or organization to the moderators
+const fileReport = async (reporter, { targetType, targetId, reason, details }) => {
+  const target = await findReportTarget(targetType, targetId);
+  if (!target) {
+    throw new AppError('Reported content not found', 404);
+  }
+
+  const existing = await prisma.contentReport.findFirst({
+    where: { reporterId: reporter.id, targetType, targetId, status: 'OPEN' }
+  });
+  if (existing) {
+    throw new AppError('You have already reported this and it is awaiting review', 400);
+  }
+
+  const report = await prisma.contentReport.create({
+    data: { reporterId: reporter.id, targetType, targetId, reason, details }
+  });
+
+  const name = targetType === 'PROJECT' ? `the project "${target.title}"` : `the organization ${target.organizationName}`;
+  for (const userId of await adminIds()) {
+    await sendNotification({
+      userId,
+      type: 'CONTENT_REPORTED',
+      title: 'Content Reported',
+      message: `A user reported ${name} (${reason.toLowerCase().replace(/_/g, ' ')}).`,
+      data: { reportId: report.id, targetType, targetId }
+    });
+  }
+
+  return report;
+};
+
+// Take reported content down: cancel the project, or reject the organization
+const takeDown = async (report, moderator, note) => {
+  const target = await findReportTarget(report.targetType, report.targetId);
+  if (!target) return;
+
+  if (report.targetType === 'PROJECT') {
+    if (REMOVABLE_PROJECT_STATUSES.includes(target.status)) {
+      await transitionProject(target, 'CANCELLED', { user: moderator, reason: note, action: 'PROJECT_REMOVED' });
+    }
+  } else if (target.verificationStatus !== 'REJECTED') {
+    await reviewOrganization(target, moderator, { decision: 'REJECT', reason: note });
+  }
+};
+
+// Remove the reported content (closing every open report about it) or dismiss the report
+const resolveReport = async (report, moderator, { decision, note }) => {
+  if (report.status !== 'OPEN') {
+    throw new AppError('This report has already been handled', 400);
+  }
+
+  const removed = decision === 'REMOVE';
+  if (removed) {
+    await takeDown(report, moderator, note);
+  }
+
+  const where = removed
+    ? { targetType: report.targetType, targetId: report.targetId, status: 'OPEN' }
+    : { id: report.id };
+  const handled = await prisma.contentReport.findMany({ where });
+
+  await prisma.$transaction(async (tx) => {
+    await tx.contentReport.updateMany({
+      where: { id: { in: handled.map(r => r.id) } },
+      data: {
+        status: removed ? 'RESOLVED' : 'DISMISSED',
+        resolutionNote: note || null,
+        resolvedById: moderator.id,
+        resolvedAt: new Date()
+      }
+    });
+
+    await recordModeration(tx, {
+      moderatorId: moderator.id,
+      action: removed ? 'REPORT_RESOLVED' : 'REPORT_DISMISSED',
+      entityType: REPORT_ENTITY,
+      entityId: report.id,
+      details: {
+        targetType: report.targetType,
+        targetId: report.targetId,
+        note: note || null,
+        reportIds: handled.map(r => r.id)
+      }
+    });
+  });
+
+  for (const reporterId of new Set(handled.map(r => r.reporterId))) {
+    await sendNotification({
+      userId: reporterId,
+      type: 'REPORT_RESOLVED',
+      title: 'Your Report Was Reviewed',
+      message: removed
+        ? 'Thank you for your report. The content has been taken down.'
+        : 'Thank you for your report. A moderator reviewed it and found no violation.',
+      data: { reportId: report.id }
+    });
+  }
+
+  return prisma.contentReport.findUnique({ where: { id: report.id } });
+};
+
+// Give an account another role. Government accounts are vetted, so only administrators assign that role.
+const changeUserRole = async (user, moderator, { role, reason }) => {
+  if (user.role === 'ADMIN') {
+    throw new AppError('Administrator accounts cannot be changed', 400);
+  }
+  if (user.role === role) {
+    throw new AppError(`This account already has the ${role} role`, 400);
+  }
+  if (role === 'VOLUNTEER' && user.organizationMembership) {
+    throw new AppError('Members of an organization cannot become volunteers. Remove them from the organization first.', 400);
+  }
+
+  const updated = await prisma.$transaction(async (tx) => {
+    const result = await tx.user.update({
+      where: { id: user.id },
+      data: { role },
+      select: { id: true, firstname: true, lastname: true, email: true, role: true }
+    });
+
+    await recordModeration(tx, {
+      moderatorId: moderator.id,
+      action: 'USER_ROLE_CHANGED',
+      entityType: USER_ENTITY,
+      entityId: user.id,
+      details: { from: user.role, to: role, reason: reason || null }
+    });
+
+    return result;
+  });
+
+  await sendNotification({
+    userId: user.id,
+    type: 'ROLE_CHANGED',
+    title: 'Account Type Changed',
+    message: `Your account is now a ${role.toLowerCase()} account.${reason ? ` Reason: ${reason}` : ''}`,
+    data: { from: user.role, to: role }
+  });
+
+  return updated;
+};
+
+module.exports = {
+  MODERATION_ACTIONS,
+  ORGANIZATION_ENTITY,
+  PROJECT_ENTITY,
+  REPORT_ENTITY,
+  USER_ENTITY,
+  getQueueSummary,
+  reviewOrganization,
+  reviewProject,
+  fileReport,
+  resolveReport,
+  changeUserRole
+};
@@ -0,0 +1,84 @@
+// src/services/ngoClaimService.js
+// Claiming NGO records for organization profiles. Any organization account can ask for an NGO record, so
+// the claim waits until an admin verifies the organization; only then does the organization take the NGO
+// and its projects over.
+const { PrismaClient } = require('@prisma/client');
+const { AppError } = require('../utils/appError');
+
+const prisma = new PrismaClient();
+
+// An NGO record can belong to one organization profile only. NGOs carried over from before organization
+// accounts have a profile nobody owns yet; it is returned so the claimant can take its place.
+const assertClaimableNgo = async (ngoId, organizationId = null, client = prisma) => {
+  const ngo = await client.nGO.findUnique({
+    where: { id: ngoId },
+    include: {
+      organizationProfile: {
+        select: { id: true, userId: true, _count: { select: { members: true } } }
+      }
+    }
+  });
+
+  if (!ngo) {
+    throw new AppError('NGO not found', 404);
+  }
+
+  const profile = ngo.organizationProfile;
+  if (!profile || profile.id === organizationId) return null;
+  if (profile.userId === null && profile._count.members === 0) return profile;
+
+  throw new AppError('This NGO is already linked to another organization profile', 409);
+};
+
+// Link a newly verified organization to the NGO it claimed. The NGO's ownerless profile gives way with its
+// projects, and the NGO's projects no organization runs come along, except ones created by accounts outside
+// the organization. Resolves with false when another organization got the NGO first and the claim is dropped.
+const completeNgoClaim = async (tx, organization) => {
+  const ngoId = organization.claimedNgoId;
+
+  let legacyProfile;
+  try {
+    legacyProfile = await assertClaimableNgo(ngoId, organization.id, tx);
+  } catch (error) {
+    if (!(error instanceof AppError)) throw error;
+
+    await tx.organizationProfile.update({
+      where: { id: organization.id },
+      data: { claimedNgoId: null }
+    });
+    return false;
+  }
+
+  if (legacyProfile) {
+    await tx.project.updateMany({
+      where: { organizationId: legacyProfile.id },
+      data: { organizationId: organization.id }
+    });
+    await tx.organizationProfile.delete({ where: { id: legacyProfile.id } });
+  }
+
+  await tx.organizationProfile.update({
+    where: { id: organization.id },
+    data: { ngoId, claimedNgoId: null }
+  });
+
+  const members = await tx.organizationMember.findMany({
+    where: { organizationId: organization.id },
+    select: { userId: true }
+  });
+  await tx.project.updateMany({
+    where: {
+      ngoId,
+      organizationId: null,
+      OR: [{ creatorId: null }, { creatorId: { in: members.map(member => member.userId) } }]
+    },
+    data: { organizationId: organization.id }
+  });
+
+  return true;
+};
+
+module.exports = {
+  assertClaimableNgo,
+  completeNgoClaim
+};
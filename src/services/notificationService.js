@@ -0,0 +1,30 @@
+// src/services/notificationService.js
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+// Store a notification in the user's inbox.
+// Failures are logged rather than thrown so they never break the action that triggered them.
+const sendNotification = async ({ userId, type, title, message, data }) => {
+  try {
+    return await prisma.notification.create({
+      data: {
+        userId: parseInt(userId),
+        type,
+        title,
+        message,
+        data: data || undefined
+      }
+    });
+  } catch (error) {
+    console.error('Error sending notification:', error);
+    return null;
+  }
+};
+
+// Number of unread notifications for a user
+const getUnreadCount = (userId) => prisma.notification.count({
+  where: { userId: parseInt(userId), isRead: false }
+});
+
+module.exports = { sendNotification, getUnreadCount };
@@ -0,0 +1,118 @@
+// src/services/organizationAccessService.js
+// Organization teams: what each member role may do, and who may manage a project. Projects belong to an
+// organization, so any member with the right role can run them; projects created outside an organization
+// stay with their creator.
+const { PrismaClient } = require('@prisma/client');
+const { AppError } = require('../utils/appError');
+
+const prisma = new PrismaClient();
+
+// What a member can do
+const PERMISSIONS = {
+  // Edit the organization profile and its verification documents
+  MANAGE_ORGANIZATION: 'MANAGE_ORGANIZATION',
+  // Invite, promote and remove members; delete the organization
+  MANAGE_MEMBERS: 'MANAGE_MEMBERS',
+  // Create, edit, delete and change the status of projects, and run their events
+  MANAGE_PROJECTS: 'MANAGE_PROJECTS',
+  // See and respond to applications, review logged hours and see project statistics
+  REVIEW_VOLUNTEERS: 'REVIEW_VOLUNTEERS'
+};
+
+const ROLE_PERMISSIONS = {
+  OWNER: Object.values(PERMISSIONS),
+  MANAGER: [PERMISSIONS.MANAGE_ORGANIZATION, PERMISSIONS.MANAGE_PROJECTS, PERMISSIONS.REVIEW_VOLUNTEERS],
+  REVIEWER: [PERMISSIONS.REVIEW_VOLUNTEERS]
+};
+
+const roleHas = (role, permission) => Boolean(role) && ROLE_PERMISSIONS[role].includes(permission);
+
+const rolesWith = (permission) => Object.keys(ROLE_PERMISSIONS).filter(role => roleHas(role, permission));
+
+// The organization a user belongs to, with their role in it
+const findMembership = (userId) => prisma.organizationMember.findUnique({
+  where: { userId },
+  include: { organization: true }
+});
+
+// Membership of a user who must be allowed to do something in their organization
+const requireMembership = async (userId, permission) => {
+  const membership = await findMembership(userId);
+
+  if (!membership) {
+    throw new AppError('You are not a member of an organization', 404);
+  }
+  if (permission && !roleHas(membership.role, permission)) {
+    throw new AppError(`Your role (${membership.role}) does not allow this`, 403);
+  }
+  return membership;
+};
+
+// An organization always keeps at least one owner
+const assertAnotherOwner = async (member,
+  message = 'An organization needs at least one owner. Make someone else an owner first.') => {
+  const owners = await prisma.organizationMember.count({
+    where: { organizationId: member.organizationId, role: 'OWNER' }
+  });
+
+  if (owners <= 1) {
+    throw new AppError(message, 400);
+  }
+};
+
+// A user's role on a project's team: their role in the project's organization, or OWNER for the
+// creator of a project that has no organization. Admins are not part of any team.
+const teamRole = async (project, user) => {
+  if (!user) return null;
+
+  if (!project.organizationId) {
+    return project.creatorId === user.id ? 'OWNER' : null;
+  }
+
+  const membership = await prisma.organizationMember.findUnique({ where: { userId: user.id } });
+  return membership && membership.organizationId === project.organizationId ? membership.role : null;
+};
+
+// Whether a user may do something on a project, as a team member or as an admin
+const canOnProject = async (project, user, permission) => {
+  if (!user) return false;
+  if (user.role === 'ADMIN') return true;
+  return roleHas(await teamRole(project, user), permission);
+};
+
+const assertProjectPermission = async (project, user, permission, message = 'Access denied') => {
+  if (!await canOnProject(project, user, permission)) {
+    throw new AppError(message, 403);
+  }
+};
+
+// Members of an organization whose role has a permission
+const organizationMemberIds = async (organizationId, permission) => {
+  const members = await prisma.organizationMember.findMany({
+    where: { organizationId, role: { in: rolesWith(permission) } },
+    select: { userId: true }
+  });
+  return members.map(member => member.userId);
+};
+
+// Users to notify about a project: its team members with a permission, or its creator
+const projectTeamIds = async (project, permission) => {
+  if (project.organizationId) {
+    return organizationMemberIds(project.organizationId, permission);
+  }
+  return project.creatorId ? [project.creatorId] : [];
+};
+
+module.exports = {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  roleHas,
+  findMembership,
+  requireMembership,
+  assertAnotherOwner,
+  teamRole,
+  canOnProject,
+  assertProjectPermission,
+  organizationMemberIds,
+  projectTeamIds
+};
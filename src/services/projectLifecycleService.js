@@ -0,0 +1,304 @@
+// src/services/projectLifecycleService.js
+// Project lifecycle: DRAFT -> PENDING_REVIEW -> ACTIVE <-> FULL -> COMPLETED, with CANCELLED reachable
+// until the project is over. The project's team and admins move projects by hand; capacity and end dates move them
+// automatically. Every transition is logged and notified.
+const { PrismaClient } = require('@prisma/client');
+const { AppError } = require('../utils/appError');
+const { sendNotification } = require('./notificationService');
+const { sendEmail } = require('./emailService');
+const aiService = require('./aiService');
+const { PERMISSIONS, roleHas, teamRole, projectTeamIds } = require('./organizationAccessService');
+
+const prisma = new PrismaClient();
+
+// ActivityLog entity type used for project status changes
+const PROJECT_ENTITY = 'PROJECT';
+
+// Who may make a transition: the project's team (members who manage projects), an administrator,
+// or the scheduler
+const TEAM = 'TEAM';
+const ADMIN = 'ADMIN';
+const SYSTEM = 'SYSTEM';
+
+// Permitted transitions: from status -> to status -> actors allowed to make it
+const TRANSITIONS = {
+  DRAFT: {
+    PENDING_REVIEW: [TEAM],
+    CANCELLED: [TEAM, ADMIN]
+  },
+  PENDING_REVIEW: {
+    ACTIVE: [ADMIN],
+    DRAFT: [TEAM, ADMIN],
+    CANCELLED: [TEAM, ADMIN]
+  },
+  ACTIVE: {
+    FULL: [SYSTEM],
+    COMPLETED: [TEAM, ADMIN, SYSTEM],
+    CANCELLED: [TEAM, ADMIN]
+  },
+  FULL: {
+    ACTIVE: [SYSTEM],
+    COMPLETED: [TEAM, ADMIN, SYSTEM],
+    CANCELLED: [TEAM, ADMIN]
+  },
+  COMPLETED: {},
+  CANCELLED: {}
+};
+
+// Statuses anyone can see; drafts and projects under review are visible to their team and admins only
+const PUBLIC_STATUSES = ['ACTIVE', 'FULL', 'COMPLETED', 'CANCELLED'];
+
+// Statuses in which the number of accepted volunteers decides between ACTIVE and FULL
+const OPEN_STATUSES = ['ACTIVE', 'FULL'];
+
+const isPublicStatus = (status) => PUBLIC_STATUSES.includes(status);
+
+// Actors a user counts as for a project
+const actorsFor = async (project, user) => {
+  if (!user) return [SYSTEM];
+  const actors = [];
+  if (roleHas(await teamRole(project, user), PERMISSIONS.MANAGE_PROJECTS)) actors.push(TEAM);
+  if (user.role === 'ADMIN') actors.push(ADMIN);
+  return actors;
+};
+
+const canTransition = (project, status, actors) =>
+  (TRANSITIONS[project.status][status] || []).some(actor => actors.includes(actor));
+
+// Statuses a user may move a project to from its current status
+const allowedTransitions = async (project, user) => {
+  const actors = await actorsFor(project, user);
+  return Object.keys(TRANSITIONS[project.status]).filter(status => canTransition(project, status, actors));
+};
+
+const uniqueIds = (ids) => [...new Set(ids.filter(Boolean))];
+
+// Volunteers whose application to the project is still open or accepted
+const applicantIds = async (projectId, statuses) => {
+  const applications = await prisma.application.findMany({
+    where: { projectId, status: { in: statuses } },
+    select: { volunteerId: true }
+  });
+  return applications.map(application => application.volunteerId);
+};
+
+// Tell the best-matching volunteers about a project that just went live
+const notifyMatchingVolunteers = async (project) => {
+  try {
+    const potentialVolunteers = await aiService.recommendVolunteers(project.id, 20);
+
+    for (const match of potentialVolunteers.slice(0, 5)) {
+      await sendNotification({
+        userId: match.volunteer.userId,
+        type: 'NEW_PROJECT_MATCH',
+        title: 'New Project Match!',
+        message: `A new project "${project.title}" matches your skills and interests!`,
+        data: {
+          projectId: project.id,
+          matchScore: Math.round(match.score)
+        }
+      });
+    }
+  } catch (error) {
+    // Matching is best effort and must not undo the transition
+    console.error('Error notifying volunteers:', error);
+  }
+};
+
+// Email volunteers that a project they applied to was cancelled
+const emailCancellation = async (project, volunteerIds, reason) => {
+  const volunteers = await prisma.user.findMany({
+    where: { id: { in: uniqueIds(volunteerIds) } },
+    select: { email: true, firstname: true }
+  });
+
+  for (const volunteer of volunteers) {
+    // Like notifications, a failed email must not undo the cancellation
+    try {
+      await sendEmail({
+        to: volunteer.email,
+        template: 'project-cancelled',
+        context: { name: volunteer.firstname, projectTitle: project.title, reason }
+      });
+    } catch (error) {
+      console.error('Error sending cancellation email:', error);
+    }
+  }
+};
+
+// Notify everyone concerned by a transition, except the user who made it
+const notifyTransition = async (project, from, actor, reason) => {
+  const note = reason ? ` Reason: ${reason}` : '';
+  const notify = async (userIds, title, message) => {
+    for (const userId of uniqueIds(userIds).filter(id => id !== actor?.id)) {
+      await sendNotification({
+        userId,
+        type: 'PROJECT_STATUS_CHANGED',
+        title,
+        message,
+        data: { projectId: project.id, from, to: project.status }
+      });
+    }
+  };
+
+  const team = await projectTeamIds(project, PERMISSIONS.MANAGE_PROJECTS);
+
+  switch (project.status) {
+    case 'PENDING_REVIEW': {
+      const admins = await prisma.user.findMany({ where: { role: 'ADMIN' }, select: { id: true } });
+      await notify(admins.map(admin => admin.id), 'Project Awaiting Review',
+        `The project "${project.title}" has been submitted for review.`);
+      break;
+    }
+    case 'DRAFT':
+      await notify(team, 'Project Returned to Draft',
+        `Your project "${project.title}" has been returned to draft.${note}`);
+      break;
+    case 'ACTIVE':
+      if (from === 'PENDING_REVIEW') {
+        await notify(team, 'Project Approved',
+          `Your project "${project.title}" is now live and accepting applications.`);
+        await notifyMatchingVolunteers(project);
+      } else {
+        await notify(team, 'Project Reopened',
+          `A place opened up on "${project.title}", so it is accepting applications again.`);
+      }
+      break;
+    case 'FULL':
+      await notify(team, 'Project Full',
+        `Your project "${project.title}" has reached its target of ${project.volunteersNeeded} volunteer(s) and no longer accepts applications.`);
+      break;
+    case 'COMPLETED':
+      await notify(team, 'Project Completed',
+        `Your project "${project.title}" has been marked as completed.`);
+      await notify(await applicantIds(project.id, ['ACCEPTED']), 'Project Completed',
+        `"${project.title}" has been completed. Thank you for volunteering!`);
+      break;
+    case 'CANCELLED': {
+      const applicants = await applicantIds(project.id, ['PENDING', 'ACCEPTED', 'WAITLISTED']);
+      await notify([...team, ...applicants], 'Project Cancelled',
+        `The project "${project.title}" has been cancelled.${note}`);
+      await emailCancellation(project, applicants, reason);
+      break;
+    }
+    default:
+      break;
+  }
+};
+
+// Only projects of verified organizations go live, so unvetted NGOs can't collect volunteer data
+const assertOrganizationVerified = async (project) => {
+  const organization = project.organizationId
+    ? await prisma.organizationProfile.findUnique({ where: { id: project.organizationId } })
+    : null;
+
+  if (!organization || organization.verificationStatus !== 'APPROVED') {
+    throw new AppError('The organization behind this project has not been verified yet', 400);
+  }
+};
+
+// Move a project to a new status on behalf of a user, or of the scheduler when no user is given.
+// `action` names the change in the activity log (e.g. PROJECT_APPROVED for moderation decisions).
+const transitionProject = async (project, status, { user = null, reason = null, action = 'STATUS_CHANGED' } = {}) => {
+  const from = project.status;
+
+  if (!(status in TRANSITIONS[from])) {
+    throw new AppError(`A ${from} project cannot be moved to ${status}`, 400);
+  }
+  if (!canTransition(project, status, await actorsFor(project, user))) {
+    throw new AppError(`You are not allowed to move this project from ${from} to ${status}`, 403);
+  }
+  if (from === 'PENDING_REVIEW' && status === 'ACTIVE') {
+    await assertOrganizationVerified(project);
+  }
+
+  // Only update if nobody changed the status in the meantime
+  await prisma.$transaction(async (tx) => {
+    const { count } = await tx.project.updateMany({
+      where: { id: project.id, status: from },
+      data: { status }
+    });
+    if (count === 0) {
+      throw new AppError('The project status has changed in the meantime. Please reload and try again.', 409);
+    }
+
+    await tx.activityLog.create({
+      data: {
+        userId: user ? user.id : null,
+        action,
+        entityType: PROJECT_ENTITY,
+        entityId: String(project.id),
+        details: { from, to: status, reason: reason || null, automatic: !user }
+      }
+    });
+  });
+
+  const updated = { ...project, status };
+  await notifyTransition(updated, from, user, reason);
+  return updated;
+};
+
+// ACTIVE or FULL, depending on whether accepted applications have reached volunteersNeeded
+const capacityStatus = (project, acceptedCount) =>
+  acceptedCount >= project.volunteersNeeded ? 'FULL' : 'ACTIVE';
+
+// Move a project between ACTIVE and FULL after its applications or capacity changed
+const syncProjectCapacity = async (projectId) => {
+  const project = await prisma.project.findUnique({ where: { id: projectId } });
+  if (!project || !OPEN_STATUSES.includes(project.status)) return project;
+
+  const accepted = await prisma.application.count({ where: { projectId, status: 'ACCEPTED' } });
+  const status = capacityStatus(project, accepted);
+  return status === project.status ? project : transitionProject(project, status);
+};
+
+// Scheduled job: complete projects whose end date has passed and fix up ACTIVE/FULL from capacity
+const syncProjectStatuses = async (now = new Date()) => {
+  const counts = { completed: 0, full: 0, reopened: 0 };
+
+  const run = async (project, status) => {
+    try {
+      await transitionProject(project, status);
+      return true;
+    } catch (error) {
+      // Someone else moved the project first; the next run sees its new status
+      if (error.statusCode === 409) return false;
+      throw error;
+    }
+  };
+
+  const ended = await prisma.project.findMany({
+    where: { status: { in: OPEN_STATUSES }, endDate: { lte: now } }
+  });
+  for (const project of ended) {
+    if (await run(project, 'COMPLETED')) counts.completed++;
+  }
+
+  const running = await prisma.project.findMany({
+    where: {
+      status: { in: OPEN_STATUSES },
+      OR: [{ endDate: null }, { endDate: { gt: now } }]
+    },
+    include: {
+      _count: { select: { applications: { where: { status: 'ACCEPTED' } } } }
+    }
+  });
+  for (const { _count, ...project } of running) {
+    const status = capacityStatus(project, _count.applications);
+    if (status === project.status) continue;
+    if (await run(project, status)) counts[status === 'FULL' ? 'full' : 'reopened']++;
+  }
+
+  return counts;
+};
+
+module.exports = {
+  PROJECT_ENTITY,
+  PUBLIC_STATUSES,
+  OPEN_STATUSES,
+  isPublicStatus,
+  allowedTransitions,
+  transitionProject,
+  syncProjectCapacity,
+  syncProjectStatuses
+};
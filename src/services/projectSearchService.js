@@ -0,0 +1,204 @@
+// src/services/projectSearchService.js
+// Project search in SQL: full-text matching and ranking, filters, radius and bounding-box queries,
+// distance sorting and facet counts all run in the database.
+const { PrismaClient, Prisma } = require('@prisma/client');
+const { AppError } = require('../utils/appError');
+
+const prisma = new PrismaClient();
+
+const EARTH_RADIUS_KM = 6371;
+const KM_PER_DEGREE = 111.045;
+
+// Escape LIKE wildcards so user input only matches literally
+const likePattern = (value) => `%${value.replace(/[\\%_]/g, '\\$&')}%`;
+
+// Maximum number of values returned per facet
+const FACET_LIMIT = 20;
+
+// Trigram word similarity above which a title counts as a typo-tolerant match ("clnic" vs "clinic" is 0.44)
+const TYPO_SIMILARITY = 0.4;
+
+// Search terms as a tsquery matching English or French stems or the unstemmed words (e.g. Kinyarwanda)
+const tsQuerySql = (search) => Prisma.sql`(websearch_to_tsquery('english', ${search})
+  || websearch_to_tsquery('french', ${search})
+  || websearch_to_tsquery('simple', ${search}))`;
+
+// Short text compared by trigram similarity: title, category and tags
+const keywordTextSql = Prisma.sql`(p."title" || ' ' || p."category" || ' ' || array_to_string(p."tags", ' '))`;
+
+// Full-text match, or a close trigram match on the keywords so typos ("volunter") still find projects
+const matchesSearch = (search) => Prisma.sql`(p."searchVector" @@ ${tsQuerySql(search)}
+  OR word_similarity(${search}, ${keywordTextSql}) >= ${TYPO_SIMILARITY}::float4)`;
+
+// Weighted full-text rank plus keyword similarity (as float8 so cursor values compare exactly)
+const relevanceSql = (search) => Prisma.sql`(ts_rank_cd(p."searchVector", ${tsQuerySql(search)}, 32)
+  + word_similarity(${search}, ${keywordTextSql}))::float8`;
+
+// Great-circle distance in km between the origin and a project's coordinates (haversine).
+// NULL for projects without coordinates (LEAST would otherwise turn NULL into 1).
+const distanceSql = ({ latitude, longitude }) => Prisma.sql`(CASE
+  WHEN p."latitude" IS NULL OR p."longitude" IS NULL THEN NULL
+  ELSE ${EARTH_RADIUS_KM}::float8 * 2 * ASIN(LEAST(1, SQRT(
+    POWER(SIN(RADIANS(p."latitude" - ${latitude}::float8) / 2), 2)
+    + COS(RADIANS(${latitude}::float8)) * COS(RADIANS(p."latitude"))
+    * POWER(SIN(RADIANS(p."longitude" - ${longitude}::float8) / 2), 2)
+  )))
+END)`;
+
+// Box around the origin that contains the whole radius, so the coordinate index can narrow rows first
+const boundingBoxAround = ({ latitude, longitude }, radiusKm) => {
+  const latDelta = radiusKm / KM_PER_DEGREE;
+  const lngDelta = radiusKm / (KM_PER_DEGREE * Math.max(Math.cos(latitude * Math.PI / 180), 0.01));
+  return {
+    minLat: latitude - latDelta,
+    maxLat: latitude + latDelta,
+    minLng: longitude - lngDelta,
+    maxLng: longitude + lngDelta
+  };
+};
+
+const withinBox = ({ minLat, maxLat, minLng, maxLng }) => Prisma.sql`p."latitude" BETWEEN ${minLat}::float8 AND ${maxLat}::float8
+  AND p."longitude" BETWEEN ${minLng}::float8 AND ${maxLng}::float8`;
+
+const buildConditions = ({ status, category, location, search, skillIds, origin, radius, bbox }) => {
+  const conditions = [Prisma.sql`p."status" = ${status}::"ProjectStatus"`];
+
+  if (category) {
+    conditions.push(Prisma.sql`p."category" ILIKE ${likePattern(category)}`);
+  }
+
+  if (location) {
+    conditions.push(Prisma.sql`p."location" ILIKE ${likePattern(location)}`);
+  }
+
+  if (search) {
+    conditions.push(matchesSearch(search));
+  }
+
+  if (skillIds && skillIds.length > 0) {
+    conditions.push(Prisma.sql`EXISTS (
+      SELECT 1 FROM "ProjectSkill" ps WHERE ps."projectId" = p."id" AND ps."skillId" IN (${Prisma.join(skillIds)})
+    )`);
+  }
+
+  // Projects without coordinates can't be placed inside a radius or box, so they are left out
+  if (origin && radius) {
+    conditions.push(withinBox(boundingBoxAround(origin, radius)));
+    conditions.push(Prisma.sql`${distanceSql(origin)} <= ${radius}::float8`);
+  }
+
+  if (bbox) {
+    conditions.push(withinBox(bbox));
+  }
+
+  return Prisma.join(conditions, ' AND ');
+};
+
+// Sort fields holding timestamps, whose cursor values come back as ISO strings
+const DATE_SORT_FIELDS = ['createdAt', 'startDate', 'endDate'];
+
+// SQL expression of the sort key; sortBy is validated against a whitelist, so it is safe as an identifier
+const sortKeySql = ({ sortBy, origin, search }) => {
+  if (sortBy === 'distance') return distanceSql(origin);
+  if (sortBy === 'relevance') return relevanceSql(search);
+  return Prisma.sql`p.${Prisma.raw(`"${sortBy}"`)}`;
+};
+
+// A cursor value as a typed SQL parameter
+const cursorValueSql = (sortBy, value) => {
+  if (DATE_SORT_FIELDS.includes(sortBy)) {
+    if (Number.isNaN(Date.parse(value))) {
+      throw new AppError('Invalid cursor', 400);
+    }
+    // Timestamps are stored in UTC; the zone suffix of the ISO string is ignored by ::timestamp
+    return Prisma.sql`${value}::timestamp`;
+  }
+  if (sortBy === 'priority') return Prisma.sql`${value}::"Priority"`;
+  if (['distance', 'relevance'].includes(sortBy)) return Prisma.sql`${value}::float8`;
+  return Prisma.sql`${value}`;
+};
+
+// Rows after the cursor in ORDER BY key <direction> NULLS LAST, id ASC
+const afterCursorSql = ({ sortBy, sortOrder }, sortKey, cursor) => {
+  if (cursor.value === null) {
+    return Prisma.sql`(${sortKey} IS NULL AND p."id" > ${cursor.id})`;
+  }
+  const value = cursorValueSql(sortBy, cursor.value);
+  const comparison = Prisma.raw(sortOrder === 'asc' ? '>' : '<');
+  return Prisma.sql`(${sortKey} ${comparison} ${value}
+    OR (${sortKey} = ${value} AND p."id" > ${cursor.id})
+    OR ${sortKey} IS NULL)`;
+};
+
+// Find a batch of project IDs with their sort value (plus distance from origin and search relevance,
+// if given), starting at an offset or after a cursor, and optionally the total number of matches
+const searchProjects = async ({
+  filters, origin, radius, bbox, sortBy, sortOrder, skip = 0, take, cursor, includeCount = true
+}) => {
+  const where = buildConditions({ ...filters, origin, radius, bbox });
+  const distance = origin ? distanceSql(origin) : Prisma.sql`NULL::float8`;
+  const relevance = filters.search ? relevanceSql(filters.search) : Prisma.sql`NULL::float8`;
+  const sortKey = sortKeySql({ sortBy, origin, search: filters.search });
+  const direction = Prisma.raw(sortOrder === 'asc' ? 'ASC' : 'DESC');
+  const pageWhere = cursor
+    ? Prisma.sql`${where} AND ${afterCursorSql({ sortBy, sortOrder }, sortKey, cursor)}`
+    : where;
+
+  const [rows, countRows] = await Promise.all([
+    prisma.$queryRaw`
+      SELECT p."id", ${sortKey} AS "sortValue", ${distance} AS "distance", ${relevance} AS "relevance"
+      FROM "Project" p
+      WHERE ${pageWhere}
+      ORDER BY ${sortKey} ${direction} NULLS LAST, p."id" ASC
+      LIMIT ${take} OFFSET ${cursor ? 0 : skip}
+    `,
+    includeCount ? prisma.$queryRaw`SELECT COUNT(*)::int AS "count" FROM "Project" p WHERE ${where}` : null
+  ]);
+
+  return { results: rows, total: countRows ? countRows[0].count : null };
+};
+
+// Match counts per category, location, priority and skill for the same search
+const searchFacets = async ({ filters, origin, radius, bbox }) => {
+  const where = buildConditions({ ...filters, origin, radius, bbox });
+
+  const [categories, locations, priorities, skills] = await Promise.all([
+    prisma.$queryRaw`
+      SELECT p."category" AS "value", COUNT(*)::int AS "count"
+      FROM "Project" p
+      WHERE ${where}
+      GROUP BY p."category"
+      ORDER BY "count" DESC, "value" ASC
+      LIMIT ${FACET_LIMIT}
+    `,
+    prisma.$queryRaw`
+      SELECT TRIM(p."location") AS "value", COUNT(*)::int AS "count"
+      FROM "Project" p
+      WHERE ${where} AND p."location" IS NOT NULL
+      GROUP BY TRIM(p."location")
+      ORDER BY "count" DESC, "value" ASC
+      LIMIT ${FACET_LIMIT}
+    `,
+    prisma.$queryRaw`
+      SELECT p."priority"::text AS "value", COUNT(*)::int AS "count"
+      FROM "Project" p
+      WHERE ${where}
+      GROUP BY p."priority"
+      ORDER BY p."priority" DESC
+    `,
+    prisma.$queryRaw`
+      SELECT s."id", s."name" AS "value", COUNT(DISTINCT p."id")::int AS "count"
+      FROM "Project" p
+      JOIN "ProjectSkill" ps ON ps."projectId" = p."id"
+      JOIN "Skill" s ON s."id" = ps."skillId"
+      WHERE ${where}
+      GROUP BY s."id", s."name"
+      ORDER BY "count" DESC, "value" ASC
+      LIMIT ${FACET_LIMIT}
+    `
+  ]);
+
+  return { categories, locations, priorities, skills };
+};
+
+module.exports = { searchProjects, searchFacets };
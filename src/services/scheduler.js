@@ -0,0 +1,40 @@
+// src/services/scheduler.js
+// Minimal in-process scheduler: each job runs on a fixed interval, never overlapping with itself.
+const jobs = new Map();
+
+// Register a job; it starts running when startScheduler() is called
+const registerJob = (name, intervalMs, run) => {
+  jobs.set(name, { name, intervalMs, run, timer: null, running: false });
+};
+
+const runJob = async (job) => {
+  if (job.running) return;
+  job.running = true;
+  try {
+    await job.run();
+  } catch (error) {
+    console.error(`Scheduled job "${job.name}" failed:`, error);
+  } finally {
+    job.running = false;
+  }
+};
+
+// Run every registered job once now, then on its interval
+const startScheduler = () => {
+  for (const job of jobs.values()) {
+    if (job.timer) continue;
+    job.timer = setInterval(() => runJob(job), job.intervalMs);
+    // Don't keep the process alive just for scheduled jobs
+    job.timer.unref();
+    runJob(job);
+  }
+};
+
+const stopScheduler = () => {
+  for (const job of jobs.values()) {
+    clearInterval(job.timer);
+    job.timer = null;
+  }
+};
+
+module.exports = { registerJob, startScheduler, stopScheduler };
@@ -0,0 +1,265 @@
+// src/services/screeningService.js
+// Screening questions: projects ask applicants yes/no, multiple choice, short text or file upload questions,
+// and their team filters applications on the answers.
+const { PrismaClient } = require('@prisma/client');
+const { AppError } = require('../utils/appError');
+const { uploadDocument, deleteDocuments } = require('./uploadService');
+
+const prisma = new PrismaClient();
+
+// Longest short text answer, in characters
+const MAX_SHORT_TEXT_LENGTH = 500;
+
+// Multipart field a file answer is uploaded under, e.g. "question-12"
+const FILE_FIELD_PREFIX = 'question-';
+
+const YES = ['yes', 'true'];
+const NO = ['no', 'false'];
+
+const isBlank = (value) => value === undefined || value === null ||
+  (typeof value === 'string' && value.trim() === '') || (Array.isArray(value) && value.length === 0);
+
+// "yes"/"no" (or booleans) to a boolean, undefined when it is neither
+const toBoolean = (value) => {
+  if (typeof value === 'boolean') return value;
+  const text = String(value).trim().toLowerCase();
+  if (YES.includes(text)) return true;
+  if (NO.includes(text)) return false;
+  return undefined;
+};
+
+// The option as the project spelled it, matched regardless of case
+const findOption = (question, value) =>
+  question.options.find(option => option.toLowerCase() === String(value).trim().toLowerCase());
+
+const questionError = (question, message) => ({ field: `answers.${question.id}`, message });
+
+const questionsOf = (projectId) => prisma.screeningQuestion.findMany({
+  where: { projectId },
+  orderBy: { position: 'asc' }
+});
+
+// Replace a project's questions. Questions sent with an id are updated in place (their type is fixed once
+// created); questions left out are deleted together with their answers.
+const saveQuestions = async (projectId, questions) => {
+  const existing = await questionsOf(projectId);
+  const existingById = new Map(existing.map(question => [question.id, question]));
+
+  for (const question of questions) {
+    if (question.id === undefined) continue;
+
+    const current = existingById.get(question.id);
+    if (!current) {
+      throw new AppError(`Question ${question.id} does not belong to this project`, 400);
+    }
+    if (current.type !== question.type) {
+      throw new AppError(`The type of question ${question.id} cannot be changed. Remove it and add a new question instead.`, 400);
+    }
+  }
+
+  const keptIds = questions.filter(question => question.id !== undefined).map(question => question.id);
+  const removedIds = existing.filter(question => !keptIds.includes(question.id)).map(question => question.id);
+  const removedFiles = await answerFileUrls({ questionId: { in: removedIds } });
+
+  const saved = await prisma.$transaction(async (tx) => {
+    await tx.screeningQuestion.deleteMany({ where: { id: { in: removedIds } } });
+
+    const result = [];
+    for (const [position, { id, ...fields }] of questions.entries()) {
+      const data = {
+        ...fields,
+        options: fields.type === 'MULTIPLE_CHOICE' ? fields.options : [],
+        allowMultiple: fields.type === 'MULTIPLE_CHOICE' && Boolean(fields.allowMultiple),
+        position
+      };
+
+      result.push(id === undefined
+        ? await tx.screeningQuestion.create({ data: { ...data, projectId } })
+        : await tx.screeningQuestion.update({ where: { id }, data }));
+    }
+    return result;
+  });
+
+  await deleteDocuments(removedFiles);
+  return saved;
+};
+
+// Check an application's answers against the project's questions. answers is [{ questionId, value }] and
+// files are the uploaded files, one per FILE_UPLOAD question under "question-<id>". Resolves with the answer
+// rows to create (file answers still carry the multer file), or fails with every problem found.
+const parseAnswers = (questions, answers = [], files = []) => {
+  const errors = [];
+  const questionsById = new Map(questions.map(question => [question.id, question]));
+  const answersById = new Map();
+  const filesById = new Map();
+
+  for (const answer of answers) {
+    if (!questionsById.has(answer.questionId)) {
+      errors.push({ field: `answers.${answer.questionId}`, message: 'This project has no such question' });
+    } else if (answersById.has(answer.questionId)) {
+      errors.push({ field: `answers.${answer.questionId}`, message: 'Answer each question only once' });
+    } else {
+      answersById.set(answer.questionId, answer.value);
+    }
+  }
+
+  for (const file of files) {
+    const questionId = file.fieldname.startsWith(FILE_FIELD_PREFIX)
+      ? Number(file.fieldname.slice(FILE_FIELD_PREFIX.length))
+      : NaN;
+    const question = questionsById.get(questionId);
+
+    if (!question || question.type !== 'FILE_UPLOAD') {
+      errors.push({ field: file.fieldname, message: 'Files can only be uploaded for file upload questions, as question-<questionId>' });
+    } else if (filesById.has(questionId)) {
+      errors.push(questionError(question, 'Upload one file per question'));
+    } else {
+      filesById.set(questionId, file);
+    }
+  }
+
+  const rows = [];
+  for (const question of questions) {
+    const value = answersById.get(question.id);
+    const file = filesById.get(question.id);
+
+    if (question.type === 'FILE_UPLOAD') {
+      if (!isBlank(value)) {
+        errors.push(questionError(question, `Upload the file as ${FILE_FIELD_PREFIX}${question.id} instead`));
+      } else if (file) {
+        rows.push({ questionId: question.id, file });
+      } else if (question.isRequired) {
+        errors.push(questionError(question, 'A file is required'));
+      }
+      continue;
+    }
+
+    if (isBlank(value)) {
+      if (question.isRequired) {
+        errors.push(questionError(question, 'This question is required'));
+      }
+      continue;
+    }
+
+    if (question.type === 'YES_NO') {
+      const booleanValue = toBoolean(value);
+      if (booleanValue === undefined || Array.isArray(value)) {
+        errors.push(questionError(question, 'Answer yes or no'));
+      } else {
+        rows.push({ questionId: question.id, booleanValue });
+      }
+    } else if (question.type === 'MULTIPLE_CHOICE') {
+      const values = Array.isArray(value) ? value : [value];
+      const choices = [...new Set(values.map(choice => findOption(question, choice)))];
+
+      if (choices.includes(undefined)) {
+        errors.push(questionError(question, `Choose from: ${question.options.join(', ')}`));
+      } else if (choices.length > 1 && !question.allowMultiple) {
+        errors.push(questionError(question, 'Choose only one option'));
+      } else {
+        rows.push({ questionId: question.id, choices });
+      }
+    } else {
+      const textValue = typeof value === 'string' ? value.trim() : null;
+      if (textValue === null) {
+        errors.push(questionError(question, 'Answer with text'));
+      } else if (textValue.length > MAX_SHORT_TEXT_LENGTH) {
+        errors.push(questionError(question, `Keep the answer under ${MAX_SHORT_TEXT_LENGTH} characters`));
+      } else {
+        rows.push({ questionId: question.id, textValue });
+      }
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new AppError('Validation failed', 400, errors);
+  }
+  return rows;
+};
+
+// Store the files of parsed answers in private storage, replacing each multer file with its stored details
+const storeAnswerFiles = async (rows) => {
+  const stored = [];
+
+  try {
+    for (const row of rows) {
+      if (!row.file) {
+        stored.push(row);
+        continue;
+      }
+
+      const { file, ...answer } = row;
+      const document = await uploadDocument(file, 'screening-answers');
+      stored.push({
+        ...answer,
+        fileName: file.originalname,
+        fileUrl: document.url,
+        contentType: document.contentType,
+        size: document.size
+      });
+    }
+  } catch (error) {
+    await deleteDocuments(stored.map(row => row.fileUrl).filter(Boolean));
+    throw error;
+  }
+
+  return stored;
+};
+
+// URLs of the files answering questions, for cleaning up storage when answers are deleted
+const answerFileUrls = async (where) => {
+  const answers = await prisma.screeningAnswer.findMany({
+    where: { ...where, fileUrl: { not: null } },
+    select: { fileUrl: true }
+  });
+  return answers.map(answer => answer.fileUrl);
+};
+
+// Application filters ([{ questionId, value }]) to Prisma conditions. Yes/no and file questions filter
+// on "yes" or "no", multiple choice on an option and short text on words the answer contains.
+const answerFilters = (questions, filters = []) => {
+  const questionsById = new Map(questions.map(question => [question.id, question]));
+
+  return filters.map(({ questionId, value }) => {
+    const question = questionsById.get(questionId);
+    if (!question) {
+      throw new AppError(`This project has no question ${questionId}`, 400);
+    }
+
+    if (question.type === 'MULTIPLE_CHOICE') {
+      const option = findOption(question, value);
+      if (!option) {
+        throw new AppError(`Question ${questionId} has no option "${value}"`, 400);
+      }
+      return { answers: { some: { questionId, choices: { has: option } } } };
+    }
+
+    if (question.type === 'SHORT_TEXT') {
+      return { answers: { some: { questionId, textValue: { contains: value, mode: 'insensitive' } } } };
+    }
+
+    const answer = toBoolean(value);
+    if (answer === undefined) {
+      throw new AppError(`Filter question ${questionId} with yes or no`, 400);
+    }
+
+    if (question.type === 'YES_NO') {
+      return { answers: { some: { questionId, booleanValue: answer } } };
+    }
+
+    // FILE_UPLOAD: whether a file was provided
+    const withFile = { questionId, fileUrl: { not: null } };
+    return { answers: answer ? { some: withFile } : { none: withFile } };
+  });
+};
+
+module.exports = {
+  FILE_FIELD_PREFIX,
+  MAX_SHORT_TEXT_LENGTH,
+  questionsOf,
+  saveQuestions,
+  parseAnswers,
+  storeAnswerFiles,
+  answerFileUrls,
+  answerFilters
+};
@@ -0,0 +1,132 @@
+// src/services/storage/adapters.js
+// File storage adapters. Every adapter exposes:
+//   save(key, buffer, contentType) -> URL
+//   read(key) -> buffer
+//   remove(key)
+//   keyFromUrl(url) -> key, or null when the URL is not managed by this adapter
+// Private stores hold files nobody may fetch directly; their URLs start with PRIVATE_URL_PREFIX and the app
+// serves the files itself after checking access.
+const fs = require('fs/promises');
+const path = require('path');
+const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+
+const PRIVATE_URL_PREFIX = 'private:';
+
+const trimSlashes = (value) => value.replace(/^\/+|\/+$/g, '');
+
+// Store files on the local disk, served by the app under baseUrl
+const createLocalStorage = ({ dir, baseUrl }) => {
+  const prefix = `${baseUrl.replace(/\/+$/, '')}/`;
+
+  // Keep keys inside the upload directory
+  const resolve = (key) => {
+    const file = path.resolve(dir, key);
+    if (!file.startsWith(path.resolve(dir) + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return file;
+  };
+
+  return {
+    name: 'local',
+    dir,
+    save: async (key, buffer) => {
+      const file = resolve(key);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, buffer);
+      return prefix + key;
+    },
+    read: (key) => fs.readFile(resolve(key)),
+    remove: async (key) => {
+      await fs.rm(resolve(key), { force: true });
+    },
+    keyFromUrl: (url) => (url.startsWith(prefix) ? url.slice(prefix.length) : null)
+  };
+};
+
+// Store files in an S3-compatible bucket (AWS S3, MinIO, Cloudflare R2, ...)
+const createS3Storage = ({ bucket, region, endpoint, accessKeyId, secretAccessKey, publicUrl }) => {
+  const client = new S3Client({
+    region,
+    endpoint,
+    forcePathStyle: !!endpoint,
+    credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined
+  });
+  const prefix = `${trimSlashes(publicUrl || `https://${bucket}.s3.${region}.amazonaws.com`)}/`;
+
+  return {
+    name: 's3',
+    save: async (key, buffer, contentType) => {
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: buffer,
+        ContentType: contentType
+      }));
+      return prefix + key;
+    },
+    read: async (key) => {
+      const { Body } = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+      return Buffer.from(await Body.transformToByteArray());
+    },
+    remove: async (key) => {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+    keyFromUrl: (url) => (url.startsWith(prefix) ? url.slice(prefix.length) : null)
+  };
+};
+
+// Build the adapter selected by STORAGE_DRIVER (local or s3)
+const createStorageFromEnv = (env = process.env) => {
+  switch ((env.STORAGE_DRIVER || 'local').toLowerCase()) {
+    case 's3':
+      return createS3Storage({
+        bucket: env.S3_BUCKET,
+        region: env.S3_REGION || 'us-east-1',
+        endpoint: env.S3_ENDPOINT,
+        accessKeyId: env.S3_ACCESS_KEY_ID,
+        secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+        publicUrl: env.S3_PUBLIC_URL
+      });
+    case 'local':
+      return createLocalStorage({
+        dir: env.UPLOAD_DIR || path.join(process.cwd(), 'uploads'),
+        baseUrl: env.UPLOAD_BASE_URL || '/uploads'
+      });
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER: ${env.STORAGE_DRIVER}`);
+  }
+};
+
+// Build the private adapter for the same driver: a directory outside /uploads, or a bucket without public access
+const createPrivateStorageFromEnv = (env = process.env) => {
+  switch ((env.STORAGE_DRIVER || 'local').toLowerCase()) {
+    case 's3':
+      if (!env.S3_PRIVATE_BUCKET) {
+        throw new Error('S3_PRIVATE_BUCKET must be set to store private files with the s3 driver');
+      }
+      return createS3Storage({
+        bucket: env.S3_PRIVATE_BUCKET,
+        region: env.S3_REGION || 'us-east-1',
+        endpoint: env.S3_ENDPOINT,
+        accessKeyId: env.S3_ACCESS_KEY_ID,
+        secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+        publicUrl: PRIVATE_URL_PREFIX
+      });
+    case 'local':
+      return createLocalStorage({
+        dir: env.PRIVATE_UPLOAD_DIR || path.join(process.cwd(), 'private-uploads'),
+        baseUrl: PRIVATE_URL_PREFIX
+      });
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER: ${env.STORAGE_DRIVER}`);
+  }
+};
+
+module.exports = {
+  PRIVATE_URL_PREFIX,
+  createLocalStorage,
+  createS3Storage,
+  createStorageFromEnv,
+  createPrivateStorageFromEnv
+};
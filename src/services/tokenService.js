@@ -0,0 +1,150 @@
+// src/services/tokenService.js
+// Refresh token sessions: issue, rotate with reuse detection, list and revoke.
+const crypto = require('crypto');
+const { PrismaClient } = require('@prisma/client');
+const { AppError } = require('../utils/appError');
+const { generateToken, generateVerificationToken, hashToken } = require('../utils/helper');
+
+const prisma = new PrismaClient();
+
+// How long a refresh token stays valid if it is not rotated
+const REFRESH_TOKEN_TTL_MS = (parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+
+const createRefreshToken = async (userId, familyId, { userAgent, ipAddress, sessionStartedAt } = {}) => {
+  const refreshToken = generateVerificationToken();
+  const record = await prisma.refreshToken.create({
+    data: {
+      userId,
+      familyId,
+      tokenHash: hashToken(refreshToken),
+      userAgent,
+      ipAddress,
+      sessionStartedAt,
+      expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS)
+    }
+  });
+  return { refreshToken, record };
+};
+
+// Start a new session for a user and return its access and refresh tokens
+const issueSession = async (user, meta = {}) => {
+  const sessionId = crypto.randomUUID();
+  const { refreshToken } = await createRefreshToken(user.id, sessionId, meta);
+
+  return {
+    token: generateToken(user.id, user.role, sessionId),
+    refreshToken,
+    sessionId
+  };
+};
+
+// Exchange a refresh token for a new pair. Presenting an already-rotated token revokes the whole session.
+const rotateRefreshToken = async (rawToken, meta = {}) => {
+  const existing = await prisma.refreshToken.findUnique({
+    where: { tokenHash: hashToken(rawToken) },
+    include: { user: { select: { id: true, role: true } } }
+  });
+
+  if (!existing) throw new AppError('Invalid refresh token', 401);
+
+  if (existing.revokedAt) {
+    // Reuse of a rotated or revoked token: assume it was stolen and end the session everywhere
+    await revokeSession(existing.userId, existing.familyId);
+    throw new AppError('Refresh token has already been used. Please log in again.', 401);
+  }
+
+  if (existing.expiresAt <= new Date()) {
+    throw new AppError('Refresh token has expired. Please log in again.', 401);
+  }
+
+  const { refreshToken, record } = await createRefreshToken(existing.userId, existing.familyId, {
+    userAgent: meta.userAgent || existing.userAgent,
+    ipAddress: meta.ipAddress || existing.ipAddress,
+    sessionStartedAt: existing.sessionStartedAt
+  });
+
+  // Only rotate if nobody else rotated this token in the meantime
+  const { count } = await prisma.refreshToken.updateMany({
+    where: { id: existing.id, revokedAt: null },
+    data: { revokedAt: new Date(), replacedById: record.id }
+  });
+
+  if (count === 0) {
+    await revokeSession(existing.userId, existing.familyId);
+    throw new AppError('Refresh token has already been used. Please log in again.', 401);
+  }
+
+  return {
+    token: generateToken(existing.user.id, existing.user.role, existing.familyId),
+    refreshToken,
+    sessionId: existing.familyId
+  };
+};
+
+// Active sessions (one per device) for a user
+const listSessions = async (userId) => {
+  const tokens = await prisma.refreshToken.findMany({
+    where: { userId, revokedAt: null, expiresAt: { gt: new Date() } },
+    orderBy: { createdAt: 'desc' }
+  });
+
+  return tokens.map(token => ({
+    id: token.familyId,
+    userAgent: token.userAgent,
+    ipAddress: token.ipAddress,
+    startedAt: token.sessionStartedAt,
+    lastUsedAt: token.createdAt,
+    expiresAt: token.expiresAt
+  }));
+};
+
+// Whether a session still has a usable refresh token
+const isSessionActive = async (sessionId) => {
+  const token = await prisma.refreshToken.findFirst({
+    where: { familyId: sessionId, revokedAt: null, expiresAt: { gt: new Date() } },
+    select: { id: true }
+  });
+  return !!token;
+};
+
+// Revoke one session of a user; returns the number of tokens revoked
+const revokeSession = async (userId, sessionId) => {
+  const { count } = await prisma.refreshToken.updateMany({
+    where: { userId, familyId: sessionId, revokedAt: null },
+    data: { revokedAt: new Date() }
+  });
+  return count;
+};
+
+// Revoke every session of a user, optionally keeping the current one
+const revokeAllSessions = async (userId, { exceptSessionId } = {}) => {
+  const where = { userId, revokedAt: null };
+  if (exceptSessionId) {
+    where.familyId = { not: exceptSessionId };
+  }
+
+  const { count } = await prisma.refreshToken.updateMany({
+    where,
+    data: { revokedAt: new Date() }
+  });
+  return count;
+};
+
+// Find the session a raw refresh token belongs to
+const findSessionByRefreshToken = async (rawToken) => {
+  const token = await prisma.refreshToken.findUnique({
+    where: { tokenHash: hashToken(rawToken) },
+    select: { userId: true, familyId: true }
+  });
+  return token && { userId: token.userId, sessionId: token.familyId };
+};
+
+module.exports = {
+  issueSession,
+  rotateRefreshToken,
+  listSessions,
+  isSessionActive,
+  revokeSession,
+  revokeAllSessions,
+  findSessionByRefreshToken
+};
@@ -0,0 +1,165 @@
+// src/services/uploadService.js
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { createStorageFromEnv, createPrivateStorageFromEnv } = require('./storage/adapters');
+const { AppError } = require('../utils/appError');
+
+// Longest side of a stored image, and the size of its thumbnail
+const MAX_IMAGE_SIZE = 1600;
+const THUMBNAIL_WIDTH = 400;
+const THUMBNAIL_HEIGHT = 300;
+
+let storage;
+let privateStorage;
+
+// Storage in use, created from the environment on first use
+const getStorage = () => {
+  if (!storage) {
+    storage = createStorageFromEnv();
+  }
+  return storage;
+};
+
+// Replace the storage adapter (e.g. with a temporary directory in tests)
+const setStorage = (newStorage) => {
+  storage = newStorage;
+};
+
+// Storage for documents, which are only served through access-checked routes
+const getPrivateStorage = () => {
+  if (!privateStorage) {
+    privateStorage = createPrivateStorageFromEnv();
+  }
+  return privateStorage;
+};
+
+const setPrivateStorage = (newStorage) => {
+  privateStorage = newStorage;
+};
+
+// The store holding a document and its key there. Documents uploaded before private storage live in the public one.
+const locateDocument = (url) => {
+  for (const store of [getPrivateStorage(), getStorage()]) {
+    const key = store.keyFromUrl(url);
+    if (key) return { store, key };
+  }
+  return null;
+};
+
+// Thumbnails live next to the image: projects/abc.webp -> projects/abc_thumb.webp
+const getThumbnailUrl = (url) => url.replace(/\.webp$/, '_thumb.webp');
+
+// Resize, convert to WebP and store each uploaded image with a thumbnail; resolves with the image URLs
+const uploadImages = async (files, folder) => {
+  const urls = [];
+
+  for (const file of files) {
+    const key = `${folder}/${crypto.randomUUID()}.webp`;
+    const image = sharp(file.buffer).rotate();
+
+    let main;
+    let thumbnail;
+    try {
+      [main, thumbnail] = await Promise.all([
+        image.clone()
+          .resize({ width: MAX_IMAGE_SIZE, height: MAX_IMAGE_SIZE, fit: 'inside', withoutEnlargement: true })
+          .webp({ quality: 80 })
+          .toBuffer(),
+        image.clone()
+          .resize({ width: THUMBNAIL_WIDTH, height: THUMBNAIL_HEIGHT, fit: 'cover' })
+          .webp({ quality: 70 })
+          .toBuffer()
+      ]);
+    } catch (error) {
+      // The declared MIME type can lie; sharp is the real check that the file is an image
+      await deleteImages(urls);
+      throw new AppError(`${file.originalname} is not a valid image`, 400);
+    }
+
+    const url = await getStorage().save(key, main, 'image/webp');
+    await getStorage().save(getThumbnailUrl(key), thumbnail, 'image/webp');
+    urls.push(url);
+  }
+
+  return urls;
+};
+
+// Remove stored images and their thumbnails. Failures are logged so they never break the request.
+const deleteImages = async (urls = []) => {
+  const store = getStorage();
+
+  for (const url of urls) {
+    const key = store.keyFromUrl(url);
+    if (!key) continue;
+
+    try {
+      await store.remove(key);
+      await store.remove(getThumbnailUrl(key));
+    } catch (error) {
+      console.error(`Error deleting image ${url}:`, error);
+    }
+  }
+};
+
+// Leading bytes of each accepted document type, since the declared MIME type can lie
+const DOCUMENT_SIGNATURES = [
+  { contentType: 'application/pdf', extension: 'pdf', magic: Buffer.from('%PDF-') },
+  { contentType: 'image/jpeg', extension: 'jpg', magic: Buffer.from([0xff, 0xd8, 0xff]) },
+  { contentType: 'image/png', extension: 'png', magic: Buffer.from([0x89, 0x50, 0x4e, 0x47]) }
+];
+
+// Store an uploaded document unchanged in private storage; resolves with its URL, detected content type and size
+const uploadDocument = async (file, folder) => {
+  const signature = DOCUMENT_SIGNATURES.find(({ magic }) => file.buffer.subarray(0, magic.length).equals(magic));
+  if (!signature) {
+    throw new AppError(`${file.originalname} is not a valid PDF, JPEG or PNG file`, 400);
+  }
+
+  const key = `${folder}/${crypto.randomUUID()}.${signature.extension}`;
+  const url = await getPrivateStorage().save(key, file.buffer, signature.contentType);
+  return { url, contentType: signature.contentType, size: file.buffer.length };
+};
+
+// Contents of a stored document, for routes that check who may download it
+const readDocument = async (url) => {
+  const location = locateDocument(url);
+  if (!location) {
+    throw new AppError('Document file not found', 404);
+  }
+
+  try {
+    return await location.store.read(location.key);
+  } catch (error) {
+    if (error.code === 'ENOENT' || error.name === 'NoSuchKey') {
+      throw new AppError('Document file not found', 404);
+    }
+    throw error;
+  }
+};
+
+// Remove stored documents. Failures are logged so they never break the request.
+const deleteDocuments = async (urls = []) => {
+  for (const url of urls) {
+    try {
+      const location = locateDocument(url);
+      if (location) {
+        await location.store.remove(location.key);
+      }
+    } catch (error) {
+      console.error(`Error deleting document ${url}:`, error);
+    }
+  }
+};
+
+module.exports = {
+  uploadImages,
+  deleteImages,
+  uploadDocument,
+  readDocument,
+  deleteDocuments,
+  getThumbnailUrl,
+  getStorage,
+  setStorage,
+  getPrivateStorage,
+  setPrivateStorage
+};
@@ -1,9 +1,10 @@
 // src/utils/appError.js
 export class AppError extends Error {
-  constructor(message, statusCode) {
+  constructor(message, statusCode, errors) {
     super(message);
     this.statusCode = statusCode || 500;
     this.isOperational = true;
+    if (errors) this.errors = errors;
 
     Error.captureStackTrace(this, this.constructor);
   }
@@ -1,15 +1,92 @@
 import jwt from "jsonwebtoken";
 import crypto from "crypto";
 
-// Generate JWT token
-export const generateToken = (userId, role) => {
+const getJwtSecret = () => process.env.JWT_SECRET || "secretkey";
+
+// Generate JWT token (sessionId ties the access token to a refresh token session)
+export const generateToken = (userId, role, sessionId) => {
   const payload = { id: userId, role };
-  const secret = process.env.JWT_SECRET || "secretkey";
+  if (sessionId) payload.sid = sessionId;
   const options = { expiresIn: "1h" };
-  return jwt.sign(payload, secret, options);
+  return jwt.sign(payload, getJwtSecret(), options);
+};
+
+// Verify a JWT token and return its payload (throws on invalid or expired tokens)
+export const verifyToken = (token) => {
+  return jwt.verify(token, getJwtSecret());
 };
 
 // Generate random verification token
 export const generateVerificationToken = () => {
   return crypto.randomBytes(32).toString("hex");
 };
+
+// Explain a project match to the volunteer from its scoring factors
+export const generateRecommendationReason = (match) => {
+  const { factors } = match;
+  const reasons = [];
+
+  if (factors.skills > 15) reasons.push("Matches your skills");
+  if (factors.location > 20) reasons.push("Close to you");
+  if (factors.interests > 7) reasons.push("Fits your interests");
+  if (factors.availability > 12) reasons.push("Fits your schedule");
+
+  return reasons.length > 0 ? reasons.join(", ") : "Good overall match";
+};
+
+// Hash a one-time token before storing it, so a database leak does not expose usable tokens
+export const hashToken = (token) => {
+  return crypto.createHash("sha256").update(token).digest("hex");
+};
+
+// Canned answers of the help chatbot, picked by keywords in the user's message
+const CHATBOT_TOPICS = [
+  {
+    type: "APPLYING",
+    keywords: ["apply", "application", "join", "waitlist"],
+    message: "Open a project from your matches or the project list and press Apply. If the project is full you are waitlisted and get a place as soon as one opens up.",
+    suggestions: ["Show my matches", "How do I log hours?"]
+  },
+  {
+    type: "HOURS",
+    keywords: ["hour", "log", "timesheet", "check-in", "check in", "attendance"],
+    message: "Hours are drafted when you check in at an event. Check them, submit them, and the project team reviews them.",
+    suggestions: ["How do I get a certificate?"]
+  },
+  {
+    type: "CERTIFICATES",
+    keywords: ["certificate", "statement", "proof"],
+    message: "Once the project team approves your hours you can download a certificate for the project or a statement of all your hours.",
+    suggestions: ["How do I log hours?"]
+  },
+  {
+    type: "ORGANIZATIONS",
+    keywords: ["organization", "organisation", "ngo", "verify", "verification", "document"],
+    message: "Create your organization profile and upload your registration documents. An administrator verifies them before your projects can go live.",
+    suggestions: ["How do I create a project?"]
+  },
+  {
+    type: "PROJECTS",
+    keywords: ["project", "create", "publish", "volunteers needed"],
+    message: "Owners and managers of a verified organization can create projects and submit them for review. Approved projects start accepting applications.",
+    suggestions: ["How do I review applications?"]
+  }
+];
+
+// Answer a help question with the canned answer for its topic. `context.topic` names the page the user asked
+// from and is used when the message matches no topic.
+export const generateChatbotResponse = (message, context = {}, user = null) => {
+  const text = (message || "").toLowerCase();
+  const topic = CHATBOT_TOPICS.find(t => t.keywords.some(keyword => text.includes(keyword)))
+    || CHATBOT_TOPICS.find(t => t.type === context?.topic);
+
+  if (!topic) {
+    return {
+      type: "FALLBACK",
+      message: `Sorry${user ? `, ${user.firstname}` : ""}, I did not understand that. I can help with applying, hours, certificates, organizations and projects.`,
+      suggestions: CHATBOT_TOPICS.map(t => `Tell me about ${t.type.toLowerCase()}`)
+    };
+  }
+
+  return { type: topic.type, message: topic.message, suggestions: topic.suggestions };
+};
@@ -0,0 +1,112 @@
+// src/utils/pagination.js
+// Page-number and cursor pagination for list endpoints.
+// A cursor is opaque to clients: it encodes the sort it was issued for and the sort value and id of
+// the last item returned, so the next page starts right after it even when new rows are inserted.
+import { AppError } from "./appError.js";
+
+export const encodeCursor = ({ sortBy, sortOrder, value, id }) =>
+  Buffer.from(JSON.stringify({
+    s: sortBy,
+    o: sortOrder,
+    v: value instanceof Date ? value.toISOString() : value,
+    id
+  })).toString("base64url");
+
+// Decode a cursor, rejecting cursors that are malformed or were issued for a different sort
+export const decodeCursor = (cursor, { sortBy, sortOrder }) => {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+  } catch (error) {
+    throw new AppError("Invalid cursor", 400);
+  }
+
+  const validValue = payload && (payload.v === null || ["string", "number"].includes(typeof payload.v));
+  if (!validValue || !Number.isInteger(payload.id)) {
+    throw new AppError("Invalid cursor", 400);
+  }
+  if (payload.s !== sortBy || payload.o !== sortOrder) {
+    throw new AppError("Cursor does not match the requested sort order", 400);
+  }
+
+  return { value: payload.v, id: payload.id };
+};
+
+// Prisma filter for rows after the cursor, ordered by [{ [sortBy]: sortOrder }, { id: "asc" }]
+// (sortBy must be a non-nullable field)
+export const cursorWhere = ({ sortBy, sortOrder }, cursor, parseValue = (value) => value) => {
+  const value = parseValue(cursor.value);
+  return {
+    OR: [
+      { [sortBy]: { [sortOrder === "asc" ? "gt" : "lt"]: value } },
+      { [sortBy]: value, id: { gt: cursor.id } }
+    ]
+  };
+};
+
+export const cursorOrderBy = ({ sortBy, sortOrder }) => [{ [sortBy]: sortOrder }, { id: "asc" }];
+
+// Split a fetched batch into the page and its pagination metadata.
+// Lists always fetch limit + 1 rows; the extra row only tells whether there is a next page.
+export const paginate = (items, { paginate: mode, page, limit, sortBy, sortOrder, totalCount, valueOf }) => {
+  const hasNext = items.length > limit;
+  const pageItems = items.slice(0, limit);
+  const withCount = totalCount !== undefined && totalCount !== null;
+  const count = withCount ? { totalItems: totalCount } : {};
+
+  if (mode === "cursor") {
+    const last = pageItems[pageItems.length - 1];
+    return {
+      items: pageItems,
+      pagination: {
+        mode: "cursor",
+        itemsPerPage: limit,
+        hasNext,
+        nextCursor: hasNext ? encodeCursor({ sortBy, sortOrder, value: valueOf(last), id: last.id }) : null,
+        ...count
+      }
+    };
+  }
+
+  return {
+    items: pageItems,
+    pagination: {
+      mode: "page",
+      currentPage: page,
+      itemsPerPage: limit,
+      hasNext,
+      hasPrev: page > 1,
+      ...(withCount && { totalPages: Math.ceil(totalCount / limit) }),
+      ...count
+    }
+  };
+};
+
+// Fetch one page of a Prisma model in page or cursor mode.
+// Sorted by a non-nullable timestamp field (sort.sortBy), ties broken by id.
+export const findPage = async (delegate, { where, include, sort, query }) => {
+  const { paginate: mode = "page", page = 1, limit = 10, cursor, includeCount = mode !== "cursor" } = query;
+  const pageWhere = cursor
+    ? { AND: [where, cursorWhere(sort, decodeCursor(cursor, sort), (value) => new Date(value))] }
+    : where;
+
+  const [items, totalCount] = await Promise.all([
+    delegate.findMany({
+      where: pageWhere,
+      include,
+      orderBy: cursorOrderBy(sort),
+      skip: cursor ? 0 : (page - 1) * limit,
+      take: limit + 1
+    }),
+    includeCount ? delegate.count({ where }) : null
+  ]);
+
+  return paginate(items, {
+    paginate: mode,
+    page,
+    limit,
+    ...sort,
+    totalCount,
+    valueOf: (item) => item[sort.sortBy]
+  });
+};
@@ -0,0 +1,15 @@
+// src/utils/transaction.js
+// Serializable transactions for check-then-write updates such as filling places from a waitlist.
+// PostgreSQL aborts one of two conflicting serializable transactions (Prisma error P2034); running it
+// again sees the other's changes, so it is retried a few times before giving up.
+const MAX_ATTEMPTS = 3;
+
+export const serializableTransaction = async (client, fn) => {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await client.$transaction(fn, { isolationLevel: "Serializable" });
+    } catch (error) {
+      if (error.code !== "P2034" || attempt >= MAX_ATTEMPTS) throw error;
+    }
+  }
+};